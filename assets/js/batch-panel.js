@@ -0,0 +1,343 @@
+import { delay, parseBatchInput, runQueue, uniqueFilename } from './batch-queue.js';
+import { withMetadata } from './downloads.js';
+import { formatBytes } from './format.js';
+import { recordHistory, resolveCached } from './history-panel.js';
+import { describeMedia, getVariants, mediaFilename, variantExtension } from './media-variants.js';
+import { fetchBlob } from './network.js';
+import { ResolveErrorCode } from './resolve-errors.js';
+import { canonicalTweetUrl } from './tweet-url.js';
+import { escapeHtml, showToast, triggerDownload } from './ui.js';
+import * as ZipWriter from './zip-writer.js';
+
+// ── Batch mode ────────────────────────────
+// Paste (or drop a .txt/.csv of) many tweet URLs, resolve them through a
+// small worker pool, then package everything selected into one ZIP. The
+// parsing and pool live in batch-queue.js.
+
+const BATCH_CONCURRENCY = 3;
+const BATCH_DOWNLOAD_CONCURRENCY = 3;
+const BATCH_MAX_RETRIES = 3;
+const BATCH_BACKOFF_MS = 2000;
+
+const BATCH_STATUS_LABELS = {
+    queued: 'Queued',
+    resolving: 'Resolving...',
+    retrying: 'Rate limited, retrying...',
+    ready: 'Ready',
+    failed: 'Failed',
+    invalid: 'Invalid URL',
+    downloading: 'Downloading...',
+    done: 'Added to ZIP',
+    partial: 'Partly added to ZIP',
+};
+
+let batchRows = [];
+let batchAbort = null;
+
+async function resolveBatchRow(row, signal) {
+    for (let attempt = 0; ; attempt++) {
+        row.status = 'resolving';
+        updateBatchRow(row);
+
+        try {
+            row.result = await resolveCached(row.statusId);
+            row.status = 'ready';
+            row.selected = true;
+            updateBatchRow(row);
+            recordHistory(row.result);
+            return;
+        } catch (error) {
+            if (error.code === ResolveErrorCode.RATE_LIMITED && attempt < BATCH_MAX_RETRIES && !signal.aborted) {
+                // Exponential backoff with jitter: ~2s, 4s, 8s.
+                const wait = BATCH_BACKOFF_MS * 2 ** attempt + Math.random() * 500;
+                row.status = 'retrying';
+                row.message = 'Retry ' + (attempt + 1) + ' of ' + BATCH_MAX_RETRIES + ' in ' + Math.ceil(wait / 1000) + 's';
+                updateBatchRow(row);
+                try {
+                    await delay(wait, signal);
+                } catch {
+                    break;
+                }
+                row.message = null;
+                continue;
+            }
+            row.status = 'failed';
+            row.message = error.message;
+            updateBatchRow(row);
+            return;
+        }
+    }
+
+    row.status = 'queued';
+    updateBatchRow(row);
+}
+
+const SELECTABLE_STATUSES = new Set(['ready', 'done', 'partial']);
+
+function renderBatchRow(tr, row) {
+    const status = BATCH_STATUS_LABELS[row.status] + (row.message ? ' — ' + row.message : '');
+
+    tr.innerHTML = `
+                    <td><input type="checkbox" class="batch-select" data-id="${row.id}"${row.selected ? ' checked' : ''}${SELECTABLE_STATUSES.has(row.status) ? '' : ' disabled'} aria-label="Include in ZIP"></td>
+                    <td class="batch-tweet"></td>
+                    <td>${escapeHtml(describeMedia(row.result))}</td>
+                    <td class="batch-status batch-status-${row.status}">${escapeHtml(status)}</td>`;
+
+    // The author comes from the provider, so the link is built with the DOM.
+    const cell = tr.querySelector('.batch-tweet');
+    if (row.result) {
+        const link = document.createElement('a');
+        link.href = canonicalTweetUrl(row.statusId, row.result.author);
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = (row.result.author ? '@' + row.result.author + ' · ' : '') + '#' + row.statusId;
+        cell.append(link);
+    } else {
+        cell.textContent = row.statusId ? '#' + row.statusId : row.input;
+    }
+}
+
+function renderBatchTable() {
+    const body = document.getElementById('batch-rows');
+    if (!body) return;
+
+    body.replaceChildren(...batchRows.map((row) => {
+        const tr = document.createElement('tr');
+        tr.dataset.id = row.id;
+        renderBatchRow(tr, row);
+        return tr;
+    }));
+
+    document.getElementById('batch-table-wrap')?.classList.toggle('hidden', batchRows.length === 0);
+    updateBatchSummary();
+}
+
+function updateBatchRow(row) {
+    const tr = document.querySelector('#batch-rows tr[data-id="' + row.id + '"]');
+    if (tr) renderBatchRow(tr, row);
+    updateBatchSummary();
+}
+
+function updateBatchSummary(extra) {
+    const summary = document.getElementById('batch-summary');
+    const zipBtn = document.getElementById('batch-zip-btn');
+    const selected = batchRows.filter((row) => row.selected && row.result);
+    const resolved = batchRows.filter((row) => row.result).length;
+    const failed = batchRows.filter((row) => row.status === 'failed' || row.status === 'invalid').length;
+
+    if (summary) {
+        summary.textContent = batchRows.length === 0 ? '' :
+            resolved + ' of ' + batchRows.length + ' resolved' +
+            (failed ? ', ' + failed + ' failed' : '') +
+            ', ' + selected.length + ' selected' +
+            (extra ? ' · ' + extra : '');
+    }
+    if (zipBtn) zipBtn.disabled = selected.length === 0 || !!batchAbort;
+}
+
+function setBatchRunning(running) {
+    const startBtn = document.getElementById('batch-start-btn');
+    const cancelBtn = document.getElementById('batch-cancel-btn');
+    if (startBtn) startBtn.disabled = running;
+    cancelBtn?.classList.toggle('hidden', !running);
+    updateBatchSummary();
+}
+
+/** Shows one status for a row from the counts of its finished downloads. */
+function updateZipRow(row) {
+    const { total, done, failed } = row.progress;
+
+    if (done + failed < total) {
+        row.status = 'downloading';
+        row.message = total > 1 ? (done + failed) + ' of ' + total : null;
+    } else if (failed === 0) {
+        row.status = 'done';
+        row.message = null;
+    } else if (done === 0) {
+        row.status = 'failed';
+        row.message = 'Download failed';
+    } else {
+        row.status = 'partial';
+        row.message = failed + ' of ' + total + ' failed';
+    }
+    updateBatchRow(row);
+}
+
+const BatchController = {
+    async start() {
+        if (batchAbort) return;
+
+        const input = document.getElementById('batch-input');
+        const { rows, duplicates } = parseBatchInput(input?.value);
+        if (!rows.some((row) => row.statusId)) {
+            showToast('No tweet URLs found in the list.', 'error');
+            return;
+        }
+
+        batchRows = rows;
+        renderBatchTable();
+        if (duplicates) showToast(duplicates + ' duplicate URL' + (duplicates > 1 ? 's' : '') + ' skipped.', 'info');
+
+        batchAbort = new AbortController();
+        const { signal } = batchAbort;
+        setBatchRunning(true);
+
+        try {
+            const queued = batchRows.filter((row) => row.status === 'queued');
+            await runQueue(queued, BATCH_CONCURRENCY, (row) => resolveBatchRow(row, signal), signal);
+            showToast(signal.aborted ? 'Batch cancelled.' : 'Batch resolved. Pick what to include and download the ZIP.', 'info');
+        } finally {
+            batchAbort = null;
+            setBatchRunning(false);
+        }
+    },
+
+    cancel() {
+        batchAbort?.abort();
+    },
+
+    toggleRow(id, selected) {
+        const row = batchRows[id];
+        if (!row) return;
+        row.selected = selected;
+        updateBatchSummary();
+    },
+
+    async loadFile(file) {
+        if (!file) return;
+        if (!/\.(txt|csv)$/i.test(file.name) && !/^text\//.test(file.type)) {
+            showToast('Please drop a .txt or .csv file.', 'error');
+            return;
+        }
+        const input = document.getElementById('batch-input');
+        if (!input) return;
+        const text = await file.text();
+        input.value = input.value.trim() ? input.value.trim() + '\n' + text : text;
+    },
+
+    /**
+     * Downloads the best variant of every media item in the selected rows
+     * and packages them, plus a manifest.json, into a single ZIP. Each row
+     * shows one status for all of its items.
+     */
+    async downloadZip() {
+        const rows = batchRows.filter((row) => row.selected && row.result);
+        if (rows.length === 0 || batchAbort) return;
+
+        batchAbort = new AbortController();
+        const { signal } = batchAbort;
+        setBatchRunning(true);
+
+        const files = [];
+        const manifest = [];
+        const usedNames = new Set(['manifest.json']);
+        const jobs = rows.flatMap((row) => row.result.media
+            .map((item, index) => ({ row, item, index, variant: getVariants(item)[0] }))
+            .filter((job) => job.variant));
+        let completed = 0;
+
+        for (const row of rows) {
+            row.progress = { total: jobs.filter((job) => job.row === row).length, done: 0, failed: 0 };
+        }
+
+        try {
+            await runQueue(jobs, BATCH_DOWNLOAD_CONCURRENCY, async ({ row, item, index, variant }) => {
+                updateZipRow(row);
+
+                // Claimed before the download starts, so names follow row order.
+                const ext = variantExtension(item, variant);
+                const filename = uniqueFilename(mediaFilename(row.result, index, ext, variant), usedNames);
+
+                try {
+                    const blob = await withMetadata(await fetchBlob(variant.url, { signal }), row.result, ext);
+                    files.push({ name: filename, data: blob });
+                    manifest.push({
+                        tweetUrl: canonicalTweetUrl(row.statusId, row.result.author),
+                        statusId: row.statusId,
+                        author: row.result.author,
+                        mediaType: item.type,
+                        variant: {
+                            url: variant.url,
+                            contentType: variant.contentType,
+                            width: variant.width || item.width || null,
+                            height: variant.height || item.height || null,
+                            bitrate: variant.bitrate || null,
+                        },
+                        filename,
+                    });
+                    row.progress.done++;
+                } catch {
+                    if (signal.aborted) return;
+                    row.progress.failed++;
+                }
+
+                completed++;
+                updateZipRow(row);
+                updateBatchSummary('downloaded ' + completed + ' of ' + jobs.length);
+            }, signal);
+
+            if (signal.aborted) {
+                // No ZIP comes out of a cancelled run, finished rows included.
+                for (const row of rows) {
+                    row.status = 'ready';
+                    row.message = null;
+                    updateBatchRow(row);
+                }
+                showToast('ZIP download cancelled.', 'info');
+                return;
+            }
+            if (files.length === 0) {
+                showToast('None of the selected media could be downloaded.', 'error');
+                return;
+            }
+
+            manifest.sort((a, b) => a.filename.localeCompare(b.filename));
+            files.push({
+                name: 'manifest.json',
+                data: JSON.stringify({ generatedAt: new Date().toISOString(), entries: manifest }, null, 2),
+            });
+
+            const zip = await ZipWriter.createZip(files);
+            const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+            triggerDownload(zip, 'twitter-media-' + stamp + '.zip');
+            showToast('ZIP ready: ' + (files.length - 1) + ' files, ' + formatBytes(zip.size) + '.', 'success');
+        } finally {
+            batchAbort = null;
+            setBatchRunning(false);
+        }
+    },
+};
+
+function initBatchPanel() {
+    document.getElementById('batch-start-btn')?.addEventListener('click', () => BatchController.start());
+    document.getElementById('batch-cancel-btn')?.addEventListener('click', () => BatchController.cancel());
+    document.getElementById('batch-zip-btn')?.addEventListener('click', () => BatchController.downloadZip());
+    document.getElementById('batch-file')?.addEventListener('change', (e) => {
+        BatchController.loadFile(e.target.files[0]);
+        e.target.value = '';
+    });
+    document.getElementById('batch-rows')?.addEventListener('change', (e) => {
+        if (e.target.classList.contains('batch-select')) {
+            BatchController.toggleRow(Number(e.target.dataset.id), e.target.checked);
+        }
+    });
+
+    const batchInput = document.getElementById('batch-input');
+    batchInput?.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        batchInput.classList.add('drag-over');
+    });
+    batchInput?.addEventListener('dragleave', () => batchInput.classList.remove('drag-over'));
+    batchInput?.addEventListener('drop', (e) => {
+        batchInput.classList.remove('drag-over');
+        if (e.dataTransfer?.files?.length) {
+            e.preventDefault();
+            BatchController.loadFile(e.dataTransfer.files[0]);
+        }
+    });
+}
+
+export {
+    BatchController,
+    initBatchPanel,
+};
@@ -0,0 +1,84 @@
+import { parseTweetUrl } from './tweet-url.js';
+
+// ── Batch queue ───────────────────────────
+// Input parsing and the worker pool behind batch mode, kept apart from the
+// table UI in batch-panel.js.
+
+/**
+ * Splits pasted text or CSV into rows, one per distinct status ID. Tokens
+ * that look like links but don't parse become `invalid` rows; anything
+ * else (CSV headers, stray words) is ignored.
+ */
+function parseBatchInput(text) {
+    const rows = [];
+    const seen = new Set();
+    let duplicates = 0;
+
+    for (const token of String(text || '').split(/[\s,;"'<>()[\]]+/)) {
+        if (!token) continue;
+
+        let statusId = null;
+        try {
+            statusId = parseTweetUrl(token).statusId;
+        } catch {
+            if (/[./]/.test(token)) {
+                rows.push({ id: rows.length, input: token, statusId: null, status: 'invalid', selected: false });
+            }
+            continue;
+        }
+
+        if (seen.has(statusId)) {
+            duplicates++;
+            continue;
+        }
+        seen.add(statusId);
+        rows.push({ id: rows.length, input: token, statusId, status: 'queued', selected: false });
+    }
+
+    return { rows, duplicates };
+}
+
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('Cancelled.', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+/** Runs `worker` over `items` with at most `concurrency` in flight. */
+async function runQueue(items, concurrency, worker, signal) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length && !signal?.aborted) {
+            await worker(items[next++]);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * Claims `name` in `used`, adding -2, -3, ... before the extension when a
+ * file of that name (ignoring case) is already taken.
+ */
+function uniqueFilename(name, used) {
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = stem + '-' + n + ext;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+export {
+    parseBatchInput,
+    delay,
+    runQueue,
+    uniqueFilename,
+};
@@ -0,0 +1,505 @@
+// ── Clip editor ───────────────────────────
+// A small video editor: scrubbable timeline with trim handles, a
+// drag-to-crop rectangle with aspect presets, playback speed, reverse and
+// boomerang. It only describes the edit:
+//   { start, end, crop: { x, y, width, height } | null, speed, reverse, boomerang }
+// with crop in fractions of the frame. GifEncoder and VideoRecorder take
+// that object as-is and do the actual work.
+
+const SPEEDS = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4];
+
+const ASPECT_PRESETS = {
+    free: null,
+    '1:1': 1,
+    '16:9': 16 / 9,
+    '9:16': 9 / 16,
+};
+
+const MIN_CLIP = 0.1;      // shortest trim, in seconds
+const MIN_CROP = 0.05;     // smallest crop side, as a fraction of the frame
+const KEY_STEP = 0.1;      // seconds per arrow key press on a trim handle
+const MAX_STAGE_HEIGHT = 420;
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function formatTime(seconds) {
+    return (Number(seconds) || 0).toFixed(1) + 's';
+}
+
+function defaultEdits(duration) {
+    return { start: 0, end: duration || 0, crop: null, speed: 1, reverse: false, boomerang: false };
+}
+
+/**
+ * The largest centred crop with the given pixel aspect ratio, as
+ * fractions of a sourceWidth×sourceHeight frame. No aspect means the
+ * full frame.
+ */
+function fitCrop(aspect, sourceWidth, sourceHeight) {
+    if (!aspect || !sourceWidth || !sourceHeight) return { x: 0, y: 0, width: 1, height: 1 };
+
+    let width = 1;
+    let height = (sourceWidth / aspect) / sourceHeight;
+    if (height > 1) {
+        height = 1;
+        width = (sourceHeight * aspect) / sourceWidth;
+    }
+    return { x: (1 - width) / 2, y: (1 - height) / 2, width, height };
+}
+
+const TEMPLATE = `
+                <div class="clip-editor">
+                    <div class="clip-stage" data-role="stage">
+                        <video class="clip-video" data-role="video" muted playsinline preload="auto"></video>
+                        <div class="clip-crop hidden" data-role="crop">
+                            <span class="clip-crop-resize" data-role="resize"></span>
+                        </div>
+                    </div>
+
+                    <div class="clip-timeline">
+                        <div class="clip-track" data-role="track">
+                            <div class="clip-range" data-role="range"></div>
+                            <div class="clip-playhead" data-role="playhead"></div>
+                            <span class="clip-handle" data-role="handle-start" role="slider" tabindex="0" aria-label="Trim start"></span>
+                            <span class="clip-handle" data-role="handle-end" role="slider" tabindex="0" aria-label="Trim end"></span>
+                        </div>
+                        <div class="clip-times">
+                            <span data-role="time-start"></span>
+                            <span data-role="time-current"></span>
+                            <span data-role="time-end"></span>
+                        </div>
+                    </div>
+
+                    <div class="clip-controls">
+                        <button type="button" class="action-btn action-btn-outline" data-role="play">Pause</button>
+                        <label>
+                            <span>Crop</span>
+                            <select class="input-field" data-role="crop-mode">
+                                <option value="none">None</option>
+                                <option value="free">Free</option>
+                                <option value="1:1">1:1</option>
+                                <option value="16:9">16:9</option>
+                                <option value="9:16">9:16</option>
+                            </select>
+                        </label>
+                        <label>
+                            <span>Speed</span>
+                            <select class="input-field" data-role="speed">
+                                ${SPEEDS.map((speed) => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}×</option>`).join('')}
+                            </select>
+                        </label>
+                        <label class="clip-toggle">
+                            <input type="checkbox" data-role="reverse">
+                            <span>Reverse</span>
+                        </label>
+                        <label class="clip-toggle">
+                            <input type="checkbox" data-role="boomerang">
+                            <span>Boomerang</span>
+                        </label>
+                        <button type="button" class="action-btn action-btn-outline" data-role="reset">Reset</button>
+                    </div>
+                </div>`;
+
+/**
+ * Builds an editor inside `container` for the video at `src`. `width`,
+ * `height` and `duration` are the resolver's numbers, used until the
+ * video's own metadata has loaded. `edits` restores a previous edit (e.g. after switching quality);
+ * onChange(edits) fires whenever the edit changes.
+ *
+ * Returns { getEdits(), destroy() }.
+ */
+function create(container, { src, poster, width, height, duration, edits, onChange }) {
+    container.innerHTML = TEMPLATE;
+
+    const el = {};
+    container.querySelectorAll('[data-role]').forEach((node) => {
+        el[node.dataset.role.replace(/-(\w)/g, (m, c) => c.toUpperCase())] = node;
+    });
+
+    const state = {
+        duration: duration || 0,
+        edits: { ...defaultEdits(duration), ...edits },
+        cropMode: edits?.crop ? 'free' : 'none',
+        playing: true,
+        direction: 1,
+        time: edits?.start || 0,
+        lastTick: null,
+        frame: null,
+    };
+
+    const video = el.video;
+    video.src = src;
+    if (poster) video.poster = poster;
+
+    // ── Edit state ────────────────────────
+
+    function emit() {
+        onChange?.(getEdits());
+    }
+
+    function getEdits() {
+        const { start, end, crop, speed, reverse, boomerang } = state.edits;
+        return { start, end, crop: crop ? { ...crop } : null, speed, reverse, boomerang };
+    }
+
+    function setTrim(which, value) {
+        const { edits } = state;
+        if (which === 'start') {
+            edits.start = clamp(value, 0, Math.max(0, edits.end - MIN_CLIP));
+        } else {
+            edits.end = clamp(value, Math.min(state.duration, edits.start + MIN_CLIP), state.duration);
+        }
+        seek(edits[which]);
+        renderTimeline();
+        emit();
+    }
+
+    function setCrop(crop) {
+        state.edits.crop = crop;
+        renderCrop();
+        emit();
+    }
+
+    function currentAspect() {
+        return ASPECT_PRESETS[state.cropMode] || null;
+    }
+
+    function sourceSize() {
+        return {
+            width: video.videoWidth || width || 0,
+            height: video.videoHeight || height || 0,
+        };
+    }
+
+    // ── Rendering ─────────────────────────
+
+    function percent(time) {
+        return state.duration ? (time / state.duration) * 100 + '%' : '0%';
+    }
+
+    function renderTimeline() {
+        const { start, end } = state.edits;
+        el.range.style.left = percent(start);
+        el.range.style.width = state.duration ? ((end - start) / state.duration) * 100 + '%' : '0%';
+        el.handleStart.style.left = percent(start);
+        el.handleEnd.style.left = percent(end);
+        el.timeStart.textContent = formatTime(start);
+        el.timeEnd.textContent = formatTime(end);
+
+        for (const [handle, value] of [[el.handleStart, start], [el.handleEnd, end]]) {
+            handle.setAttribute('aria-valuemin', '0');
+            handle.setAttribute('aria-valuemax', state.duration.toFixed(1));
+            handle.setAttribute('aria-valuenow', value.toFixed(1));
+            handle.setAttribute('aria-valuetext', formatTime(value));
+        }
+    }
+
+    function renderPlayhead() {
+        el.playhead.style.left = percent(video.currentTime || 0);
+        el.timeCurrent.textContent = formatTime(video.currentTime);
+    }
+
+    function renderCrop() {
+        const { crop } = state.edits;
+        el.crop.classList.toggle('hidden', !crop);
+        if (!crop) return;
+
+        el.crop.style.left = crop.x * 100 + '%';
+        el.crop.style.top = crop.y * 100 + '%';
+        el.crop.style.width = crop.width * 100 + '%';
+        el.crop.style.height = crop.height * 100 + '%';
+    }
+
+    function renderControls() {
+        el.play.textContent = state.playing ? 'Pause' : 'Play';
+        el.cropMode.value = state.cropMode;
+        el.speed.value = String(state.edits.speed);
+        el.reverse.checked = state.edits.reverse;
+        el.boomerang.checked = state.edits.boomerang;
+    }
+
+    // ── Playback ──────────────────────────
+    // Forward playback is native (playbackRate covers the speed).
+    // Reverse and boomerang step currentTime by hand every frame. The
+    // animation loop only runs while playing and the page is visible.
+
+    function seek(time) {
+        state.time = clamp(time, 0, state.duration);
+        video.currentTime = state.time;
+        renderPlayhead();
+    }
+
+    function usesManualPlayback() {
+        return state.edits.reverse || state.edits.boomerang;
+    }
+
+    function startLoop() {
+        if (state.frame != null || !state.playing || document.hidden) return;
+        state.lastTick = null;
+        state.frame = requestAnimationFrame(tick);
+    }
+
+    function stopLoop() {
+        if (state.frame != null) cancelAnimationFrame(state.frame);
+        state.frame = null;
+    }
+
+    function tick(now) {
+        state.frame = requestAnimationFrame(tick);
+        const elapsed = state.lastTick == null ? 0 : (now - state.lastTick) / 1000;
+        state.lastTick = now;
+
+        if (!state.duration) return;
+        const { start, end, speed, reverse, boomerang } = state.edits;
+
+        if (!usesManualPlayback()) {
+            if (video.paused) video.play().catch(() => {});
+            video.playbackRate = speed;
+            if (video.currentTime >= end || video.currentTime < start - 0.05) {
+                video.currentTime = start;
+            }
+            renderPlayhead();
+            return;
+        }
+
+        if (!video.paused) video.pause();
+        if (video.seeking) return;
+
+        const forward = reverse ? -1 : 1;
+        let time = state.time + state.direction * forward * elapsed * speed;
+
+        if (time > end || time < start) {
+            if (boomerang) {
+                state.direction = -state.direction;
+                time = clamp(time, start, end);
+            } else {
+                time = reverse ? end : start;
+            }
+        }
+
+        state.time = time;
+        video.currentTime = time;
+        renderPlayhead();
+    }
+
+    function setPlaying(playing) {
+        state.playing = playing;
+        state.direction = 1;
+        if (playing) {
+            startLoop();
+        } else {
+            stopLoop();
+            video.pause();
+        }
+        state.time = video.currentTime || state.edits.start;
+        renderControls();
+    }
+
+    function onVisibilityChange() {
+        if (document.hidden) {
+            stopLoop();
+            video.pause();
+        } else {
+            startLoop();
+        }
+    }
+
+    // ── Pointer helpers ───────────────────
+
+    function trackFraction(event) {
+        const rect = el.track.getBoundingClientRect();
+        return rect.width ? clamp((event.clientX - rect.left) / rect.width, 0, 1) : 0;
+    }
+
+    function stagePoint(event) {
+        const rect = el.stage.getBoundingClientRect();
+        return {
+            x: rect.width ? clamp((event.clientX - rect.left) / rect.width, 0, 1) : 0,
+            y: rect.height ? clamp((event.clientY - rect.top) / rect.height, 0, 1) : 0,
+        };
+    }
+
+    /** Calls onMove for every pointermove until the pointer is released. */
+    function drag(event, onMove) {
+        event.preventDefault();
+        const target = event.currentTarget;
+        target.setPointerCapture?.(event.pointerId);
+
+        const move = (e) => onMove(e);
+        const up = () => {
+            target.removeEventListener('pointermove', move);
+            target.removeEventListener('pointerup', up);
+            target.removeEventListener('pointercancel', up);
+        };
+        target.addEventListener('pointermove', move);
+        target.addEventListener('pointerup', up);
+        target.addEventListener('pointercancel', up);
+        onMove(event);
+    }
+
+    /**
+     * A crop rectangle from an anchor point to the pointer, in fractions
+     * of the frame, constrained to the current aspect preset.
+     */
+    function rectFrom(anchor, point) {
+        let width = Math.abs(point.x - anchor.x);
+        let height = Math.abs(point.y - anchor.y);
+        const aspect = currentAspect();
+
+        const source = sourceSize();
+        if (aspect && source.width && source.height) {
+            // Convert to pixels so the aspect ratio holds on screen.
+            const ratio = aspect * (source.height / source.width);
+            if (width / height > ratio) {
+                width = height * ratio;
+            } else {
+                height = width / ratio;
+            }
+        }
+
+        width = Math.max(MIN_CROP, width);
+        height = Math.max(MIN_CROP, height);
+        const x = point.x < anchor.x ? anchor.x - width : anchor.x;
+        const y = point.y < anchor.y ? anchor.y - height : anchor.y;
+
+        return {
+            x: clamp(x, 0, 1 - width),
+            y: clamp(y, 0, 1 - height),
+            width: Math.min(1, width),
+            height: Math.min(1, height),
+        };
+    }
+
+    // ── Events ────────────────────────────
+
+    el.track.addEventListener('pointerdown', (event) => {
+        if (event.target === el.handleStart || event.target === el.handleEnd) return;
+        setPlaying(false);
+        drag(event, (e) => seek(trackFraction(e) * state.duration));
+    });
+
+    for (const [handle, which] of [[el.handleStart, 'start'], [el.handleEnd, 'end']]) {
+        handle.addEventListener('pointerdown', (event) => {
+            event.stopPropagation();
+            setPlaying(false);
+            drag(event, (e) => setTrim(which, trackFraction(e) * state.duration));
+        });
+        handle.addEventListener('keydown', (event) => {
+            const step = event.shiftKey ? 1 : KEY_STEP;
+            const delta = { ArrowLeft: -step, ArrowDown: -step, ArrowRight: step, ArrowUp: step }[event.key];
+            if (delta == null) return;
+            event.preventDefault();
+            setTrim(which, state.edits[which] + delta);
+        });
+    }
+
+    el.stage.addEventListener('pointerdown', (event) => {
+        if (state.cropMode === 'none') return;
+        const { crop } = state.edits;
+        const start = stagePoint(event);
+
+        if (event.target === el.resize && crop) {
+            drag(event, (e) => setCrop(rectFrom({ x: crop.x, y: crop.y }, stagePoint(e))));
+        } else if (event.target === el.crop && crop) {
+            const offset = { x: start.x - crop.x, y: start.y - crop.y };
+            drag(event, (e) => {
+                const point = stagePoint(e);
+                setCrop({
+                    ...crop,
+                    x: clamp(point.x - offset.x, 0, 1 - crop.width),
+                    y: clamp(point.y - offset.y, 0, 1 - crop.height),
+                });
+            });
+        } else {
+            drag(event, (e) => setCrop(rectFrom(start, stagePoint(e))));
+        }
+    });
+
+    el.play.addEventListener('click', () => setPlaying(!state.playing));
+
+    el.cropMode.addEventListener('change', () => {
+        state.cropMode = el.cropMode.value;
+        if (state.cropMode === 'none') {
+            setCrop(null);
+        } else if (state.cropMode === 'free') {
+            setCrop(state.edits.crop || { x: 0.1, y: 0.1, width: 0.8, height: 0.8 });
+        } else {
+            const source = sourceSize();
+            setCrop(fitCrop(currentAspect(), source.width, source.height));
+        }
+    });
+
+    el.speed.addEventListener('change', () => {
+        state.edits.speed = Number(el.speed.value) || 1;
+        emit();
+    });
+
+    el.reverse.addEventListener('change', () => {
+        state.edits.reverse = el.reverse.checked;
+        state.direction = 1;
+        state.time = video.currentTime;
+        emit();
+    });
+
+    el.boomerang.addEventListener('change', () => {
+        state.edits.boomerang = el.boomerang.checked;
+        state.direction = 1;
+        state.time = video.currentTime;
+        emit();
+    });
+
+    el.reset.addEventListener('click', () => {
+        state.edits = defaultEdits(state.duration);
+        state.cropMode = 'none';
+        seek(0);
+        renderTimeline();
+        renderCrop();
+        renderControls();
+        emit();
+    });
+
+    video.addEventListener('loadedmetadata', () => {
+        // The resolver doesn't always know the duration; the video does.
+        if (Number.isFinite(video.duration) && Math.abs(video.duration - state.duration) > 0.05) {
+            const wasFullLength = state.edits.end >= state.duration - 0.05;
+            state.duration = video.duration;
+            state.edits.end = wasFullLength ? video.duration : Math.min(state.edits.end, video.duration);
+            state.edits.start = Math.min(state.edits.start, Math.max(0, state.edits.end - MIN_CLIP));
+            emit();
+        }
+        // Size the stage to the video exactly, so crop fractions of the
+        // stage are fractions of the frame.
+        el.stage.style.aspectRatio = video.videoWidth + ' / ' + video.videoHeight;
+        el.stage.style.maxWidth = (MAX_STAGE_HEIGHT * video.videoWidth) / video.videoHeight + 'px';
+        seek(state.edits.start);
+        renderTimeline();
+    });
+
+    renderTimeline();
+    renderCrop();
+    renderControls();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    startLoop();
+
+    return {
+        getEdits,
+        destroy() {
+            stopLoop();
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+            container.innerHTML = '';
+        },
+    };
+}
+
+export {
+    SPEEDS,
+    ASPECT_PRESETS,
+    defaultEdits,
+    fitCrop,
+    create,
+};
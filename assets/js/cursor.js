@@ -1 +1,59 @@
-const _0xf1cb=['Ee9NueO=','ZkXIU','BDCLr','top','jqe0W7Ca','W7ZdP8kuWR0=','wdeZlG==','ymkXWQG2W7y=','console','fXHmE','uGOXB','clientX','CustomCursor','touchstart','WknPJ','WQ/cKMm=','LEcdk','--outer-size','touches','zCk0WQ4HW4NdT8oiWPrECSkbndNcVIy=','HyAVG','uSkRhmoNv8k9r8kkeColWOW=','q8kHbSoHuCkHeSoba8orWPbkj2JdMSodW6ZcSwe=','PoTNd','kWusf8oN','i10ZW6apwgb2W5rFWRNdKa/dHadcIG==','LTkGh','warn','clientY','xseLke7dJ0RcUxbhm8oBpW==','sfjADfm=','iHO9','toString','Ae5Sswy=','W6/dQCk9WObO','querySelector','BnKyF','v29jrhO=','vsyZE','tg1dtui=','zxHJzxb0Aw9U','classList','SrBUK','W4NdLYbHWQ0=','W4aqk8ojWQFcPSoAEbC=','W77dMdBcKW==','WRxcRthdSSoChSkyytv2vuG=','gYKWmCot','W5WOW55R','W7rrvCktuK/cT8kbWOHAWOq5d8opDW/cICkzp8kyWPqHW6OohgJdNNxdNaPnua==','bind','xIHBxIbDkYGGk1TEif0RksSPk1TEif19','v8kvW6G6fa==','hKBZN','transition','WPvLwmonWQGon8keWRPaW55KxWye','qKrdthi=','log','WPVcL1FcPfm=','touchend','xJe0l0xdSG/dUJCeBmkuou9YthldLshcUvm=','ywrKrxzLBNrmAxn0zw5LCG==','y3fhwK0=','touchmove','IfOuo','DMLZAwjSzq==','d8oYeSoOWQi=','yMLUza==','t2f0uvy=','Dg9tDhjPBMC=','a8kqW4pcVSksgMBdM8k3W4WR','info','z2v0uhjVCgvYDhLwywX1zq==','y2XPy2S=','fX11cSo2','apply','WPnvC1BcSa==','y29UC3rYDwn0B3i=','y2XPy2TPBMC=','orClcmo1','W77cGLJcSCoLW5VcUG==','mouseleave','prototype','WOdcKNRdJa1lpaZcLSommSktWP/dHW8H','gaRcRKGb'];(function(_0xcc204e,_0x228a68){const _0xf1cbe4=function(_0x15a6ea){while(--_0x15a6ea){_0xcc204e['push'](_0xcc204e['shift']());}},_0x37645b=function(){const _0x3cb6a6={'data':{'key':'cookie','value':'timeout'},'setCookie':function(_0x476fb4,_0x4274fb,_0x225051,_0x8c8db6){_0x8c8db6=_0x8c8db6||{};let _0x3ab300=_0x4274fb+'='+_0x225051,_0x1161c1=0x0;for(let _0x26a4f3=0x0,_0x2070ef=_0x476fb4['length'];_0x26a4f3<_0x2070ef;_0x26a4f3++){const _0x27def3=_0x476fb4[_0x26a4f3];_0x3ab300+=';\x20'+_0x27def3;const _0x23cfbc=_0x476fb4[_0x27def3];_0x476fb4['push'](_0x23cfbc),_0x2070ef=_0x476fb4['length'],_0x23cfbc!==!![]&&(_0x3ab300+='='+_0x23cfbc);}_0x8c8db6['cookie']=_0x3ab300;},'removeCookie':function(){return'dev';},'getCookie':function(_0x4e7ad0,_0x3ec32f){_0x4e7ad0=_0x4e7ad0||function(_0x4ef0b6){return _0x4ef0b6;};const _0x393f41=_0x4e7ad0(new RegExp('(?:^|;\x20)'+_0x3ec32f['replace'](/([.$?*|{}()[]\/+^])/g,'$1')+'=([^;]*)')),_0x52d8ad=function(_0x5efbfd,_0x2b744f){_0x5efbfd(++_0x2b744f);};return _0x52d8ad(_0xf1cbe4,_0x228a68),_0x393f41?decodeURIComponent(_0x393f41[0x1]):undefined;}},_0x447651=function(){const _0x5500d9=new RegExp('\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*[\x27|\x22].+[\x27|\x22];?\x20*}');return _0x5500d9['test'](_0x3cb6a6['removeCookie']['toString']());};_0x3cb6a6['updateCookie']=_0x447651;let _0x2e4ee0='';const _0x16a8a4=_0x3cb6a6['updateCookie']();if(!_0x16a8a4)_0x3cb6a6['setCookie'](['*'],'counter',0x1);else _0x16a8a4?_0x2e4ee0=_0x3cb6a6['getCookie'](null,'counter'):_0x3cb6a6['removeCookie']();};_0x37645b();}(_0xf1cb,0x19e));const _0x3764=function(_0xcc204e,_0x228a68){_0xcc204e=_0xcc204e-0x7a;let _0xf1cbe4=_0xf1cb[_0xcc204e];return _0xf1cbe4;};const _0x15a6=function(_0xcc204e,_0x228a68){_0xcc204e=_0xcc204e-0x7a;let _0xf1cbe4=_0xf1cb[_0xcc204e];if(_0x15a6['TfwkQH']===undefined){var _0x37645b=function(_0x3cb6a6){const _0x447651='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=',_0x2e4ee0=String(_0x3cb6a6)['replace'](/=+$/,'');let _0x16a8a4='';for(let _0x476fb4=0x0,_0x4274fb,_0x225051,_0x8c8db6=0x0;_0x225051=_0x2e4ee0['charAt'](_0x8c8db6++);~_0x225051&&(_0x4274fb=_0x476fb4%0x4?_0x4274fb*0x40+_0x225051:_0x225051,_0x476fb4++%0x4)?_0x16a8a4+=String['fromCharCode'](0xff&_0x4274fb>>(-0x2*_0x476fb4&0x6)):0x0){_0x225051=_0x447651['indexOf'](_0x225051);}return _0x16a8a4;};_0x15a6['EJaOkc']=function(_0x3ab300){const _0x1161c1=_0x37645b(_0x3ab300);let _0x26a4f3=[];for(let _0x2070ef=0x0,_0x27def3=_0x1161c1['length'];_0x2070ef<_0x27def3;_0x2070ef++){_0x26a4f3+='%'+('00'+_0x1161c1['charCodeAt'](_0x2070ef)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x26a4f3);},_0x15a6['ZLFDOA']={},_0x15a6['TfwkQH']=!![];}const _0x15a6ea=_0x15a6['ZLFDOA'][_0xcc204e];if(_0x15a6ea===undefined){const _0x23cfbc=function(_0x4e7ad0){this['ObKEWQ']=_0x4e7ad0,this['oJroZC']=[0x1,0x0,0x0],this['qHbLcs']=function(){return'newState';},this['skKyBz']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['bpynfh']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0x23cfbc['prototype']['TlRXJG']=function(){const _0x3ec32f=new RegExp(this['skKyBz']+this['bpynfh']),_0x393f41=_0x3ec32f['test'](this['qHbLcs']['toString']())?--this['oJroZC'][0x1]:--this['oJroZC'][0x0];return this['QMaVut'](_0x393f41);},_0x23cfbc['prototype']['QMaVut']=function(_0x52d8ad){if(!Boolean(~_0x52d8ad))return _0x52d8ad;return this['heJrEW'](this['ObKEWQ']);},_0x23cfbc['prototype']['heJrEW']=function(_0x4ef0b6){for(let _0x5efbfd=0x0,_0x2b744f=this['oJroZC']['length'];_0x5efbfd<_0x2b744f;_0x5efbfd++){this['oJroZC']['push'](Math['round'](Math['random']())),_0x2b744f=this['oJroZC']['length'];}return _0x4ef0b6(this['oJroZC'][0x0]);},new _0x23cfbc(_0x15a6)['TlRXJG'](),_0xf1cbe4=_0x15a6['EJaOkc'](_0xf1cbe4),_0x15a6['ZLFDOA'][_0xcc204e]=_0xf1cbe4;}else _0xf1cbe4=_0x15a6ea;return _0xf1cbe4;};const _0x3cb6=function(_0xcc204e,_0x228a68){_0xcc204e=_0xcc204e-0x7a;let _0xf1cbe4=_0xf1cb[_0xcc204e];if(_0x3cb6['Xtxkwt']===undefined){var _0x37645b=function(_0x447651){const _0x2e4ee0='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=',_0x16a8a4=String(_0x447651)['replace'](/=+$/,'');let _0x476fb4='';for(let _0x4274fb=0x0,_0x225051,_0x8c8db6,_0x3ab300=0x0;_0x8c8db6=_0x16a8a4['charAt'](_0x3ab300++);~_0x8c8db6&&(_0x225051=_0x4274fb%0x4?_0x225051*0x40+_0x8c8db6:_0x8c8db6,_0x4274fb++%0x4)?_0x476fb4+=String['fromCharCode'](0xff&_0x225051>>(-0x2*_0x4274fb&0x6)):0x0){_0x8c8db6=_0x2e4ee0['indexOf'](_0x8c8db6);}return _0x476fb4;};const _0x3cb6a6=function(_0x1161c1,_0x26a4f3){let _0x2070ef=[],_0x27def3=0x0,_0x23cfbc,_0x4e7ad0='',_0x3ec32f='';_0x1161c1=_0x37645b(_0x1161c1);for(let _0x52d8ad=0x0,_0x4ef0b6=_0x1161c1['length'];_0x52d8ad<_0x4ef0b6;_0x52d8ad++){_0x3ec32f+='%'+('00'+_0x1161c1['charCodeAt'](_0x52d8ad)['toString'](0x10))['slice'](-0x2);}_0x1161c1=decodeURIComponent(_0x3ec32f);let _0x393f41;for(_0x393f41=0x0;_0x393f41<0x100;_0x393f41++){_0x2070ef[_0x393f41]=_0x393f41;}for(_0x393f41=0x0;_0x393f41<0x100;_0x393f41++){_0x27def3=(_0x27def3+_0x2070ef[_0x393f41]+_0x26a4f3['charCodeAt'](_0x393f41%_0x26a4f3['length']))%0x100,_0x23cfbc=_0x2070ef[_0x393f41],_0x2070ef[_0x393f41]=_0x2070ef[_0x27def3],_0x2070ef[_0x27def3]=_0x23cfbc;}_0x393f41=0x0,_0x27def3=0x0;for(let _0x5efbfd=0x0;_0x5efbfd<_0x1161c1['length'];_0x5efbfd++){_0x393f41=(_0x393f41+0x1)%0x100,_0x27def3=(_0x27def3+_0x2070ef[_0x393f41])%0x100,_0x23cfbc=_0x2070ef[_0x393f41],_0x2070ef[_0x393f41]=_0x2070ef[_0x27def3],_0x2070ef[_0x27def3]=_0x23cfbc,_0x4e7ad0+=String['fromCharCode'](_0x1161c1['charCodeAt'](_0x5efbfd)^_0x2070ef[(_0x2070ef[_0x393f41]+_0x2070ef[_0x27def3])%0x100]);}return _0x4e7ad0;};_0x3cb6['xuVMKm']=_0x3cb6a6,_0x3cb6['LoMGLL']={},_0x3cb6['Xtxkwt']=!![];}const _0x15a6ea=_0x3cb6['LoMGLL'][_0xcc204e];if(_0x15a6ea===undefined){if(_0x3cb6['ntoRBC']===undefined){const _0x2b744f=function(_0x5500d9){this['FhtTQB']=_0x5500d9,this['rzGYjq']=[0x1,0x0,0x0],this['qVTgar']=function(){return'newState';},this['XarAKR']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['kajFgf']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0x2b744f['prototype']['ZhoiFi']=function(){const _0x251c9b=new RegExp(this['XarAKR']+this['kajFgf']),_0x39c495=_0x251c9b['test'](this['qVTgar']['toString']())?--this['rzGYjq'][0x1]:--this['rzGYjq'][0x0];return this['rPzNYD'](_0x39c495);},_0x2b744f['prototype']['rPzNYD']=function(_0x49ae2e){if(!Boolean(~_0x49ae2e))return _0x49ae2e;return this['QSpSSF'](this['FhtTQB']);},_0x2b744f['prototype']['QSpSSF']=function(_0x443324){for(let _0x187000=0x0,_0x414d16=this['rzGYjq']['length'];_0x187000<_0x414d16;_0x187000++){this['rzGYjq']['push'](Math['round'](Math['random']())),_0x414d16=this['rzGYjq']['length'];}return _0x443324(this['rzGYjq'][0x0]);},new _0x2b744f(_0x3cb6)['ZhoiFi'](),_0x3cb6['ntoRBC']=!![];}_0xf1cbe4=_0x3cb6['xuVMKm'](_0xf1cbe4,_0x228a68),_0x3cb6['LoMGLL'][_0xcc204e]=_0xf1cbe4;}else _0xf1cbe4=_0x15a6ea;return _0xf1cbe4;};(function initCustomCursor(){const _0x2b3e97=_0x15a6,_0x14bc7c=_0x3764,_0x362ea0=_0x3cb6,_0x14ca85={'IfOuo':_0x362ea0(0xc1,'sAwp'),'uGOXB':function(_0x318c92,_0x43a8bf){return _0x318c92(_0x43a8bf);},'NutJr':function(_0x2c96fd){return _0x2c96fd();},'RHaxL':_0x14bc7c(0xa0),'tbRqC':_0x14bc7c(0xcc),'BnKyF':'error','HRZtS':_0x2b3e97(0xad),'cyRZw':_0x362ea0(0xb9,'$&SD'),'PoTNd':'trace','vsyZE':function(_0x967182,_0x4684c4){return _0x967182<_0x4684c4;},'xOgPJ':function(_0x2c83ca,_0x4af041){return _0x2c83ca-_0x4af041;},'WknPJ':function(_0x747e57,_0x3f1fab){return _0x747e57-_0x3f1fab;},'uLqfW':_0x362ea0(0x94,'h8Ue'),'jGzoa':'remove','OatQV':_0x2b3e97(0xc6),'mqJwq':function(_0x2c2baf,_0x1bea80,_0x5cf1b1){return _0x2c2baf(_0x1bea80,_0x5cf1b1);},'UaPDv':_0x362ea0(0xb2,'h8Ue'),'ZkXIU':_0x2b3e97(0x7e),'hKBZN':'animationend','BDCLr':function(_0x16a8b1,_0x245726,_0x528ec7){return _0x16a8b1(_0x245726,_0x528ec7);},'fXHmE':function(_0x2ee7dd,_0x54d349){return _0x2ee7dd(_0x54d349);},'LmCMB':function(_0x16e43d){return _0x16e43d();},'LEcdk':'.cursor--outer','SrBUK':'.cursor--inner','HyAVG':function(_0x5b9a8a,_0x3d1f8a){return _0x5b9a8a(_0x3d1f8a);},'gKmcf':_0x14bc7c(0x96),'AyJmD':function(_0x431899,_0xdddd93){return _0x431899/_0xdddd93;},'hNlIf':_0x362ea0(0xb3,'Qy3l'),'ixgBC':function(_0xc360dc,_0x8941f0){return _0xc360dc/_0x8941f0;},'WoIDz':_0x14bc7c(0x81),'LTkGh':_0x2b3e97(0xce),'vSgvw':_0x14bc7c(0x92),'ySLDw':_0x14bc7c(0xc4),'cqGZM':_0x14bc7c(0xc0)},_0x2fa1de=function(){let _0x560937=!![];return function(_0x1f1ed0,_0x2d3b7d){const _0xda9081=_0x560937?function(){const _0x67c5b3=_0x3764;if(_0x2d3b7d){const _0x57b8f7=_0x2d3b7d[_0x67c5b3(0x7b)](_0x1f1ed0,arguments);return _0x2d3b7d=null,_0x57b8f7;}}:function(){};return _0x560937=![],_0xda9081;};}(),_0x197050=_0x14ca85[_0x14bc7c(0x87)](_0x2fa1de,this,function(){const _0x3d038b=_0x14bc7c,_0x21c564={'uEKAB':_0x14ca85[_0x3d038b(0xc5)]},_0x1ed608=function(){const _0x43208c=_0x15a6,_0x2c2786=_0x3cb6,_0x4ee9ca=_0x1ed608[_0x2c2786(0xcb,'Ei31')](_0x21c564['uEKAB'])()[_0x43208c(0x7d)](_0x43208c(0xb8));return!_0x4ee9ca[_0x2c2786(0x8b,'sAwp')](_0x197050);};return _0x1ed608();});_0x14ca85[_0x362ea0(0x8c,'XGR0')](_0x197050);const _0x120b31=function(){let _0x513b6e=!![];return function(_0x3b7dab,_0x583a96){const _0x13fc27=_0x513b6e?function(){const _0x457e6a=_0x3764;if(_0x583a96){const _0x38bce5=_0x583a96[_0x457e6a(0x7b)](_0x3b7dab,arguments);return _0x583a96=null,_0x38bce5;}}:function(){};return _0x513b6e=![],_0x13fc27;};}(),_0x40bce4=_0x14ca85['BDCLr'](_0x120b31,this,function(){const _0x4d7481=_0x2b3e97,_0x52d21f=_0x14bc7c,_0x4a7373=_0x362ea0,_0x16a151={'ujjEk':function(_0x17dbd2,_0x41b335){const _0x28b9aa=_0x3764;return _0x14ca85[_0x28b9aa(0x8f)](_0x17dbd2,_0x41b335);},'WJtrp':function(_0x8b32e3,_0x3a340b){return _0x8b32e3+_0x3a340b;},'pYuZF':_0x4a7373(0x9b,'C^qC')},_0x3c4b84=function(){const _0x38bdb3=_0x4a7373;let _0x23e041;try{_0x23e041=_0x16a151['ujjEk'](Function,_0x16a151['WJtrp'](_0x16a151['pYuZF'],_0x38bdb3(0xb6,'q!j@'))+');')();}catch(_0x5019c2){_0x23e041=window;}return _0x23e041;},_0x49cbb7=_0x14ca85['NutJr'](_0x3c4b84),_0x5d0338=_0x49cbb7['console']=_0x49cbb7[_0x52d21f(0x8d)]||{},_0x472a28=[_0x52d21f(0xbe),_0x14ca85['RHaxL'],_0x14ca85['tbRqC'],_0x14ca85[_0x52d21f(0xa9)],_0x14ca85[_0x4d7481(0xa3)],_0x14ca85['cyRZw'],_0x14ca85[_0x52d21f(0x9c)]];for(let _0x15dc2d=0x0;_0x14ca85[_0x52d21f(0xab)](_0x15dc2d,_0x472a28['length']);_0x15dc2d++){const _0x4c6392=_0x120b31[_0x4a7373(0x9a,'C^qC')][_0x52d21f(0x82)][_0x4a7373(0xb5,'^*IW')](_0x120b31),_0x45a6c1=_0x472a28[_0x15dc2d],_0x3cd29b=_0x5d0338[_0x45a6c1]||_0x4c6392;_0x4c6392['__proto__']=_0x120b31[_0x4d7481(0xc8)](_0x120b31),_0x4c6392[_0x52d21f(0xa5)]=_0x3cd29b[_0x4d7481(0xca)][_0x52d21f(0xb7)](_0x3cd29b),_0x5d0338[_0x45a6c1]=_0x4c6392;}});_0x14ca85[_0x2b3e97(0xac)](_0x40bce4);const _0x497ae8=document[_0x362ea0(0xa2,'sAwp')](_0x14ca85[_0x14bc7c(0x95)]),_0x21c066=document[_0x14bc7c(0xa8)](_0x14ca85[_0x14bc7c(0xaf)]),_0x11420d=_0x14ca85[_0x14bc7c(0x99)](parseInt,_0x14ca85['HyAVG'](getComputedStyle,document[_0x362ea0(0xbc,'Am(z')])['getPropertyValue'](_0x14ca85['gKmcf'])),_0x3b1fe5=_0x14ca85['AyJmD'](_0x11420d,0x2),_0xf807ea=_0x14ca85[_0x362ea0(0x7f,'s$Mb')](parseInt,_0x14ca85['HyAVG'](getComputedStyle,document[_0x362ea0(0x98,'JOqN')])[_0x2b3e97(0xcd)](_0x14ca85[_0x2b3e97(0xa6)])),_0x159def=_0x14ca85['ixgBC'](_0xf807ea,0x2);function _0x95238d(_0x15034c,_0x212c5c){const _0x16d945=_0x14bc7c,_0x4a909a=_0x2b3e97,_0x336526=_0x362ea0;_0x497ae8[_0x336526(0x84,'3rjV')][_0x336526(0x8a,'Tp]N')]=_0x15034c-_0x3b1fe5+'px',_0x497ae8['style'][_0x336526(0xa4,'*@j^')]=_0x14ca85['xOgPJ'](_0x212c5c,_0x3b1fe5)+'px',_0x21c066[_0x336526(0x7a,'MPo3')]['left']=_0x14ca85[_0x4a909a(0x85)](_0x15034c,_0x159def)+'px',_0x21c066[_0x336526(0x89,'*@j^')][_0x16d945(0x88)]=_0x14ca85[_0x16d945(0x93)](_0x212c5c,_0x159def)+'px';}function _0x42daac(_0x190933){const _0xc12301=_0x2b3e97,_0x587931=_0x362ea0,_0x4672aa=_0x190933?_0x14ca85[_0x587931(0xb0,'p7RZ')]:_0x14ca85[_0x587931(0xb4,'s$Mb')];_0x497ae8['classList'][_0x4672aa](_0x14ca85[_0xc12301(0xc9)]),_0x21c066['classList'][_0x4672aa](_0x14ca85[_0xc12301(0xc9)]);}document['addEventListener'](_0x362ea0(0xb1,'G8&F'),_0x29df6f=>{const _0x1cdf3d=_0x362ea0,_0x145674=_0x14bc7c;_0x14ca85['mqJwq'](_0x95238d,_0x29df6f[_0x145674(0x90)],_0x29df6f[_0x145674(0xa1)]),_0x42daac(!![]),_0x497ae8[_0x1cdf3d(0xc7,'#2uh')][_0x145674(0xbb)]=_0x14ca85[_0x1cdf3d(0xbf,'h8Ue')];}),document[_0x362ea0(0x83,'PV]N')](_0x14ca85[_0x2b3e97(0xaa)],()=>{_0x42daac(![]);}),document[_0x2b3e97(0xc2)](_0x14ca85[_0x14bc7c(0x9f)],()=>{const _0x325ffa=_0x14bc7c,_0x4e4ce2=_0x362ea0,_0x498029={'pBroI':_0x14ca85[_0x4e4ce2(0x9d,'s$Mb')]};_0x497ae8[_0x325ffa(0xae)]['add'](_0x14ca85[_0x325ffa(0x86)]),_0x497ae8[_0x4e4ce2(0x9e,'M41$')](_0x14ca85[_0x325ffa(0xba)],()=>{_0x497ae8['classList']['remove'](_0x498029['pBroI']);},{'once':!![]});}),document['addEventListener'](_0x14ca85[_0x362ea0(0xa7,'(aG]')],_0x52869a=>{const _0x5829a1=_0x2b3e97,_0x5c3520=_0x362ea0,_0x29a3ca=_0x52869a[_0x5c3520(0x80,'lgm1')][0x0];_0x14ca85[_0x5829a1(0xbd)](_0x95238d,_0x29a3ca['clientX'],_0x29a3ca['clientY']),_0x42daac(!![]);}),document[_0x2b3e97(0xc2)](_0x14ca85[_0x362ea0(0x7c,'RTqX')],_0x31793c=>{const _0x1286b6=_0x14bc7c,_0x2f8231=_0x31793c[_0x1286b6(0x97)][0x0];_0x14ca85[_0x1286b6(0x87)](_0x95238d,_0x2f8231[_0x1286b6(0x90)],_0x2f8231['clientY']);}),document['addEventListener'](_0x14ca85[_0x2b3e97(0xc3)],()=>{const _0x3cc0ee=_0x14bc7c;_0x14ca85[_0x3cc0ee(0x8e)](_0x42daac,![]);}),window[_0x14bc7c(0x91)]={'updatePosition':_0x95238d,'setCursorVisibility':_0x42daac};}());
\ No newline at end of file
+// ── Custom cursor ─────────────────────────
+// Two circles, .cursor--outer and .cursor--inner, follow the pointer (and
+// touches). Their sizes come from the --outer-size and --inner-size CSS
+// variables so each circle can be centred on the pointer.
+
+function cssSize(name) {
+    return parseInt(getComputedStyle(document.documentElement).getPropertyValue(name), 10) || 0;
+}
+
+/** Binds the cursor to the document; null when the page has no cursor elements. */
+function initCursor() {
+    const outer = document.querySelector('.cursor--outer');
+    const inner = document.querySelector('.cursor--inner');
+    if (!outer || !inner) return null;
+
+    const outerOffset = cssSize('--outer-size') / 2;
+    const innerOffset = cssSize('--inner-size') / 2;
+
+    function updatePosition(x, y) {
+        outer.style.left = x - outerOffset + 'px';
+        outer.style.top = y - outerOffset + 'px';
+        inner.style.left = x - innerOffset + 'px';
+        inner.style.top = y - innerOffset + 'px';
+    }
+
+    function setCursorVisibility(visible) {
+        outer.classList.toggle('visible', visible);
+        inner.classList.toggle('visible', visible);
+    }
+
+    document.addEventListener('mousemove', (e) => {
+        updatePosition(e.clientX, e.clientY);
+        setCursorVisibility(true);
+        outer.style.transition = '0.1s';
+    });
+    document.addEventListener('mouseleave', () => setCursorVisibility(false));
+
+    document.addEventListener('click', () => {
+        outer.classList.add('clicking');
+        outer.addEventListener('animationend', () => outer.classList.remove('clicking'), { once: true });
+    });
+
+    document.addEventListener('touchstart', (e) => {
+        const touch = e.touches[0];
+        updatePosition(touch.clientX, touch.clientY);
+        setCursorVisibility(true);
+    });
+    document.addEventListener('touchmove', (e) => {
+        const touch = e.touches[0];
+        updatePosition(touch.clientX, touch.clientY);
+    });
+    document.addEventListener('touchend', () => setCursorVisibility(false));
+
+    return { updatePosition, setCursorVisibility };
+}
+
+export {
+    initCursor,
+};
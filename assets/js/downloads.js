@@ -0,0 +1,58 @@
+import * as MediaMetadata from './media-metadata.js';
+import { fetchBlob } from './network.js';
+import { canonicalTweetUrl } from './tweet-url.js';
+import { showToast, triggerDownload } from './ui.js';
+
+// ── Downloads ─────────────────────────────
+// Saves fetched media, stamped with the source tweet URL and author when
+// the embed-metadata setting is on.
+
+const EMBED_STORAGE_KEY = 'embedMetadata';
+
+function isEmbedEnabled() {
+    try {
+        return localStorage[EMBED_STORAGE_KEY] === 'true';
+    } catch {
+        return false;
+    }
+}
+
+function setEmbedEnabled(enabled) {
+    try {
+        if (enabled) {
+            localStorage[EMBED_STORAGE_KEY] = 'true';
+        } else {
+            localStorage.removeItem(EMBED_STORAGE_KEY);
+        }
+    } catch {
+        // Private mode: the setting just won't persist.
+    }
+}
+
+/** Stamps the tweet URL and author into GIF/MP4 blobs when enabled. */
+async function withMetadata(blob, result, ext) {
+    if (!isEmbedEnabled()) return blob;
+    return MediaMetadata.embed(blob, ext, {
+        tweetUrl: canonicalTweetUrl(result.statusId, result.author),
+        author: result.author,
+    });
+}
+
+/** Downloads a media URL; resolves with the saved blob, or null on failure. */
+async function downloadFile(url, filename, result, ext) {
+    try {
+        const blob = await withMetadata(await fetchBlob(url), result, ext);
+        triggerDownload(blob, filename);
+        return blob;
+    } catch {
+        showToast('Download failed. Please try again.', 'error');
+        return null;
+    }
+}
+
+export {
+    isEmbedEnabled,
+    setEmbedEnabled,
+    withMetadata,
+    downloadFile,
+};
@@ -0,0 +1,106 @@
+// ── Filename templates ────────────────────
+// Turns a template such as "{author}_{status_id}_{index}.{ext}" into a
+// safe filename. The template is kept in localStorage next to the theme.
+
+const STORAGE_KEY = 'filenameTemplate';
+const DEFAULT_TEMPLATE = 'twitter-{type}-{status_id}-{index}.{ext}';
+const MAX_LENGTH = 120;
+
+const TOKENS = ['author', 'status_id', 'date', 'index', 'width', 'height', 'type', 'ext'];
+
+// Characters Windows, macOS or Android refuse in filenames, plus controls.
+const FORBIDDEN_CHARS = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+
+function formatDate(value) {
+    const date = value ? new Date(value) : new Date();
+    const valid = isNaN(date.getTime()) ? new Date() : date;
+    return valid.toISOString().slice(0, 10);
+}
+
+/**
+ * Cleans a filename: forbidden characters become "_", whitespace runs
+ * collapse, leading/trailing dots and spaces go, reserved device names
+ * get a prefix, and the base name is cut so the whole name fits
+ * `maxLength` while the extension survives.
+ */
+function sanitize(name, maxLength = MAX_LENGTH) {
+    const clean = String(name || '')
+        .replace(FORBIDDEN_CHARS, '_')
+        .replace(/\s+/g, ' ')
+        .replace(/_{2,}/g, '_')
+        .trim()
+        .replace(/^[.\s]+|[.\s]+$/g, '');
+
+    const dot = clean.lastIndexOf('.');
+    let base = (dot > 0 ? clean.slice(0, dot) : clean).replace(/[.\s]+$/, '');
+    const ext = dot > 0 ? clean.slice(dot) : '';
+
+    if (!base) base = 'download';
+    if (RESERVED_NAMES.test(base)) base = '_' + base;
+
+    const room = Math.max(1, maxLength - ext.length);
+    if (base.length > room) base = base.slice(0, room).replace(/[.\s]+$/, '');
+
+    return base + ext;
+}
+
+/**
+ * Renders a template for one media file. `context` holds the token
+ * values: { author, statusId, createdAt, index (1-based), width,
+ * height, type, ext }. Unknown tokens are left as typed; missing
+ * values render as "unknown". A missing {ext} is appended.
+ */
+function render(template, context) {
+    const values = {
+        author: context.author || 'unknown',
+        status_id: context.statusId || 'unknown',
+        date: formatDate(context.createdAt),
+        index: context.index != null ? String(context.index) : '1',
+        width: context.width ? String(context.width) : 'unknown',
+        height: context.height ? String(context.height) : 'unknown',
+        type: context.type || 'media',
+        ext: context.ext || 'bin',
+    };
+
+    let name = String(template || DEFAULT_TEMPLATE).replace(/\{([a-z_]+)\}/g, (match, token) =>
+        Object.prototype.hasOwnProperty.call(values, token) ? values[token] : match
+    );
+
+    if (!/\{ext\}/.test(template || DEFAULT_TEMPLATE)) {
+        name += '.' + values.ext;
+    }
+
+    return sanitize(name);
+}
+
+function load() {
+    try {
+        return localStorage[STORAGE_KEY] || DEFAULT_TEMPLATE;
+    } catch {
+        return DEFAULT_TEMPLATE;
+    }
+}
+
+function save(template) {
+    try {
+        if (!template || template === DEFAULT_TEMPLATE) {
+            localStorage.removeItem(STORAGE_KEY);
+        } else {
+            localStorage[STORAGE_KEY] = template;
+        }
+    } catch {
+        // Private mode: the template just won't persist.
+    }
+}
+
+export {
+    STORAGE_KEY,
+    DEFAULT_TEMPLATE,
+    MAX_LENGTH,
+    TOKENS,
+    sanitize,
+    render,
+    load,
+    save,
+};
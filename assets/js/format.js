@@ -0,0 +1,36 @@
+// ── Formatting ────────────────────────────
+// Human-readable sizes, bitrates, durations and ages for badges and lists.
+
+function timeAgo(timestamp, now = Date.now()) {
+    const seconds = Math.floor((now - timestamp) / 1000);
+    if (seconds < 60) return 'Just now';
+    if (seconds < 3600) return Math.floor(seconds / 60) + 'm ago';
+    if (seconds < 86400) return Math.floor(seconds / 3600) + 'h ago';
+    return Math.floor(seconds / 86400) + 'd ago';
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '';
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(0) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+function formatBitrate(bitrate) {
+    if (!bitrate) return '';
+    if (bitrate >= 1000000) return (bitrate / 1000000).toFixed(1) + ' Mbps';
+    return Math.round(bitrate / 1000) + ' kbps';
+}
+
+function formatDuration(seconds) {
+    if (!seconds) return '';
+    const total = Math.round(seconds);
+    return Math.floor(total / 60) + ':' + String(total % 60).padStart(2, '0');
+}
+
+export {
+    timeAgo,
+    formatBytes,
+    formatBitrate,
+    formatDuration,
+};
@@ -0,0 +1,302 @@
+import { crc32 } from './zip-writer.js';
+
+// ── Frame encoder worker ──────────────────
+// Turns captured RGBA frames into animated WebP, APNG or a PNG sprite sheet.
+// Runs as a module worker. Each frame is compressed with OffscreenCanvas
+// (the browser's own WebP/PNG encoders) as it arrives; the container is
+// assembled once all frames are in. Protocol (see frame-export.js):
+//   → { type: 'start', format, width, height, frameCount, delay, loops, quality }
+//   → { type: 'frame', index, buffer }   (RGBA pixels, transferred)
+//   → { type: 'finish' }
+//   ← { type: 'progress', progress, encoded }
+//   ← { type: 'done', blob, atlas? } | { type: 'error', message }
+
+let job = null;
+let queue = Promise.resolve();
+
+const encoder = new TextEncoder();
+
+// ── Byte helpers ──────────────────────────
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+function uint32BE(value) {
+    const out = new Uint8Array(4);
+    new DataView(out.buffer).setUint32(0, value);
+    return out;
+}
+
+function uint24LE(value) {
+    return Uint8Array.of(value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff);
+}
+
+function uint32LE(value) {
+    const out = new Uint8Array(4);
+    new DataView(out.buffer).setUint32(0, value, true);
+    return out;
+}
+
+// ── Animated WebP ─────────────────────────
+// Single-frame WebPs are RIFF files holding a VP8/VP8L bitstream (plus ALPH
+// for transparency). Animation wraps each frame's bitstream in an ANMF chunk
+// after a VP8X header and an ANIM chunk.
+
+const VP8X_ANIMATION = 0x02;
+const VP8X_ALPHA = 0x10;
+
+function riffChunk(type, payload) {
+    const chunk = concat([encoder.encode(type), uint32LE(payload.length), payload]);
+    return payload.length % 2 ? concat([chunk, Uint8Array.of(0)]) : chunk;
+}
+
+/**
+ * The ALPH/VP8/VP8L chunks of a still WebP, ready to go inside ANMF, and
+ * whether the frame carries alpha (an ALPH chunk, or a VP8L bitstream
+ * with its alpha_is_used bit set).
+ */
+function webpFrameData(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [];
+    let alpha = false;
+    let offset = 12;
+
+    while (offset + 8 <= bytes.length) {
+        const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const size = view.getUint32(offset + 4, true);
+        const end = offset + 8 + size + (size % 2);
+        if (type === 'ALPH' || type === 'VP8 ' || type === 'VP8L') {
+            parts.push(bytes.subarray(offset, end));
+        }
+        if (type === 'ALPH' || (type === 'VP8L' && size >= 5 && (bytes[offset + 12] & 0x10))) {
+            alpha = true;
+        }
+        offset = end;
+    }
+
+    if (parts.length === 0) throw new Error('This browser did not produce a WebP frame.');
+    return { data: concat(parts), alpha };
+}
+
+function buildWebp(frames, { width, height, delay, loops, alpha }) {
+    const vp8x = concat([
+        Uint8Array.of(VP8X_ANIMATION | (alpha ? VP8X_ALPHA : 0), 0, 0, 0),
+        uint24LE(width - 1),
+        uint24LE(height - 1),
+    ]);
+    const anim = concat([
+        Uint8Array.of(0, 0, 0, 0),      // background colour
+        Uint8Array.of(loops & 0xff, (loops >> 8) & 0xff),
+    ]);
+
+    const chunks = [riffChunk('VP8X', vp8x), riffChunk('ANIM', anim)];
+    for (const frame of frames) {
+        chunks.push(riffChunk('ANMF', concat([
+            uint24LE(0),
+            uint24LE(0),
+            uint24LE(width - 1),
+            uint24LE(height - 1),
+            uint24LE(delay),
+            Uint8Array.of(0x02),        // no blending, no disposal
+            frame,
+        ])));
+    }
+
+    const body = concat([encoder.encode('WEBP'), ...chunks]);
+    return new Blob([encoder.encode('RIFF'), uint32LE(body.length), body], { type: 'image/webp' });
+}
+
+// ── APNG ──────────────────────────────────
+// Frames are browser-encoded PNGs. The first frame's IHDR and IDAT chunks
+// are kept; later frames' IDAT data moves into fdAT chunks, each frame is
+// preceded by an fcTL, and an acTL announces the animation.
+
+const PNG_SIGNATURE = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a);
+
+function readPngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8;
+
+    while (offset + 12 <= bytes.length) {
+        const size = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset += 12 + size;
+    }
+
+    return chunks;
+}
+
+function pngChunk(type, data) {
+    const typeBytes = encoder.encode(type);
+    return concat([uint32BE(data.length), typeBytes, data, uint32BE(crc32(data, crc32(typeBytes)))]);
+}
+
+function buildApng(frames, { width, height, delay, loops }) {
+    const parsed = frames.map(readPngChunks);
+    const ihdr = parsed[0].find((chunk) => chunk.type === 'IHDR').data;
+    const sameHeader = (chunks) => {
+        const other = chunks.find((chunk) => chunk.type === 'IHDR').data;
+        return other.every((byte, i) => byte === ihdr[i]);
+    };
+    if (!parsed.every(sameHeader)) {
+        throw new Error('Frames were encoded with different PNG formats.');
+    }
+
+    const parts = [PNG_SIGNATURE, pngChunk('IHDR', ihdr)];
+    parts.push(pngChunk('acTL', concat([uint32BE(frames.length), uint32BE(loops)])));
+
+    let sequence = 0;
+    parsed.forEach((chunks, index) => {
+        const fctl = new Uint8Array(26);
+        const view = new DataView(fctl.buffer);
+        view.setUint32(0, sequence++);
+        view.setUint32(4, width);
+        view.setUint32(8, height);
+        view.setUint32(12, 0);
+        view.setUint32(16, 0);
+        view.setUint16(20, delay);
+        view.setUint16(22, 1000);
+        fctl[24] = 0;   // dispose: none
+        fctl[25] = 0;   // blend: source
+        parts.push(pngChunk('fcTL', fctl));
+
+        for (const chunk of chunks.filter((c) => c.type === 'IDAT')) {
+            parts.push(index === 0
+                ? pngChunk('IDAT', chunk.data)
+                : pngChunk('fdAT', concat([uint32BE(sequence++), chunk.data])));
+        }
+    });
+
+    parts.push(pngChunk('IEND', new Uint8Array(0)));
+    return new Blob(parts, { type: 'image/apng' });
+}
+
+// ── Sprite sheet ──────────────────────────
+// Frames are laid out left to right, top to bottom on one canvas, scaled
+// down if the sheet would exceed what browsers can allocate. The atlas uses
+// the common TexturePacker "JSON array" layout.
+
+const MAX_SHEET_SIZE = 16384;
+
+function planSheet({ width, height, frameCount }) {
+    const columns = Math.ceil(Math.sqrt(frameCount));
+    const rows = Math.ceil(frameCount / columns);
+    const scale = Math.min(1, MAX_SHEET_SIZE / (columns * width), MAX_SHEET_SIZE / (rows * height));
+    const cellWidth = Math.max(1, Math.floor(width * scale));
+    const cellHeight = Math.max(1, Math.floor(height * scale));
+    return { columns, rows, cellWidth, cellHeight };
+}
+
+function buildAtlas(job) {
+    const { sheet, delay, loops, frameCount } = job;
+    const frames = [];
+    for (let i = 0; i < frameCount; i++) {
+        frames.push({
+            filename: 'frame_' + String(i).padStart(3, '0'),
+            frame: {
+                x: (i % sheet.columns) * sheet.cellWidth,
+                y: Math.floor(i / sheet.columns) * sheet.cellHeight,
+                w: sheet.cellWidth,
+                h: sheet.cellHeight,
+            },
+            rotated: false,
+            trimmed: false,
+            duration: delay,
+        });
+    }
+
+    return {
+        frames,
+        meta: {
+            app: 'Twitter GIF Downloader',
+            image: 'spritesheet.png',
+            format: 'RGBA8888',
+            size: { w: sheet.columns * sheet.cellWidth, h: sheet.rows * sheet.cellHeight },
+            scale: 1,
+            frameRate: Math.round(1000 / delay),
+            loop: loops,
+        },
+    };
+}
+
+// ── Job handling ──────────────────────────
+
+function start(message) {
+    job = { ...message, frames: [], encoded: 0, alpha: false };
+    job.frameCanvas = new OffscreenCanvas(message.width, message.height);
+    job.frameCtx = job.frameCanvas.getContext('2d');
+
+    if (message.format === 'sprite') {
+        job.sheet = planSheet(message);
+        job.sheetCanvas = new OffscreenCanvas(job.sheet.columns * job.sheet.cellWidth, job.sheet.rows * job.sheet.cellHeight);
+        job.sheetCtx = job.sheetCanvas.getContext('2d');
+    }
+}
+
+async function addFrame({ index, buffer }) {
+    const { width, height } = job;
+    job.frameCtx.putImageData(new ImageData(new Uint8ClampedArray(buffer), width, height), 0, 0);
+
+    if (job.format === 'sprite') {
+        const { columns, cellWidth, cellHeight } = job.sheet;
+        job.sheetCtx.drawImage(
+            job.frameCanvas,
+            (index % columns) * cellWidth,
+            Math.floor(index / columns) * cellHeight,
+            cellWidth,
+            cellHeight
+        );
+    } else {
+        const type = job.format === 'webp' ? 'image/webp' : 'image/png';
+        const blob = await job.frameCanvas.convertToBlob({ type, quality: job.quality });
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        if (job.format === 'webp') {
+            const frame = webpFrameData(bytes);
+            job.frames[index] = frame.data;
+            job.alpha ||= frame.alpha;
+        } else {
+            job.frames[index] = bytes;
+        }
+    }
+
+    job.encoded++;
+    self.postMessage({ type: 'progress', progress: job.encoded / job.frameCount, encoded: job.encoded });
+}
+
+async function finish() {
+    if (job.format === 'webp') {
+        self.postMessage({ type: 'done', blob: buildWebp(job.frames, job) });
+    } else if (job.format === 'apng') {
+        self.postMessage({ type: 'done', blob: buildApng(job.frames, job) });
+    } else {
+        const blob = await job.sheetCanvas.convertToBlob({ type: 'image/png' });
+        self.postMessage({ type: 'done', blob, atlas: buildAtlas(job) });
+    }
+    job = null;
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    // Frames are encoded one at a time, in arrival order.
+    queue = queue
+        .then(() => {
+            if (message.type === 'start') return start(message);
+            if (!job) return null;
+            if (message.type === 'frame') return addFrame(message);
+            if (message.type === 'finish') return finish();
+            return null;
+        })
+        .catch((error) => {
+            job = null;
+            self.postMessage({ type: 'error', message: error.message || String(error) });
+        });
+};
@@ -0,0 +1,194 @@
+import * as GifEncoder from './gif-encoder.js';
+import * as VideoFrames from './video-frames.js';
+import * as ZipWriter from './zip-writer.js';
+
+// ── Frame exports ─────────────────────────
+// Animated WebP, APNG and PNG sprite sheets. Frames are captured by
+// VideoFrames, exactly as for GIFs, and streamed to a module worker
+// (frame-encoder.worker.js) that compresses and packages them. Capture
+// waits whenever the worker falls MAX_QUEUED_FRAMES behind, so long clips
+// never pile up raw frames. GIFs keep their own gif.js workers and go
+// through GifEncoder.
+
+const WORKER_SCRIPT = '/assets/js/frame-encoder.worker.js';
+
+// Rough output per pixel per frame for typical Twitter clips, used for
+// estimates before encoding. Sprite sheets have no inter-frame savings,
+// so they cost about as much as APNG.
+const FORMATS = {
+    webp: { label: 'Animated WebP', ext: 'webp', bytesPerPixel: 0.05 },
+    apng: { label: 'APNG', ext: 'png', bytesPerPixel: 1.1 },
+    sprite: { label: 'Sprite sheet', ext: 'zip', bytesPerPixel: 1.1 },
+};
+
+const WEBP_QUALITY = 0.8;
+const MAX_QUEUED_FRAMES = 4;
+
+let webpSupport = null;
+let moduleWorkerSupport = null;
+
+/** Module workers read `type` from the options; older browsers never look. */
+function supportsModuleWorkers() {
+    if (moduleWorkerSupport == null) {
+        moduleWorkerSupport = false;
+        try {
+            new Worker('blob://', {
+                get type() {
+                    moduleWorkerSupport = true;
+                    return 'module';
+                },
+            }).terminate();
+        } catch {
+            // The bogus URL throws once the options have been read.
+        }
+    }
+    return moduleWorkerSupport;
+}
+
+/** Whether this browser can run the worker encoders for `format`. */
+function isSupported(format) {
+    if (!FORMATS[format] || typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || !supportsModuleWorkers()) {
+        return false;
+    }
+    if (format !== 'webp') return true;
+
+    // Safari silently falls back to PNG when asked for WebP.
+    if (webpSupport == null) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 1;
+        webpSupport = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+    }
+    return webpSupport;
+}
+
+/** gif.js loop semantics (0 forever, -1 once, n extra plays) to a play count (0 forever). */
+function playCount(loop) {
+    if (loop === 0) return 0;
+    if (loop === -1) return 1;
+    return loop + 1;
+}
+
+/** Estimated output size in bytes, or null if the clip size is unknown. */
+function estimateSize(format, options, source) {
+    if (!FORMATS[format] || !source?.width || !source?.height || !source?.duration) return null;
+
+    const opts = GifEncoder.normalizeOptions(options);
+    const crop = VideoFrames.resolveCrop(opts.crop, source.width, source.height);
+    const { width, height } = VideoFrames.computeOutputSize(crop.width, crop.height, opts.width);
+    const { times } = VideoFrames.planFrames({ duration: source.duration, ...opts });
+
+    return Math.round(width * height * times.length * FORMATS[format].bytesPerPixel);
+}
+
+function abortError() {
+    return VideoFrames.abortError();
+}
+
+/**
+ * Encodes `videoBlob` as `format` ('webp', 'apng' or 'sprite') using the
+ * same options and edits as GifEncoder. onProgress receives
+ * { phase: 'capture' | 'encode', progress }. Sprite sheets come back as
+ * a ZIP holding spritesheet.png and spritesheet.json.
+ *
+ * Resolves with { blob, ext, width, height, frameCount, estimatedSize }.
+ */
+async function encode(videoBlob, format, options, { onProgress, signal } = {}) {
+    if (!isSupported(format)) {
+        throw new Error(FORMATS[format]?.label + ' export is not supported in this browser.');
+    }
+    if (signal?.aborted) throw abortError();
+
+    const opts = GifEncoder.normalizeOptions(options);
+    const { video, release } = await VideoFrames.loadVideo(videoBlob);
+    const worker = new Worker(WORKER_SCRIPT, { type: 'module' });
+    let onAbort = null;
+
+    try {
+        const crop = VideoFrames.resolveCrop(opts.crop, video.videoWidth, video.videoHeight);
+        const { width, height } = VideoFrames.computeOutputSize(crop.width, crop.height, opts.width);
+        const plan = VideoFrames.planFrames({ duration: video.duration, ...opts });
+        const estimatedSize = estimateSize(format, opts, {
+            width: video.videoWidth,
+            height: video.videoHeight,
+            duration: video.duration,
+        });
+
+        let posted = 0;
+        let encoded = 0;
+        let caughtUp = null;
+
+        const result = new Promise((resolve, reject) => {
+            worker.onmessage = ({ data }) => {
+                if (data.type === 'progress') {
+                    encoded = data.encoded;
+                    caughtUp?.();
+                    onProgress?.({ phase: 'encode', progress: data.progress });
+                }
+                if (data.type === 'done') resolve(data);
+                if (data.type === 'error') reject(new Error(data.message));
+            };
+            worker.onerror = (event) => reject(new Error(event.message || 'Encoder worker failed.'));
+            onAbort = () => reject(abortError());
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+        // Surface worker errors even while frames are still being captured.
+        result.catch(() => {});
+
+        worker.postMessage({
+            type: 'start',
+            format,
+            width,
+            height,
+            frameCount: plan.times.length,
+            delay: Math.round(1000 / opts.fps),
+            loops: playCount(opts.loop),
+            quality: WEBP_QUALITY,
+        });
+
+        await Promise.race([
+            VideoFrames.captureFrames(video, {
+                width,
+                height,
+                times: plan.times,
+                crop,
+                signal,
+                onFrame: async (imageData, index) => {
+                    const { buffer } = imageData.data;
+                    worker.postMessage({ type: 'frame', index, buffer }, [buffer]);
+                    posted++;
+
+                    // Backpressure: a failing or aborted worker rejects here too.
+                    while (posted - encoded >= MAX_QUEUED_FRAMES) {
+                        await Promise.race([new Promise((resolve) => { caughtUp = resolve; }), result]);
+                    }
+                },
+                onProgress: (progress) => onProgress?.({ phase: 'capture', progress }),
+            }),
+            // A failing worker ends the capture early.
+            result.then(() => {}),
+        ]);
+        worker.postMessage({ type: 'finish' });
+
+        const { blob, atlas } = await result;
+        const output = format === 'sprite'
+            ? await ZipWriter.createZip([
+                { name: 'spritesheet.png', data: blob },
+                { name: 'spritesheet.json', data: JSON.stringify(atlas, null, 2) },
+            ])
+            : blob;
+
+        return { blob: output, ext: FORMATS[format].ext, width, height, frameCount: plan.times.length, estimatedSize };
+    } finally {
+        if (onAbort) signal?.removeEventListener('abort', onAbort);
+        worker.terminate();
+        release();
+    }
+}
+
+export {
+    FORMATS,
+    isSupported,
+    playCount,
+    estimateSize,
+    encode,
+};
@@ -0,0 +1,217 @@
+import * as VideoFrames from './video-frames.js';
+
+// ── GIF encoder ───────────────────────────
+// MP4 → GIF on top of gif.js. Frames come from VideoFrames; encoding runs
+// in gif.js web workers served from /assets/js/vendor so it works offline
+// and without a CDN exception in the CSP.
+
+const WORKER_SCRIPT = '/assets/js/vendor/gif.worker.js';
+
+const DEFAULT_OPTIONS = {
+    width: 480,     // 0 keeps the source width
+    fps: 10,
+    start: 0,
+    end: null,      // null runs to the end of the clip
+    loop: 0,        // gif.js `repeat`: 0 loops forever, -1 plays once, n repeats n times
+    dither: false,  // false or a gif.js dithering method, e.g. 'FloydSteinberg'
+    quality: 10,    // palette sampling interval, 1 (best) to 30 (fastest)
+    speed: 1,       // playback speed, 0.25 to 4
+    reverse: false,
+    boomerang: false,
+    crop: null,     // { x, y, width, height } as fractions of the frame
+};
+
+const DITHER_METHODS = ['FloydSteinberg', 'FalseFloydSteinberg', 'Stucki', 'Atkinson'];
+
+// Rough LZW output per pixel per frame for typical Twitter clips. Dithered
+// frames compress noticeably worse because neighbouring pixels differ.
+const BYTES_PER_PIXEL = 0.45;
+const DITHER_OVERHEAD = 1.3;
+
+// gif.js keeps the RGBA pixels of every added frame until render(), so
+// the total across all frames is capped (~400 MB); larger exports are
+// scaled down to fit.
+const MAX_BUFFERED_PIXELS = 100_000_000;
+
+// gif.js reports progress after every frame, so this long without any
+// means a worker died or never loaded.
+const ENCODE_STALL_MS = 30000;
+
+function normalizeOptions(options = {}) {
+    const merged = { ...DEFAULT_OPTIONS, ...options };
+    return {
+        width: Math.max(0, Math.round(Number(merged.width) || 0)),
+        fps: Math.min(30, Math.max(1, Math.round(Number(merged.fps) || DEFAULT_OPTIONS.fps))),
+        start: Math.max(0, Number(merged.start) || 0),
+        end: merged.end == null || merged.end === '' ? null : Number(merged.end),
+        loop: Number.isInteger(Number(merged.loop)) ? Number(merged.loop) : 0,
+        dither: DITHER_METHODS.includes(merged.dither) ? merged.dither : false,
+        quality: Math.min(30, Math.max(1, Math.round(Number(merged.quality) || DEFAULT_OPTIONS.quality))),
+        speed: Math.min(4, Math.max(0.25, Number(merged.speed) || 1)),
+        reverse: Boolean(merged.reverse),
+        boomerang: Boolean(merged.boomerang),
+        crop: merged.crop || null,
+    };
+}
+
+/**
+ * Works out the crop, output size and frame plan for a clip described by
+ * `source` ({ width, height, duration }). `scaled` is true when the size
+ * was shrunk below the requested width to stay within MAX_BUFFERED_PIXELS.
+ */
+function planOutput(options, source) {
+    const opts = normalizeOptions(options);
+    const crop = VideoFrames.resolveCrop(opts.crop, source.width, source.height);
+    const plan = VideoFrames.planFrames({ duration: source.duration, ...opts });
+    let size = VideoFrames.computeOutputSize(crop.width, crop.height, opts.width);
+
+    const budget = MAX_BUFFERED_PIXELS / plan.times.length;
+    const scaled = size.width * size.height > budget;
+    if (scaled) {
+        const maxWidth = Math.floor(size.width * Math.sqrt(budget / (size.width * size.height)));
+        size = VideoFrames.computeOutputSize(crop.width, crop.height, maxWidth);
+    }
+
+    return { crop, plan, width: size.width, height: size.height, scaled };
+}
+
+/**
+ * Estimates the encoded size in bytes before any work is done.
+ * `source` describes the clip: { width, height, duration }.
+ */
+function estimateSize(options, source) {
+    if (!source?.width || !source?.height || !source?.duration) return null;
+
+    const opts = normalizeOptions(options);
+    const { width, height, plan } = planOutput(opts, source);
+    const factor = BYTES_PER_PIXEL * (opts.dither ? DITHER_OVERHEAD : 1);
+
+    return Math.round(width * height * plan.times.length * factor);
+}
+
+/**
+ * Runs gif.js over the frames already added to `gif` and resolves with the
+ * GIF blob. Rejects if a worker fails to load or errors, if encoding
+ * stalls for `stallMs`, or with an AbortError when `signal` aborts.
+ */
+function renderGif(gif, { onProgress, signal, stallMs = ENCODE_STALL_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        let timer = null;
+
+        const settle = (error, blob) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            if (error) reject(error);
+            else resolve(blob);
+        };
+        const fail = (error) => {
+            settle(error);
+            gif.abort();
+        };
+        const watch = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => fail(new Error('GIF encoding stalled.')), stallMs);
+        };
+        const onAbort = () => fail(VideoFrames.abortError());
+
+        if (signal?.aborted) {
+            settle(VideoFrames.abortError());
+            return;
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        gif.on('progress', (progress) => {
+            watch();
+            onProgress?.(progress);
+        });
+        gif.on('finished', (blob) => settle(null, blob));
+        gif.on('abort', () => settle(VideoFrames.abortError()));
+
+        try {
+            gif.render();
+        } catch (error) {
+            fail(error);
+            return;
+        }
+
+        // gif.js spawns its workers inside render() but never listens for
+        // their errors, e.g. a worker script that 404s.
+        for (const worker of [...gif.freeWorkers, ...gif.activeWorkers]) {
+            worker.onerror = (event) => {
+                event.preventDefault?.();
+                fail(new Error('GIF worker failed' + (event.message ? ': ' + event.message : '.')));
+            };
+        }
+        watch();
+    });
+}
+
+/**
+ * Converts an MP4 blob to an animated GIF.
+ *
+ * onProgress receives { phase: 'capture' | 'encode', progress } with
+ * progress in 0..1 for the current phase. Aborting `signal` stops frame
+ * capture or terminates the workers and rejects with an AbortError.
+ *
+ * Long or large clips come out smaller than `options.width` asks for; see
+ * planOutput. Resolves with { blob, width, height, frameCount, estimatedSize }.
+ */
+async function encode(videoBlob, options, { onProgress, signal } = {}) {
+    if (typeof GIF === 'undefined') {
+        throw new Error('gif.js is not loaded.');
+    }
+    if (signal?.aborted) throw VideoFrames.abortError();
+
+    const opts = normalizeOptions(options);
+    const { video, release } = await VideoFrames.loadVideo(videoBlob);
+
+    try {
+        const source = { width: video.videoWidth, height: video.videoHeight, duration: video.duration };
+        const { crop, plan, width, height } = planOutput(opts, source);
+        const estimatedSize = estimateSize(opts, source);
+
+        const gif = new GIF({
+            workers: navigator.hardwareConcurrency || 2,
+            workerScript: WORKER_SCRIPT,
+            quality: opts.quality,
+            dither: opts.dither,
+            repeat: opts.loop,
+            width,
+            height,
+        });
+
+        const delay = Math.round(1000 / opts.fps);
+
+        await VideoFrames.captureFrames(video, {
+            width,
+            height,
+            times: plan.times,
+            crop,
+            signal,
+            onFrame: (imageData) => gif.addFrame(imageData, { delay }),
+            onProgress: (progress) => onProgress?.({ phase: 'capture', progress }),
+        });
+
+        const blob = await renderGif(gif, {
+            signal,
+            onProgress: (progress) => onProgress?.({ phase: 'encode', progress }),
+        });
+
+        return { blob, width, height, frameCount: plan.times.length, estimatedSize };
+    } finally {
+        release();
+    }
+}
+
+export {
+    DEFAULT_OPTIONS,
+    DITHER_METHODS,
+    normalizeOptions,
+    planOutput,
+    estimateSize,
+    renderGif,
+    encode,
+};
@@ -0,0 +1,267 @@
+import { downloadFile } from './downloads.js';
+import { timeAgo } from './format.js';
+import * as HistoryStore from './history-store.js';
+import {
+    MEDIA_TYPE_LABELS,
+    PHOTO_URL_PATTERN,
+    getVariants,
+    mediaFilename,
+    restoreSelection,
+    variantExtension,
+} from './media-variants.js';
+import { fetchBlob } from './network.js';
+import { resolveTweet } from './tweet-resolver.js';
+import { canonicalTweetUrl, parseTweetUrl } from './tweet-url.js';
+import { showToast, triggerDownload } from './ui.js';
+
+// ── History ───────────────────────────────
+// Successful fetches are remembered in IndexedDB (see history-store.js).
+// The stored resolver result also serves as a short-lived cache, so
+// fetching a recent tweet again is instant.
+
+const HISTORY_CACHE_MAX_AGE = 6 * 60 * 60 * 1000;
+
+let historyEntries = [];
+let historyThumbUrls = [];
+let openHandler = null;
+
+/** resolveTweet, answered from history when the tweet was fetched recently. */
+async function resolveCached(input) {
+    const parsed = parseTweetUrl(input);
+    const cached = await HistoryStore.getRecent(parsed.statusId, HISTORY_CACHE_MAX_AGE);
+    return cached || resolveTweet(input);
+}
+
+function historyThumbnailUrl(item) {
+    const match = item.type === 'photo' && item.url?.match(PHOTO_URL_PATTERN);
+    if (match) return match[1] + '?format=jpg&name=small';
+    return item.thumbnail || item.url || null;
+}
+
+/**
+ * Saves (or refreshes) the history entry for a result with the chosen
+ * item and variant. Failures are logged and otherwise ignored: history
+ * must never get in the way of a download.
+ */
+async function recordHistory(result, index = 0, variant = getVariants(result.media[index])[0]) {
+    if (!HistoryStore.isSupported()) return;
+
+    try {
+        const item = result.media[index];
+        const existing = await HistoryStore.get(result.statusId);
+        let thumbnail = existing?.mediaIndex === index ? existing.thumbnail : null;
+        if (!thumbnail && historyThumbnailUrl(item)) {
+            thumbnail = await fetchBlob(historyThumbnailUrl(item)).catch(() => null);
+        }
+
+        // Keep the original resolve time while the cached copy is fresh,
+        // so re-opening a tweet doesn't extend its cache lifetime.
+        const resolvedAt = existing?.resolvedAt && Date.now() - existing.resolvedAt < HISTORY_CACHE_MAX_AGE
+            ? existing.resolvedAt
+            : Date.now();
+        const { originalUrl, selectedIndex, selectedVariants, ...stored } = result;
+        await HistoryStore.put({
+            statusId: result.statusId,
+            author: result.author,
+            authorName: result.authorName,
+            mediaType: item.type,
+            mediaIndex: index,
+            variant: variant ? {
+                url: variant.url,
+                contentType: variant.contentType,
+                width: variant.width || null,
+                height: variant.height || null,
+                bitrate: variant.bitrate || null,
+            } : null,
+            thumbnail,
+            fetchedAt: Date.now(),
+            resolvedAt,
+            result: stored,
+        });
+        HistoryController.refresh();
+    } catch (error) {
+        console.warn('Could not save history entry:', error);
+    }
+}
+
+/**
+ * Builds one history row. Entries can come from imported files, so every
+ * stored value goes in through DOM properties rather than the markup.
+ */
+function historyItem(entry, thumbUrl) {
+    const variant = entry.variant;
+    const size = variant?.width && variant?.height ? variant.width + '×' + variant.height : '';
+
+    const li = document.createElement('li');
+    li.className = 'history-item';
+    li.dataset.id = entry.statusId;
+    li.innerHTML = `
+                    <div class="history-thumb"></div>
+                    <div class="history-info">
+                        <a target="_blank" rel="noopener noreferrer"></a>
+                        <span></span>
+                    </div>
+                    <div class="history-actions">
+                        <button type="button" class="action-btn action-btn-outline" data-action="load">Open</button>
+                        <button type="button" class="action-btn action-btn-outline" data-action="download"${variant ? '' : ' disabled'}>Download</button>
+                        <button type="button" class="action-btn action-btn-outline" data-action="delete" aria-label="Delete from history">Delete</button>
+                    </div>`;
+
+    if (thumbUrl) {
+        const img = document.createElement('img');
+        img.src = thumbUrl;
+        img.alt = '';
+        img.loading = 'lazy';
+        li.querySelector('.history-thumb').append(img);
+    }
+
+    const link = li.querySelector('.history-info a');
+    link.href = canonicalTweetUrl(entry.statusId, entry.author);
+    link.textContent = entry.author ? '@' + entry.author : entry.statusId;
+    li.querySelector('.history-info span').textContent =
+        [MEDIA_TYPE_LABELS[entry.mediaType], size, timeAgo(entry.fetchedAt)].filter(Boolean).join(' · ');
+
+    return li;
+}
+
+function renderHistory() {
+    const list = document.getElementById('history-list');
+    const empty = document.getElementById('history-empty');
+    if (!list) return;
+
+    historyThumbUrls.forEach((url) => URL.revokeObjectURL(url));
+    historyThumbUrls = [];
+
+    const query = document.getElementById('history-search')?.value || '';
+    const visible = historyEntries.filter((entry) => HistoryStore.matches(entry, query));
+
+    list.replaceChildren(...visible.map((entry) => {
+        const thumbUrl = entry.thumbnail instanceof Blob ? URL.createObjectURL(entry.thumbnail) : null;
+        if (thumbUrl) historyThumbUrls.push(thumbUrl);
+        return historyItem(entry, thumbUrl);
+    }));
+
+    if (empty) {
+        empty.textContent = historyEntries.length === 0
+            ? 'Nothing here yet. Tweets you fetch are saved on this device only.'
+            : 'No history entries match your search.';
+        empty.classList.toggle('hidden', visible.length > 0);
+    }
+    document.getElementById('history-clear-btn')?.toggleAttribute('disabled', historyEntries.length === 0);
+    document.getElementById('history-export-btn')?.toggleAttribute('disabled', historyEntries.length === 0);
+}
+
+const HistoryController = {
+    async refresh() {
+        if (!HistoryStore.isSupported()) {
+            document.getElementById('history-panel')?.classList.add('hidden');
+            return;
+        }
+        try {
+            historyEntries = await HistoryStore.getAll();
+        } catch (error) {
+            console.warn('Could not read history:', error);
+            historyEntries = [];
+        }
+        renderHistory();
+    },
+
+    /** Reopens an entry in the preview straight from the stored result. */
+    load(statusId) {
+        const entry = historyEntries.find((e) => e.statusId === statusId);
+        if (!entry?.result) return;
+
+        openHandler?.(
+            entry.result,
+            canonicalTweetUrl(entry.statusId, entry.author),
+            restoreSelection(entry.result, entry.mediaIndex, entry.variant?.url)
+        );
+    },
+
+    async download(statusId) {
+        const entry = historyEntries.find((e) => e.statusId === statusId);
+        if (!entry?.variant || !entry.result) return;
+
+        const item = entry.result.media[entry.mediaIndex] || entry.result.media[0];
+        const ext = variantExtension(item, entry.variant);
+        const filename = mediaFilename(entry.result, entry.result.media.indexOf(item), ext, entry.variant);
+        showToast('Starting download...', 'info');
+        if (await downloadFile(entry.variant.url, filename, entry.result, ext)) {
+            showToast('Downloaded from history!', 'success');
+        }
+    },
+
+    async remove(statusId) {
+        try {
+            await HistoryStore.remove(statusId);
+        } catch {
+            showToast('Could not delete the entry.', 'error');
+        }
+        await this.refresh();
+    },
+
+    async clearAll() {
+        if (!window.confirm('Delete your entire download history on this device?')) return;
+        try {
+            await HistoryStore.clear();
+            showToast('History cleared.', 'success');
+        } catch {
+            showToast('Could not clear history.', 'error');
+        }
+        await this.refresh();
+    },
+
+    async exportJson() {
+        try {
+            const json = await HistoryStore.exportJson();
+            const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+            triggerDownload(new Blob([json], { type: 'application/json' }), 'twitter-gif-history-' + stamp + '.json');
+        } catch {
+            showToast('Could not export history.', 'error');
+        }
+    },
+
+    async importFile(file) {
+        if (!file) return;
+        try {
+            const count = await HistoryStore.importJson(await file.text());
+            showToast('Imported ' + count + ' history ' + (count === 1 ? 'entry' : 'entries') + '.', 'success');
+        } catch {
+            showToast('That file is not a valid history export.', 'error');
+        }
+        await this.refresh();
+    },
+};
+
+/**
+ * Binds the history panel and loads the saved entries. `onOpen(result,
+ * tweetUrl, selection)` shows a reopened entry in the downloader.
+ */
+function initHistoryPanel({ onOpen } = {}) {
+    openHandler = onOpen || null;
+
+    document.getElementById('history-search')?.addEventListener('input', () => renderHistory());
+    document.getElementById('history-clear-btn')?.addEventListener('click', () => HistoryController.clearAll());
+    document.getElementById('history-export-btn')?.addEventListener('click', () => HistoryController.exportJson());
+    document.getElementById('history-import')?.addEventListener('change', (e) => {
+        HistoryController.importFile(e.target.files[0]);
+        e.target.value = '';
+    });
+    document.getElementById('history-list')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        const id = button?.closest('.history-item')?.dataset.id;
+        if (!id) return;
+        if (button.dataset.action === 'load') HistoryController.load(id);
+        if (button.dataset.action === 'download') HistoryController.download(id);
+        if (button.dataset.action === 'delete') HistoryController.remove(id);
+    });
+
+    return HistoryController.refresh();
+}
+
+export {
+    HistoryController,
+    resolveCached,
+    recordHistory,
+    initHistoryPanel,
+};
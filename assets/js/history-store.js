@@ -0,0 +1,278 @@
+import { isMediaUrl, isScreenName } from './tweet-url.js';
+
+// ── Download history ──────────────────────
+// Every successful fetch is kept in IndexedDB, keyed by status ID:
+//   { statusId, author, authorName, mediaType, mediaIndex, variant,
+//     thumbnail (Blob | null), fetchedAt, resolvedAt, result }
+// `result` is the normalized resolver output as of `resolvedAt`, which
+// doubles as a cache so fetching the same tweet again needs no network
+// round trip. Nothing in here ever leaves the device unless the user
+// exports it.
+
+const DB_NAME = 'twitter-gif-downloader';
+const DB_VERSION = 1;
+const STORE = 'history';
+const EXPORT_VERSION = 1;
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function isSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+function openDb() {
+    if (!isSupported()) {
+        return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+    }
+
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE, { keyPath: 'statusId' });
+            store.createIndex('fetchedAt', 'fetchedAt');
+        };
+        dbPromise = requestToPromise(request).catch((error) => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+
+    return dbPromise;
+}
+
+/** Runs `work(store)` in a transaction and resolves once it commits. */
+async function withStore(mode, work) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        let value;
+        Promise.resolve(work(tx.objectStore(STORE))).then((result) => {
+            value = result;
+        }, reject);
+        tx.oncomplete = () => resolve(value);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function put(entry) {
+    return withStore('readwrite', (store) => requestToPromise(store.put(entry)));
+}
+
+function get(statusId) {
+    return withStore('readonly', (store) => requestToPromise(store.get(String(statusId))));
+}
+
+/** All entries, newest first. */
+async function getAll() {
+    const entries = await withStore('readonly', (store) => requestToPromise(store.getAll()));
+    return entries.sort((a, b) => b.fetchedAt - a.fetchedAt);
+}
+
+function remove(statusId) {
+    return withStore('readwrite', (store) => requestToPromise(store.delete(String(statusId))));
+}
+
+function clear() {
+    return withStore('readwrite', (store) => requestToPromise(store.clear()));
+}
+
+/**
+ * Returns the cached resolver result for a status ID if it was resolved
+ * within `maxAge` milliseconds, otherwise null. Never throws: a broken
+ * or missing database simply means a cache miss.
+ */
+async function getRecent(statusId, maxAge) {
+    try {
+        const entry = await get(statusId);
+        const resolvedAt = entry?.resolvedAt || entry?.fetchedAt;
+        if (entry?.result && Date.now() - resolvedAt < maxAge) return entry.result;
+    } catch {
+        // Fall through to a normal fetch.
+    }
+    return null;
+}
+
+/** Case-insensitive match on author, display name, status ID and tweet text. */
+function matches(entry, query) {
+    const needle = String(query || '').trim().toLowerCase().replace(/^@/, '');
+    if (!needle) return true;
+    return [entry.statusId, entry.author, entry.authorName, entry.result?.text]
+        .some((field) => field && String(field).toLowerCase().includes(needle));
+}
+
+// ── Export / import ───────────────────────
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function dataUrlToBlob(dataUrl) {
+    const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl || '');
+    if (!match) return null;
+
+    const payload = match[2] ? atob(match[3]) : decodeURIComponent(match[3]);
+    const bytes = new Uint8Array(payload.length);
+    for (let i = 0; i < payload.length; i++) bytes[i] = payload.charCodeAt(i);
+    return new Blob([bytes], { type: match[1] || 'application/octet-stream' });
+}
+
+// Export files are user-supplied, so imports are rebuilt field by field
+// from what the page itself would have stored; anything else is dropped.
+
+const MEDIA_TYPES = new Set(['photo', 'video', 'animated_gif']);
+const CONTENT_TYPES = new Set(['video/mp4', 'image/jpeg', 'image/png', 'image/webp']);
+
+function optionalNumber(value) {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+/** A timestamp no later than `now`; future ones would pin the entry as fresh. */
+function pastTimestamp(value, now) {
+    const time = optionalNumber(value);
+    return time !== null && time <= now ? time : null;
+}
+
+function optionalString(value) {
+    return typeof value === 'string' ? value : null;
+}
+
+function sanitizeVariant(raw) {
+    if (!isMediaUrl(raw?.url)) return null;
+    return {
+        url: raw.url,
+        contentType: CONTENT_TYPES.has(raw.contentType) ? raw.contentType : null,
+        width: optionalNumber(raw.width),
+        height: optionalNumber(raw.height),
+        bitrate: optionalNumber(raw.bitrate),
+    };
+}
+
+function sanitizeMedia(raw) {
+    if (!MEDIA_TYPES.has(raw?.type)) return null;
+    return {
+        type: raw.type,
+        url: isMediaUrl(raw.url) ? raw.url : null,
+        thumbnail: isMediaUrl(raw.thumbnail) ? raw.thumbnail : null,
+        width: optionalNumber(raw.width),
+        height: optionalNumber(raw.height),
+        duration: optionalNumber(raw.duration),
+        variants: (Array.isArray(raw.variants) ? raw.variants : []).map(sanitizeVariant).filter(Boolean),
+    };
+}
+
+/**
+ * Rebuilds an imported entry from its known fields, or returns null if
+ * the status ID, author or media don't look like anything we store.
+ */
+function sanitizeEntry(raw) {
+    const now = Date.now();
+    const statusId = String(raw?.statusId ?? '');
+    if (!/^\d{1,20}$/.test(statusId)) return null;
+
+    const author = raw.author ?? null;
+    if (author !== null && !isScreenName(author)) return null;
+
+    const media = (Array.isArray(raw.result?.media) ? raw.result.media : []).map(sanitizeMedia);
+    if (media.length === 0 || media.includes(null)) return null;
+
+    const mediaIndex = Number.isInteger(raw.mediaIndex) && raw.mediaIndex >= 0 && raw.mediaIndex < media.length
+        ? raw.mediaIndex
+        : 0;
+
+    let thumbnail = null;
+    try {
+        thumbnail = typeof raw.thumbnail === 'string' ? dataUrlToBlob(raw.thumbnail) : null;
+    } catch {
+        // Malformed base64: import the entry without its thumbnail.
+    }
+
+    return {
+        statusId,
+        author,
+        authorName: optionalString(raw.authorName),
+        mediaType: media[mediaIndex].type,
+        mediaIndex,
+        variant: raw.variant ? sanitizeVariant(raw.variant) : null,
+        thumbnail: thumbnail?.type.startsWith('image/') ? thumbnail : null,
+        fetchedAt: pastTimestamp(raw.fetchedAt, now) || now,
+        resolvedAt: pastTimestamp(raw.resolvedAt, now),
+        result: {
+            statusId,
+            author,
+            authorName: optionalString(raw.result.authorName),
+            text: optionalString(raw.result.text) || '',
+            createdAt: optionalString(raw.result.createdAt),
+            source: optionalString(raw.result.source),
+            media,
+        },
+    };
+}
+
+/** Serializes the whole history to JSON, with thumbnails as data URLs. */
+async function exportJson() {
+    const entries = await getAll();
+    const serialized = await Promise.all(entries.map(async (entry) => ({
+        ...entry,
+        thumbnail: entry.thumbnail ? await blobToDataUrl(entry.thumbnail) : null,
+    })));
+
+    return JSON.stringify({
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: serialized,
+    }, null, 2);
+}
+
+/**
+ * Merges an export back in. Entries that fail sanitizeEntry are skipped,
+ * and an existing entry only gets replaced by a newer one. Resolves with
+ * the number of entries written.
+ */
+async function importJson(text) {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : data?.entries;
+    if (!Array.isArray(entries)) {
+        throw new Error('Not a history export.');
+    }
+
+    let imported = 0;
+    for (const raw of entries) {
+        const entry = sanitizeEntry(raw);
+        if (!entry) continue;
+
+        const existing = await get(entry.statusId);
+        if (existing && existing.fetchedAt >= entry.fetchedAt) continue;
+
+        await put(entry);
+        imported++;
+    }
+
+    return imported;
+}
+
+export {
+    isSupported,
+    put,
+    get,
+    getAll,
+    remove,
+    clear,
+    getRecent,
+    matches,
+    sanitizeEntry,
+    exportJson,
+    importJson,
+};
@@ -0,0 +1,57 @@
+import { BatchController, initBatchPanel } from './batch-panel.js';
+import { initCursor } from './cursor.js';
+import { HistoryController, initHistoryPanel } from './history-panel.js';
+import { ResolveErrorCode, TweetResolveError } from './resolve-errors.js';
+import { MobileNav, ThemeManager, applyTheme } from './theme.js';
+import * as Resolver from './tweet-resolver.js';
+import { parseTweetUrl } from './tweet-url.js';
+import { GifController, handleSharedUrl, initDownloader, openResult } from './twitter-gif.js';
+import { renderYear } from './year.js';
+
+// ── Entry point ───────────────────────────
+// The page's only module script. It applies the theme, binds every panel
+// once the DOM is ready, and keeps the window globals the classic scripts
+// used to expose for bookmarklets and the console.
+
+applyTheme();
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch((error) => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+}
+
+function init() {
+    ThemeManager.init();
+    MobileNav.init();
+    window.CustomCursor = initCursor();
+    renderYear();
+
+    initDownloader();
+    initBatchPanel();
+    initHistoryPanel({ onOpen: openResult });
+    handleSharedUrl();
+}
+
+registerServiceWorker();
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+window.ThemeManager = ThemeManager;
+window.updateYear = () => renderYear();
+window.twitterGifController = GifController;
+window.batchController = BatchController;
+window.historyController = HistoryController;
+window.TweetResolver = {
+    ResolveErrorCode,
+    TweetResolveError,
+    parseTweetUrl,
+    ...Resolver,
+};
@@ -0,0 +1,208 @@
+// ── Embedded metadata ─────────────────────
+// Writes the source tweet URL and author into downloaded files so they
+// stay traceable: a Comment Extension block in GIFs and an iTunes-style
+// udta/meta/ilst atom (©cmt, ©ART) in MP4s. Both edits are lossless.
+
+const encoder = new TextEncoder();
+
+function fourcc(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function concat(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+// ── GIF ───────────────────────────────────
+
+/**
+ * Inserts a Comment Extension right after the Global Color Table, before
+ * any image or extension block. Returns the input untouched if it is not
+ * a GIF.
+ */
+function addGifComment(bytes, text) {
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    if (signature !== 'GIF89a' && signature !== 'GIF87a') return bytes;
+
+    const packed = bytes[10];
+    const colorTableSize = packed & 0x80 ? 3 * (1 << ((packed & 0x07) + 1)) : 0;
+    const insertAt = 13 + colorTableSize;
+
+    // Comment data is split into sub-blocks of at most 255 bytes.
+    const data = encoder.encode(text);
+    const blocks = [Uint8Array.of(0x21, 0xfe)];
+    for (let i = 0; i < data.length; i += 255) {
+        const chunk = data.subarray(i, i + 255);
+        blocks.push(Uint8Array.of(chunk.length), chunk);
+    }
+    blocks.push(Uint8Array.of(0x00));
+
+    const out = concat([bytes.subarray(0, insertAt), ...blocks, bytes.subarray(insertAt)]);
+    // Comment extensions are a GIF89a feature.
+    out.set(encoder.encode('GIF89a'), 0);
+    return out;
+}
+
+// ── MP4 ───────────────────────────────────
+
+function box(type, ...payloads) {
+    const body = concat(payloads);
+    const out = new Uint8Array(8 + body.length);
+    new DataView(out.buffer).setUint32(0, out.length);
+    out.set(typeof type === 'string' ? encoder.encode(type) : type, 4);
+    out.set(body, 8);
+    return out;
+}
+
+function ilstItem(name, value) {
+    // ©cmt / ©ART: the © is the single byte 0xA9, not its UTF-8 form.
+    const type = Uint8Array.of(0xa9, ...encoder.encode(name));
+    // data atom: type 1 (UTF-8 text), locale 0
+    const data = box('data', Uint8Array.of(0, 0, 0, 1, 0, 0, 0, 0), encoder.encode(value));
+    return box(type, data);
+}
+
+function metaBox(tags) {
+    const hdlr = box('hdlr',
+        new Uint8Array(8),            // version/flags, pre_defined
+        encoder.encode('mdir'),
+        encoder.encode('appl'),
+        new Uint8Array(9)             // reserved, empty name
+    );
+    const items = Object.entries(tags)
+        .filter(([, value]) => value)
+        .map(([name, value]) => ilstItem(name, value));
+    return box('meta', new Uint8Array(4), hdlr, box('ilst', ...items));
+}
+
+/** Lists the child boxes in bytes[start, end) as { type, offset, size }. */
+function readBoxes(bytes, start, end) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        let header = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header || offset + size > end) break;
+
+        boxes.push({ type: fourcc(bytes, offset + 4), offset, size, header });
+        offset += size;
+    }
+
+    return boxes;
+}
+
+const CONTAINER_PATH = ['trak', 'mdia', 'minf', 'stbl'];
+
+/** Adds `delta` to every chunk offset in the stco/co64 tables under moov. */
+function shiftChunkOffsets(bytes, moov, delta) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    const visit = (parent, depth) => {
+        for (const child of readBoxes(bytes, parent.offset + parent.header, parent.offset + parent.size)) {
+            if (depth < CONTAINER_PATH.length && child.type === CONTAINER_PATH[depth]) {
+                visit(child, depth + 1);
+            } else if (depth === CONTAINER_PATH.length && (child.type === 'stco' || child.type === 'co64')) {
+                const entries = view.getUint32(child.offset + child.header + 4);
+                let cursor = child.offset + child.header + 8;
+                for (let i = 0; i < entries; i++) {
+                    if (child.type === 'stco') {
+                        view.setUint32(cursor, view.getUint32(cursor) + delta);
+                        cursor += 4;
+                    } else {
+                        view.setBigUint64(cursor, view.getBigUint64(cursor) + BigInt(delta));
+                        cursor += 8;
+                    }
+                }
+            }
+        }
+    };
+
+    visit(moov, 0);
+}
+
+/**
+ * Adds ©cmt and ©ART tags to an MP4. A new udta box is appended to moov
+ * (or the meta box to an existing udta without one). When moov sits in
+ * front of mdat, every chunk offset is shifted by the inserted size.
+ * Files that already carry udta/meta, or that don't parse, come back
+ * unchanged.
+ */
+function addMp4Metadata(bytes, { comment, artist }) {
+    const top = readBoxes(bytes, 0, bytes.length);
+    const moov = top.find((b) => b.type === 'moov');
+    const mdat = top.find((b) => b.type === 'mdat');
+    if (!moov || moov.header !== 8) return bytes;
+
+    const children = readBoxes(bytes, moov.offset + 8, moov.offset + moov.size);
+    const udta = children.find((b) => b.type === 'udta');
+    if (udta && (udta.header !== 8 || readBoxes(bytes, udta.offset + 8, udta.offset + udta.size).some((b) => b.type === 'meta'))) {
+        return bytes;
+    }
+
+    const meta = metaBox({ cmt: comment, ART: artist });
+    const insert = udta ? meta : box('udta', meta);
+    const insertAt = udta ? udta.offset + udta.size : moov.offset + moov.size;
+
+    const out = concat([bytes.subarray(0, insertAt), insert, bytes.subarray(insertAt)]);
+    const view = new DataView(out.buffer);
+    view.setUint32(moov.offset, moov.size + insert.length);
+    if (udta) view.setUint32(udta.offset, udta.size + insert.length);
+
+    if (mdat && mdat.offset > moov.offset) {
+        shiftChunkOffsets(out, { ...moov, size: moov.size + insert.length }, insert.length);
+    }
+
+    return out;
+}
+
+// ── Blob helpers ──────────────────────────
+
+function describeSource(info) {
+    const lines = ['Source: ' + info.tweetUrl];
+    if (info.author) lines.push('Author: @' + info.author);
+    return lines.join('\n');
+}
+
+/**
+ * Returns a copy of `blob` with the tweet URL and author embedded, for
+ * GIF and MP4 files. Other formats, and files that fail to parse, are
+ * returned as they are.
+ */
+async function embed(blob, ext, info) {
+    if (ext !== 'gif' && ext !== 'mp4') return blob;
+
+    try {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const out = ext === 'gif'
+            ? addGifComment(bytes, describeSource(info))
+            : addMp4Metadata(bytes, {
+                comment: describeSource(info),
+                artist: info.author ? '@' + info.author : null,
+            });
+        return out === bytes ? blob : new Blob([out], { type: blob.type || (ext === 'gif' ? 'image/gif' : 'video/mp4') });
+    } catch (error) {
+        console.warn('Could not embed metadata:', error);
+        return blob;
+    }
+}
+
+export {
+    addGifComment,
+    addMp4Metadata,
+    embed,
+};
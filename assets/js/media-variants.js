@@ -0,0 +1,160 @@
+import * as FilenameTemplate from './filename-template.js';
+import { formatBitrate, formatBytes } from './format.js';
+
+// ── Media selection ───────────────────────
+// A tweet carries up to four media items. The preview keeps one item
+// selected, and each item remembers which of its variants was picked:
+// a result plus { selectedIndex, selectedVariants }.
+
+const PHOTO_SIZES = [
+    { name: 'orig', label: 'Original' },
+    { name: 'large', label: 'Large', maxSize: 2048 },
+    { name: 'medium', label: 'Medium', maxSize: 1200 },
+];
+
+const PHOTO_URL_PATTERN = /^(https:\/\/pbs\.twimg\.com\/media\/[^.?]+)\.(jpg|jpeg|png|webp)/i;
+
+/**
+ * Lists the downloadable variants of a media item, best first. Videos and
+ * GIFs use the resolver's MP4 variants; photos get one entry per size the
+ * Twitter image CDN can serve.
+ */
+function getVariants(item) {
+    if (!item) return [];
+    if (item.type !== 'photo') return item.variants || [];
+
+    const match = item.url?.match(PHOTO_URL_PATTERN);
+    if (!match) {
+        return item.url ? [{ url: item.url, contentType: 'image/jpeg', width: item.width, height: item.height, label: 'Original' }] : [];
+    }
+
+    const format = match[2].toLowerCase() === 'jpeg' ? 'jpg' : match[2].toLowerCase();
+    return PHOTO_SIZES.map((size) => {
+        const scale = size.maxSize && item.width && item.height
+            ? Math.min(1, size.maxSize / Math.max(item.width, item.height))
+            : 1;
+        return {
+            url: match[1] + '?format=' + format + '&name=' + size.name,
+            contentType: format === 'png' ? 'image/png' : 'image/' + (format === 'jpg' ? 'jpeg' : format),
+            width: item.width ? Math.round(item.width * scale) : null,
+            height: item.height ? Math.round(item.height * scale) : null,
+            label: size.label,
+        };
+    });
+}
+
+/** Estimated download size in bytes, or null when the bitrate is unknown. */
+function estimateVariantSize(variant, duration) {
+    if (!variant?.bitrate || !duration) return null;
+    return Math.round((variant.bitrate * duration) / 8);
+}
+
+/**
+ * The selection a freshly resolved tweet opens with: the first item that
+ * has a video variant (or the first photo) and the best variant of each.
+ */
+function defaultSelection(result) {
+    const firstPlayable = result.media.findIndex((m) => m.variants.length > 0);
+    return {
+        selectedIndex: Math.max(0, firstPlayable),
+        // Variants are sorted best-first, so index 0 is the highest quality.
+        selectedVariants: result.media.map(() => 0),
+    };
+}
+
+/** Selects a remembered item and variant again, e.g. from a history entry. */
+function restoreSelection(result, mediaIndex, variantUrl) {
+    const index = result.media[mediaIndex] ? mediaIndex : 0;
+    const variantIndex = Math.max(0, getVariants(result.media[index]).findIndex((v) => v.url === variantUrl));
+    return {
+        selectedIndex: index,
+        selectedVariants: result.media.map((item, i) => (i === index ? variantIndex : 0)),
+    };
+}
+
+/** The selected { index, item, variant } of a result carrying a selection. */
+function getSelection(state) {
+    if (!state) return null;
+    const index = state.selectedIndex;
+    const item = state.media[index];
+    const variants = getVariants(item);
+    const variant = variants[state.selectedVariants[index]] || variants[0] || null;
+    return { index, item, variant };
+}
+
+const FILENAME_TYPES = { animated_gif: 'gif', video: 'video', photo: 'photo' };
+
+/** Filename template values for media item `index` of a result. */
+function filenameContext(result, index, ext, size) {
+    const item = result.media[index];
+    return {
+        author: result.author,
+        statusId: result.statusId,
+        createdAt: result.createdAt,
+        index: index + 1,
+        width: size?.width || item.width,
+        height: size?.height || item.height,
+        type: ext === 'gif' ? 'gif' : FILENAME_TYPES[item.type],
+        ext,
+    };
+}
+
+/**
+ * Builds a download filename from the saved template. `size` is the
+ * variant (or encoded GIF) being saved, for the {width}x{height} tokens.
+ */
+function mediaFilename(result, index, ext, size, template = FilenameTemplate.load()) {
+    return FilenameTemplate.render(template, filenameContext(result, index, ext, size));
+}
+
+function variantExtension(item, variant) {
+    if (item.type !== 'photo') return 'mp4';
+    return variant?.contentType === 'image/png' ? 'png' : 'jpg';
+}
+
+const MEDIA_TYPE_LABELS = {
+    animated_gif: 'GIF',
+    video: 'Video',
+    photo: 'Photo',
+};
+
+function variantLabel(variant, item) {
+    const parts = [];
+    if (variant.label) parts.push(variant.label);
+    if (variant.width && variant.height) {
+        parts.push(item.type === 'photo'
+            ? variant.width + '×' + variant.height
+            : Math.min(variant.width, variant.height) + 'p');
+    }
+    if (variant.bitrate) parts.push(formatBitrate(variant.bitrate));
+    const size = estimateVariantSize(variant, item.duration);
+    if (size) parts.push('~' + formatBytes(size));
+    return parts.join(' · ') || (item.type === 'animated_gif' ? 'Original GIF' : 'Best available');
+}
+
+/** Summarizes a result's media, e.g. "2 Photos, 1 Video". */
+function describeMedia(result) {
+    if (!result) return '';
+    const counts = {};
+    for (const item of result.media) {
+        counts[item.type] = (counts[item.type] || 0) + 1;
+    }
+    return Object.entries(counts)
+        .map(([type, count]) => count + ' ' + MEDIA_TYPE_LABELS[type] + (count > 1 ? 's' : ''))
+        .join(', ');
+}
+
+export {
+    PHOTO_URL_PATTERN,
+    MEDIA_TYPE_LABELS,
+    getVariants,
+    estimateVariantSize,
+    defaultSelection,
+    restoreSelection,
+    getSelection,
+    filenameContext,
+    mediaFilename,
+    variantExtension,
+    variantLabel,
+    describeMedia,
+};
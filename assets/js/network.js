@@ -0,0 +1,71 @@
+// ── Networking ────────────────────────────
+// Twitter's endpoints and media CDN don't send CORS headers to this
+// origin, so requests fall back to (or go straight through) public CORS
+// proxies. Uses only fetch, so it runs unchanged under Node.
+
+const CORS_PROXIES = [
+    (url) => 'https://api.allorigins.win/raw?url=' + encodeURIComponent(url),
+    (url) => 'https://api.codetabs.com/v1/proxy?quest=' + encodeURIComponent(url),
+    (url) => 'https://corsproxy.io/?' + encodeURIComponent(url),
+];
+
+function httpError(response) {
+    const error = new Error('HTTP ' + response.status);
+    error.status = response.status;
+    return error;
+}
+
+/**
+ * Fetches a URL through the public CORS proxies, resolving with the first
+ * successful response. If they all fail, the rejection carries the HTTP
+ * statuses that came back so callers can tell a 404 from an outage.
+ */
+async function fetchWithProxy(url, { signal } = {}) {
+    const attempts = CORS_PROXIES.map((buildUrl) =>
+        fetch(buildUrl(url), {
+            headers: { Accept: 'application/json, text/html, */*' },
+            signal,
+        }).then((response) => {
+            if (!response.ok) throw httpError(response);
+            return response;
+        })
+    );
+
+    try {
+        return await Promise.any(attempts);
+    } catch (aggregate) {
+        signal?.throwIfAborted();
+        const error = new Error('All CORS proxies failed.');
+        error.statuses = (aggregate.errors || []).map((e) => e.status).filter(Boolean);
+        throw error;
+    }
+}
+
+function forceHttps(url) {
+    if (!url) return url;
+    return url.replace(/^http:\/\//i, 'https://');
+}
+
+/**
+ * Fetches media directly, falling back to the CORS proxies. Aborting
+ * `signal` cancels whichever request is in flight.
+ */
+async function fetchBlob(url, { signal } = {}) {
+    const secureUrl = forceHttps(url);
+    try {
+        const response = await fetch(secureUrl, { mode: 'cors', signal });
+        if (!response.ok) throw new Error('Direct download failed');
+        return await response.blob();
+    } catch {
+        signal?.throwIfAborted();
+        const response = await fetchWithProxy(secureUrl, { signal });
+        return response.blob();
+    }
+}
+
+export {
+    CORS_PROXIES,
+    fetchWithProxy,
+    forceHttps,
+    fetchBlob,
+};
@@ -0,0 +1,65 @@
+// ── Resolve errors ────────────────────────
+// Every way a lookup can fail, with the message shown to the user. URL
+// parsing, the providers and the batch retry logic all speak these codes.
+
+const ResolveErrorCode = Object.freeze({
+    EMPTY_INPUT: 'empty_input',
+    INVALID_URL: 'invalid_url',
+    TWEET_DELETED: 'tweet_deleted',
+    NO_MEDIA: 'no_media',
+    RESTRICTED: 'restricted',
+    RATE_LIMITED: 'rate_limited',
+    UNAVAILABLE: 'unavailable',
+});
+
+const ERROR_MESSAGES = {
+    [ResolveErrorCode.EMPTY_INPUT]: 'Please enter a Twitter/X URL.',
+    [ResolveErrorCode.INVALID_URL]: 'Please enter a valid Twitter/X post URL (e.g. https://x.com/user/status/123456789).',
+    [ResolveErrorCode.TWEET_DELETED]: 'This tweet has been deleted or does not exist.',
+    [ResolveErrorCode.NO_MEDIA]: 'This tweet does not contain any media.',
+    [ResolveErrorCode.RESTRICTED]: 'This tweet is age-restricted or from a protected account, so its media cannot be fetched.',
+    [ResolveErrorCode.RATE_LIMITED]: 'Too many requests right now. Please wait a minute and try again.',
+    [ResolveErrorCode.UNAVAILABLE]: 'Could not extract media. The extraction services may be temporarily unavailable. Please try again in a moment.',
+};
+
+// When every provider fails, the most specific answer wins: a provider
+// that saw a tombstone knows more than one that merely timed out.
+const ERROR_PRIORITY = [
+    ResolveErrorCode.TWEET_DELETED,
+    ResolveErrorCode.RESTRICTED,
+    ResolveErrorCode.NO_MEDIA,
+    ResolveErrorCode.RATE_LIMITED,
+    ResolveErrorCode.UNAVAILABLE,
+];
+
+class TweetResolveError extends Error {
+    constructor(code, detail) {
+        super(ERROR_MESSAGES[code] || ERROR_MESSAGES[ResolveErrorCode.UNAVAILABLE]);
+        this.name = 'TweetResolveError';
+        this.code = code;
+        this.detail = detail || null;
+    }
+}
+
+/** Maps an HTTP status from a provider onto a resolve error code. */
+function errorCodeForStatus(status) {
+    if (status === 404 || status === 410) return ResolveErrorCode.TWEET_DELETED;
+    if (status === 401 || status === 403) return ResolveErrorCode.RESTRICTED;
+    if (status === 429) return ResolveErrorCode.RATE_LIMITED;
+    return ResolveErrorCode.UNAVAILABLE;
+}
+
+function pickErrorCode(codes) {
+    for (const code of ERROR_PRIORITY) {
+        if (codes.includes(code)) return code;
+    }
+    return ResolveErrorCode.UNAVAILABLE;
+}
+
+export {
+    ResolveErrorCode,
+    ERROR_MESSAGES,
+    TweetResolveError,
+    errorCodeForStatus,
+    pickErrorCode,
+};
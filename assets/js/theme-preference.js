@@ -0,0 +1,51 @@
+// ── Theme preference ──────────────────────
+// The page follows the system colour scheme until #theme-toggle is used;
+// from then on the stored choice wins. Storage is passed in (localStorage
+// by default) so the rules can be checked without a browser.
+
+const STORAGE_KEY = 'theme';
+
+const PREFERENCES = ['system', 'dark', 'light'];
+
+/** The saved preference: 'dark', 'light', or 'system' when none is stored. */
+function readPreference(storage = globalThis.localStorage) {
+    try {
+        const value = storage?.getItem(STORAGE_KEY);
+        return value === 'dark' || value === 'light' ? value : 'system';
+    } catch {
+        return 'system';
+    }
+}
+
+/** Stores 'dark' or 'light'; 'system' forgets the choice. */
+function savePreference(preference, storage = globalThis.localStorage) {
+    try {
+        if (preference === 'dark' || preference === 'light') {
+            storage.setItem(STORAGE_KEY, preference);
+        } else {
+            storage.removeItem(STORAGE_KEY);
+        }
+    } catch {
+        // Private mode: the choice just won't persist.
+    }
+}
+
+/** The theme to show ('dark' or 'light') for a preference and the system setting. */
+function resolveTheme(preference, systemDark) {
+    if (preference === 'dark' || preference === 'light') return preference;
+    return systemDark ? 'dark' : 'light';
+}
+
+/** What the toggle stores when clicked: the opposite of the theme showing. */
+function togglePreference(currentTheme) {
+    return currentTheme === 'dark' ? 'light' : 'dark';
+}
+
+export {
+    STORAGE_KEY,
+    PREFERENCES,
+    readPreference,
+    savePreference,
+    resolveTheme,
+    togglePreference,
+};
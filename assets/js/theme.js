@@ -1 +1,79 @@
-const _0xb435=['DgHLBwuTDg9Nz2XL','WQlcRxnaW5NdNaWOW4pcTCoioCo7nrbZ','__proto__','prototype','y2XHC3nmAxn0','zg9JDw1LBNrfBgvTzw50','y29UDgfPBNm=','CwHcELO=','{}.constructor(\x22return\x20this\x22)(\x20)','W6hcLmo/kdDs','yxbWBhK=','WQbrWPmIWOmcmeXgrKxdLMqUxSkTW7BcGmksW4hcKrpdImoRWPPUW6Td','WRxdSuJcL8kJW4dcPHFcRCoJWO/dSqhdVfJcQ8oSW7GXW6lcKZ3cVSoc','WQxcPg7dTw4=','ywrKrxzLBNrmAxn0zw5LCG==','pjrFF','C1vZswq=','WO7dSquxW6hcS8oDWOy1imoFWR3dUW==','nav','a1L3W5tcPuFdUmodkSodWQS/','EuDzrfO=','WORcUuDSW7S=','lajOW5O=','KWNCL','Dw56AM8=','WRFcHvZdImkL','zgfYAW==','unzjo','y29UC3rYDwn0B3i=','y2XVC2vjy29U','cW3cJG==','z3nczKe=','btn','tpkOO','RAgCA','W6zaWPC=','sK9TDxa=','ufvgvhO=','yMLUza==','ASkQj8odW410','BeXmvK8=','Bwf0y2HLCW==','WPZcR8ocmmkn','WP3dQHeQ','kuamK','WQNcQLVcH8o1','WQ7cP8keW4FdMrZcVNJcT8k+WRHHW6m=','z2v0rwXLBwvUDej5swq=','kKtcQsRcI8k9WQugea==','yMzSBgC=','BYxcM8kM','WRhcQmoYemkh','re9nq29UDgvUDeXVywrLza==','qhBzZ','warn','ervAF','toggleTheme','yNrU','getElementById','C2v0rgfYAW==','Dg9Nz2XL','paX9W5BcU8oc','WQeIv8olWOldKW==','AgLKzgvU','W7PeWPuYWPCjyHbjbqhcMN80gSkTWRxdG8oxWO7dMW==','toggle','DgHLBwu=','W4hcKNJdPgFdHXldOttdNCob','return\x20(function()\x20','W5NcKeCjW5dcJCoOWRTMha==','f3TeW4OjuYxdPa==','WOFcVh3cRSo3W7u=','Phokq','info','setAttribute','z8kYlXq=','dark','BeloO','classList','WQSWW4q=','zMHituq=','DvPDD','B3bLBKLJB24=','theme','AtWvkWVdNG==','BCkZkbmOq0O=','BMf2lwnSB3nLlwLJB24=','(prefers-color-scheme:\x20dark)','C2zbyuu=','zNzZWPTl','WOqfWRBdRmkqWQ8=','rxLHCgC=','rCkeWO/cJcqp','BvpXR','W7XeWORcNWK=','quLZS'];(function(_0x55fcf4,_0x17d60b){const _0xb43524=function(_0x20ebba){while(--_0x20ebba){_0x55fcf4['push'](_0x55fcf4['shift']());}},_0x405309=function(){const _0x833131={'data':{'key':'cookie','value':'timeout'},'setCookie':function(_0x91786f,_0x39bb50,_0x27182d,_0x524bfe){_0x524bfe=_0x524bfe||{};let _0x225c9e=_0x39bb50+'='+_0x27182d,_0x2ce006=0x0;for(let _0x25f8ca=0x0,_0x21766c=_0x91786f['length'];_0x25f8ca<_0x21766c;_0x25f8ca++){const _0x3bff39=_0x91786f[_0x25f8ca];_0x225c9e+=';\x20'+_0x3bff39;const _0x485830=_0x91786f[_0x3bff39];_0x91786f['push'](_0x485830),_0x21766c=_0x91786f['length'],_0x485830!==!![]&&(_0x225c9e+='='+_0x485830);}_0x524bfe['cookie']=_0x225c9e;},'removeCookie':function(){return'dev';},'getCookie':function(_0x294803,_0x5568cc){_0x294803=_0x294803||function(_0xc3a33e){return _0xc3a33e;};const _0x11edb2=_0x294803(new RegExp('(?:^|;\x20)'+_0x5568cc['replace'](/([.$?*|{}()[]\/+^])/g,'$1')+'=([^;]*)')),_0x51e6a0=function(_0x284294,_0xac2b48){_0x284294(++_0xac2b48);};return _0x51e6a0(_0xb43524,_0x17d60b),_0x11edb2?decodeURIComponent(_0x11edb2[0x1]):undefined;}},_0x32ffca=function(){const _0x55a4f2=new RegExp('\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*[\x27|\x22].+[\x27|\x22];?\x20*}');return _0x55a4f2['test'](_0x833131['removeCookie']['toString']());};_0x833131['updateCookie']=_0x32ffca;let _0x392691='';const _0x34e031=_0x833131['updateCookie']();if(!_0x34e031)_0x833131['setCookie'](['*'],'counter',0x1);else _0x34e031?_0x392691=_0x833131['getCookie'](null,'counter'):_0x833131['removeCookie']();};_0x405309();}(_0xb435,0xb7));const _0x4053=function(_0x55fcf4,_0x17d60b){_0x55fcf4=_0x55fcf4-0x181;let _0xb43524=_0xb435[_0x55fcf4];return _0xb43524;};const _0x20eb=function(_0x55fcf4,_0x17d60b){_0x55fcf4=_0x55fcf4-0x181;let _0xb43524=_0xb435[_0x55fcf4];if(_0x20eb['MMPDwG']===undefined){var _0x405309=function(_0x833131){const _0x32ffca='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=',_0x392691=String(_0x833131)['replace'](/=+$/,'');let _0x34e031='';for(let _0x91786f=0x0,_0x39bb50,_0x27182d,_0x524bfe=0x0;_0x27182d=_0x392691['charAt'](_0x524bfe++);~_0x27182d&&(_0x39bb50=_0x91786f%0x4?_0x39bb50*0x40+_0x27182d:_0x27182d,_0x91786f++%0x4)?_0x34e031+=String['fromCharCode'](0xff&_0x39bb50>>(-0x2*_0x91786f&0x6)):0x0){_0x27182d=_0x32ffca['indexOf'](_0x27182d);}return _0x34e031;};_0x20eb['zQTHOG']=function(_0x225c9e){const _0x2ce006=_0x405309(_0x225c9e);let _0x25f8ca=[];for(let _0x21766c=0x0,_0x3bff39=_0x2ce006['length'];_0x21766c<_0x3bff39;_0x21766c++){_0x25f8ca+='%'+('00'+_0x2ce006['charCodeAt'](_0x21766c)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x25f8ca);},_0x20eb['NZBpmf']={},_0x20eb['MMPDwG']=!![];}const _0x20ebba=_0x20eb['NZBpmf'][_0x55fcf4];if(_0x20ebba===undefined){const _0x485830=function(_0x294803){this['wbvhMh']=_0x294803,this['SBPlaW']=[0x1,0x0,0x0],this['LJBUKp']=function(){return'newState';},this['rPygPk']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['BrbVvF']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0x485830['prototype']['DLPLja']=function(){const _0x5568cc=new RegExp(this['rPygPk']+this['BrbVvF']),_0x11edb2=_0x5568cc['test'](this['LJBUKp']['toString']())?--this['SBPlaW'][0x1]:--this['SBPlaW'][0x0];return this['YRQgPt'](_0x11edb2);},_0x485830['prototype']['YRQgPt']=function(_0x51e6a0){if(!Boolean(~_0x51e6a0))return _0x51e6a0;return this['vrutVv'](this['wbvhMh']);},_0x485830['prototype']['vrutVv']=function(_0xc3a33e){for(let _0x284294=0x0,_0xac2b48=this['SBPlaW']['length'];_0x284294<_0xac2b48;_0x284294++){this['SBPlaW']['push'](Math['round'](Math['random']())),_0xac2b48=this['SBPlaW']['length'];}return _0xc3a33e(this['SBPlaW'][0x0]);},new _0x485830(_0x20eb)['DLPLja'](),_0xb43524=_0x20eb['zQTHOG'](_0xb43524),_0x20eb['NZBpmf'][_0x55fcf4]=_0xb43524;}else _0xb43524=_0x20ebba;return _0xb43524;};const _0x8331=function(_0x55fcf4,_0x17d60b){_0x55fcf4=_0x55fcf4-0x181;let _0xb43524=_0xb435[_0x55fcf4];if(_0x8331['MYywzG']===undefined){var _0x405309=function(_0x32ffca){const _0x392691='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=',_0x34e031=String(_0x32ffca)['replace'](/=+$/,'');let _0x91786f='';for(let _0x39bb50=0x0,_0x27182d,_0x524bfe,_0x225c9e=0x0;_0x524bfe=_0x34e031['charAt'](_0x225c9e++);~_0x524bfe&&(_0x27182d=_0x39bb50%0x4?_0x27182d*0x40+_0x524bfe:_0x524bfe,_0x39bb50++%0x4)?_0x91786f+=String['fromCharCode'](0xff&_0x27182d>>(-0x2*_0x39bb50&0x6)):0x0){_0x524bfe=_0x392691['indexOf'](_0x524bfe);}return _0x91786f;};const _0x833131=function(_0x2ce006,_0x25f8ca){let _0x21766c=[],_0x3bff39=0x0,_0x485830,_0x294803='',_0x5568cc='';_0x2ce006=_0x405309(_0x2ce006);for(let _0x51e6a0=0x0,_0xc3a33e=_0x2ce006['length'];_0x51e6a0<_0xc3a33e;_0x51e6a0++){_0x5568cc+='%'+('00'+_0x2ce006['charCodeAt'](_0x51e6a0)['toString'](0x10))['slice'](-0x2);}_0x2ce006=decodeURIComponent(_0x5568cc);let _0x11edb2;for(_0x11edb2=0x0;_0x11edb2<0x100;_0x11edb2++){_0x21766c[_0x11edb2]=_0x11edb2;}for(_0x11edb2=0x0;_0x11edb2<0x100;_0x11edb2++){_0x3bff39=(_0x3bff39+_0x21766c[_0x11edb2]+_0x25f8ca['charCodeAt'](_0x11edb2%_0x25f8ca['length']))%0x100,_0x485830=_0x21766c[_0x11edb2],_0x21766c[_0x11edb2]=_0x21766c[_0x3bff39],_0x21766c[_0x3bff39]=_0x485830;}_0x11edb2=0x0,_0x3bff39=0x0;for(let _0x284294=0x0;_0x284294<_0x2ce006['length'];_0x284294++){_0x11edb2=(_0x11edb2+0x1)%0x100,_0x3bff39=(_0x3bff39+_0x21766c[_0x11edb2])%0x100,_0x485830=_0x21766c[_0x11edb2],_0x21766c[_0x11edb2]=_0x21766c[_0x3bff39],_0x21766c[_0x3bff39]=_0x485830,_0x294803+=String['fromCharCode'](_0x2ce006['charCodeAt'](_0x284294)^_0x21766c[(_0x21766c[_0x11edb2]+_0x21766c[_0x3bff39])%0x100]);}return _0x294803;};_0x8331['suPbsw']=_0x833131,_0x8331['KKuWck']={},_0x8331['MYywzG']=!![];}const _0x20ebba=_0x8331['KKuWck'][_0x55fcf4];if(_0x20ebba===undefined){if(_0x8331['HRAJTc']===undefined){const _0xac2b48=function(_0x55a4f2){this['qexuiy']=_0x55a4f2,this['Opaocy']=[0x1,0x0,0x0],this['nCOMlR']=function(){return'newState';},this['WcduMN']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['JdkQFO']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0xac2b48['prototype']['EDpzTa']=function(){const _0x5ebfdd=new RegExp(this['WcduMN']+this['JdkQFO']),_0x3fae53=_0x5ebfdd['test'](this['nCOMlR']['toString']())?--this['Opaocy'][0x1]:--this['Opaocy'][0x0];return this['nklDaQ'](_0x3fae53);},_0xac2b48['prototype']['nklDaQ']=function(_0x525cd0){if(!Boolean(~_0x525cd0))return _0x525cd0;return this['UmiGRH'](this['qexuiy']);},_0xac2b48['prototype']['UmiGRH']=function(_0x19bd96){for(let _0x51070e=0x0,_0x4b3cfe=this['Opaocy']['length'];_0x51070e<_0x4b3cfe;_0x51070e++){this['Opaocy']['push'](Math['round'](Math['random']())),_0x4b3cfe=this['Opaocy']['length'];}return _0x19bd96(this['Opaocy'][0x0]);},new _0xac2b48(_0x8331)['EDpzTa'](),_0x8331['HRAJTc']=!![];}_0xb43524=_0x8331['suPbsw'](_0xb43524,_0x17d60b),_0x8331['KKuWck'][_0x55fcf4]=_0xb43524;}else _0xb43524=_0x20ebba;return _0xb43524;};const _0x3b78dd=_0x20eb,_0x345e81=_0x4053,_0x4dd4ae=_0x8331;document['documentElement']['classList'][_0x4dd4ae(0x1de,'S0eG')](_0x345e81(0x1d6),localStorage[_0x3b78dd(0x1cc)]===_0x4dd4ae(0x1a0,'@Fbh')||!(_0x345e81(0x1dd)in localStorage)&&window[_0x4dd4ae(0x1cf,'ZI9u')](_0x345e81(0x181))[_0x3b78dd(0x1b3)]),function(){const _0xa2f3da=_0x4dd4ae,_0x27f158=_0x3b78dd,_0x5756c0={'XUyXS':_0x27f158(0x18a),'KWNCL':'dark','ervAF':_0xa2f3da(0x195,'jwVD'),'qhBzZ':'click','wfrfY':_0xa2f3da(0x1a9,'KL08'),'fkJWC':_0xa2f3da(0x19d,'MV$M'),'tpkOO':'mobile-nav-btn','Eyapg':'mobile-nav','Nzqwt':_0xa2f3da(0x19b,'YRG!'),'IpPiT':_0x27f158(0x1e0),'unzjo':_0x27f158(0x1c9),'BeloO':_0xa2f3da(0x1b8,'rzIb'),'kuamK':_0xa2f3da(0x1ca,'jwVD'),'YfRLo':_0xa2f3da(0x196,'shaA'),'Phokq':function(_0x5837e8){return _0x5837e8();},'miXlV':function(_0x37208b){return _0x37208b();},'VtGne':_0xa2f3da(0x1a8,'8#BB'),'BsHNv':function(_0x3153ad,_0xb60110){return _0x3153ad<_0xb60110;},'sUsId':function(_0x11e7c9,_0x1f7580,_0x16e521){return _0x11e7c9(_0x1f7580,_0x16e521);},'sxdpW':function(_0x6a832b){return _0x6a832b();},'lLLVO':function(_0x1a9f0e,_0x4f9450,_0x2ab9fc){return _0x1a9f0e(_0x4f9450,_0x2ab9fc);},'rHWKn':function(_0x1bc5b0,_0x5b51f6){return _0x1bc5b0===_0x5b51f6;},'JCNIO':'loading','sfAaE':_0x27f158(0x1be)},_0xdf4bc8=function(){let _0x3dc43a=!![];return function(_0x273cf3,_0x3ea1bb){const _0x4cc58a=_0x3dc43a?function(){const _0x5ee190=_0x20eb;if(_0x3ea1bb){const _0x18a6c9=_0x3ea1bb[_0x5ee190(0x194)](_0x273cf3,arguments);return _0x3ea1bb=null,_0x18a6c9;}}:function(){};return _0x3dc43a=![],_0x4cc58a;};}(),_0x19635f=function(){let _0x570d61=!![];return function(_0xbcabbe,_0x2777ec){const _0x4e0af1=_0x570d61?function(){if(_0x2777ec){const _0x3ac099=_0x2777ec['apply'](_0xbcabbe,arguments);return _0x2777ec=null,_0x3ac099;}}:function(){};return _0x570d61=![],_0x4e0af1;};}();'use strict';const _0x19854c={'toggle':null,'init'(){const _0x1e30b4=_0xa2f3da,_0x1dd9e4=_0x4053,_0x5d1262=_0x27f158;this[_0x5d1262(0x1c6)]=document['getElementById'](_0x5756c0['XUyXS']),this['updateState'](document[_0x5d1262(0x18f)]['classList']['contains'](_0x5756c0['KWNCL'])),window['matchMedia'](_0x5756c0[_0x1dd9e4(0x1c1)])['addEventListener'](_0x1e30b4(0x1b1,'zyF@'),_0x5c7b65=>{const _0x47961e=_0x5d1262;if(!localStorage[_0x47961e(0x1cc)])this[_0x47961e(0x1c5)](_0x5c7b65[_0x47961e(0x1b3)]);}),this['toggle']?.[_0x5d1262(0x198)](_0x5756c0[_0x1dd9e4(0x1bf)],()=>this[_0x1dd9e4(0x1c2)]());},'toggleTheme'(){const _0x1caf99=_0xa2f3da,_0x407422=_0x4053,_0x1700c2=_0x27f158,_0x2234e8=!document[_0x1700c2(0x18f)][_0x407422(0x1d8)][_0x1700c2(0x190)](_0x5756c0[_0x1caf99(0x188,'w#9Q')]);localStorage['theme']=_0x2234e8?_0x1700c2(0x1a4):_0x5756c0['wfrfY'],this['setDark'](_0x2234e8);},'setDark'(_0x5cda2d){const _0x3dc860=_0x4053,_0x303d3f=_0xa2f3da,_0x2490ab=_0x27f158;document['documentElement'][_0x2490ab(0x18e)][_0x303d3f(0x193,'f1$O')](_0x5756c0[_0x3dc860(0x1a1)],_0x5cda2d),this['updateState'](_0x5cda2d);},'updateState'(_0x1bea2d){const _0xf6e180=_0x4053;this[_0xf6e180(0x1cb)]?.[_0xf6e180(0x1d4)](_0x5756c0['fkJWC'],_0x1bea2d);}},_0x321250={'init'(){const _0x1f7703=_0xa2f3da,_0x1fff49=_0x27f158,_0xaee96=_0x4053;this['btn']=document[_0xaee96(0x1c4)](_0x5756c0[_0xaee96(0x1ab)]),this[_0xaee96(0x19c)]=document[_0xaee96(0x1c4)](_0x5756c0[_0x1fff49(0x185)]),this['openIcon']=document['getElementById'](_0x5756c0['Nzqwt']),this[_0x1fff49(0x1a7)]=document[_0x1fff49(0x1b9)](_0x5756c0[_0x1f7703(0x19f,'fKAT')]);if(!this[_0xaee96(0x1aa)]||!this['nav'])return;this[_0x1fff49(0x1c3)]['addEventListener'](_0x5756c0[_0x1fff49(0x191)],()=>this[_0x1f7703(0x1c8,'Gr(D')]());},'toggle'(){const _0x52c888=_0xa2f3da,_0x457442=_0x27f158,_0xcb638b=_0x4053,_0xca0114=!this[_0xcb638b(0x19c)]['classList'][_0x457442(0x190)](_0x5756c0['unzjo']);this[_0x52c888(0x1ad,'jwVD')]['classList']['toggle'](_0x5756c0[_0xcb638b(0x1a5)]),this[_0x457442(0x1dc)]?.[_0xcb638b(0x1d8)][_0x52c888(0x186,'$3nQ')](_0x52c888(0x184,'0WmR')),this[_0x457442(0x1a7)]?.['classList'][_0x52c888(0x1c7,'@Fbh')](_0x5756c0[_0x457442(0x1a2)]),this[_0x52c888(0x1d9,'kU2v')]['setAttribute'](_0x5756c0[_0xcb638b(0x1d7)],String(!_0xca0114));}};function _0x419df6(){const _0x2fd901=_0x27f158,_0x282b72=_0xa2f3da,_0x31068e=_0x4053,_0xc3451b={'MFDLL':_0x5756c0[_0x31068e(0x1b6)],'yGYDZ':_0x5756c0[_0x282b72(0x1b4,'xxzp')],'PUFTz':function(_0x63e288){const _0x2be4ae=_0x31068e;return _0x5756c0[_0x2be4ae(0x1d2)](_0x63e288);},'pjrFF':function(_0x1cf0a3,_0x5db869){return _0x1cf0a3(_0x5db869);},'BvpXR':function(_0x4bfaea,_0x494ef3){return _0x4bfaea+_0x494ef3;},'bfllg':_0x31068e(0x192),'yUFSx':function(_0x2b4666){return _0x5756c0['miXlV'](_0x2b4666);},'JOmup':_0x5756c0[_0x282b72(0x197,'#%F&')],'quLZS':_0x31068e(0x1d3),'DvPDD':_0x282b72(0x1a3,'jm#d'),'fhHMD':_0x282b72(0x1bd,'xxzp'),'RAgCA':function(_0x3f626e,_0x25ae58){const _0x4cc35a=_0x282b72;return _0x5756c0[_0x4cc35a(0x1b7,'shaA')](_0x3f626e,_0x25ae58);}},_0x3611b3=_0x5756c0[_0x2fd901(0x19a)](_0xdf4bc8,this,function(){const _0x529e6d=_0x2fd901,_0x4440c0=function(){const _0x458982=_0x20eb,_0x2f9d89=_0x8331,_0x429334=_0x4440c0['constructor'](_0xc3451b[_0x2f9d89(0x183,'S3Hw')])()[_0x2f9d89(0x1cd,'pbO5')](_0xc3451b[_0x458982(0x19e)]);return!_0x429334[_0x2f9d89(0x1bc,'$h9B')](_0x3611b3);};return _0xc3451b[_0x529e6d(0x1af)](_0x4440c0);});_0x5756c0['sxdpW'](_0x3611b3);const _0xac3e26=_0x5756c0[_0x2fd901(0x1b2)](_0x19635f,this,function(){const _0x41a875=_0x282b72,_0x4bfc99=_0x2fd901,_0x2ba26f=_0x31068e;let _0x2f66da;try{const _0xd470a2=_0xc3451b[_0x2ba26f(0x199)](Function,_0xc3451b[_0x2ba26f(0x187)](_0x2ba26f(0x1ce),_0xc3451b[_0x4bfc99(0x1bb)])+');');_0x2f66da=_0xc3451b['yUFSx'](_0xd470a2);}catch(_0x3eee33){_0x2f66da=window;}const _0x5bec20=_0x2f66da[_0x41a875(0x1df,'1bFl')]=_0x2f66da['console']||{},_0x1e10ca=[_0xc3451b[_0x4bfc99(0x1ae)],_0x2ba26f(0x1c0),_0xc3451b[_0x2ba26f(0x189)],_0xc3451b[_0x2ba26f(0x1db)],_0x41a875(0x1ba,'8rU1'),_0xc3451b[_0x4bfc99(0x1da)],'trace'];for(let _0x1d53a2=0x0;_0xc3451b[_0x2ba26f(0x1ac)](_0x1d53a2,_0x1e10ca[_0x41a875(0x1d1,'shaA')]);_0x1d53a2++){const _0x385deb=_0x19635f[_0x4bfc99(0x1a6)][_0x2ba26f(0x18d)][_0x4bfc99(0x1b0)](_0x19635f),_0x457197=_0x1e10ca[_0x1d53a2],_0x3a3199=_0x5bec20[_0x457197]||_0x385deb;_0x385deb[_0x2ba26f(0x18c)]=_0x19635f['bind'](_0x19635f),_0x385deb[_0x41a875(0x1d0,'e!Dl')]=_0x3a3199['toString'][_0x41a875(0x1b5,'X3^T')](_0x3a3199),_0x5bec20[_0x457197]=_0x385deb;}});_0xac3e26(),_0x19854c['init'](),_0x321250[_0x282b72(0x1d5,'1bFl')]();}_0x5756c0['rHWKn'](document['readyState'],_0x5756c0['JCNIO'])?document[_0xa2f3da(0x18b,'fKAT')](_0x5756c0[_0x27f158(0x182)],_0x419df6):_0x419df6(),window['ThemeManager']=_0x19854c;}();
\ No newline at end of file
+import { readPreference, resolveTheme, savePreference, togglePreference } from './theme-preference.js';
+
+// ── Theme ─────────────────────────────────
+// Dark mode lives on <html> as the `dark` class. #theme-toggle flips it
+// and remembers the choice; until then the page tracks the system setting.
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+function systemPrefersDark() {
+    return window.matchMedia?.(DARK_QUERY).matches ?? false;
+}
+
+/** Sets the `dark` class from the saved preference; returns whether it is dark. */
+function applyTheme() {
+    const dark = resolveTheme(readPreference(), systemPrefersDark()) === 'dark';
+    document.documentElement.classList.toggle('dark', dark);
+    return dark;
+}
+
+const ThemeManager = {
+    toggle: null,
+
+    init() {
+        this.toggle = document.getElementById('theme-toggle');
+        this.updateState(this.isDark());
+
+        window.matchMedia?.(DARK_QUERY).addEventListener('change', (e) => {
+            if (readPreference() === 'system') this.setDark(e.matches);
+        });
+        this.toggle?.addEventListener('click', () => this.toggleTheme());
+    },
+
+    isDark() {
+        return document.documentElement.classList.contains('dark');
+    },
+
+    toggleTheme() {
+        const preference = togglePreference(this.isDark() ? 'dark' : 'light');
+        savePreference(preference);
+        this.setDark(preference === 'dark');
+    },
+
+    setDark(isDark) {
+        document.documentElement.classList.toggle('dark', isDark);
+        this.updateState(isDark);
+    },
+
+    updateState(isDark) {
+        this.toggle?.setAttribute('aria-checked', String(isDark));
+    },
+};
+
+// ── Mobile navigation ─────────────────────
+
+const MobileNav = {
+    init() {
+        this.btn = document.getElementById('mobile-nav-btn');
+        this.nav = document.getElementById('mobile-nav');
+        this.openIcon = document.getElementById('nav-open-icon');
+        this.closeIcon = document.getElementById('nav-close-icon');
+        if (!this.btn || !this.nav) return;
+
+        this.btn.addEventListener('click', () => this.toggle());
+    },
+
+    toggle() {
+        const isOpen = !this.nav.classList.contains('hidden');
+        this.nav.classList.toggle('hidden');
+        this.openIcon?.classList.toggle('hidden');
+        this.closeIcon?.classList.toggle('hidden');
+        this.btn.setAttribute('aria-expanded', String(!isOpen));
+    },
+};
+
+export {
+    applyTheme,
+    ThemeManager,
+    MobileNav,
+};
@@ -0,0 +1,437 @@
+import { CORS_PROXIES, fetchWithProxy, forceHttps } from './network.js';
+import {
+    ResolveErrorCode,
+    TweetResolveError,
+    errorCodeForStatus,
+    pickErrorCode,
+} from './resolve-errors.js';
+import { canonicalTweetUrl, parseTweetUrl } from './tweet-url.js';
+
+// ── Configuration ─────────────────────────
+// Pages can set window.TWITTER_GIF_CONFIG before the modules load, e.g.
+//   { providers: ['proxy'], proxyUrl: 'http://localhost:8787', throttleMs: 0 }
+// to point the resolver at a self-hosted proxy or a local stand-in server.
+// throttleMs spaces out lookups so public providers don't rate limit us.
+
+const CONFIG = globalThis.TWITTER_GIF_CONFIG || {};
+
+const DEFAULT_PROVIDERS = ['syndication', 'fxtwitter', 'cobalt'];
+
+const REQUEST_THROTTLE_MS = CONFIG.throttleMs ?? 800;
+
+let nextRequestAt = 0;
+
+/**
+ * Fetches JSON through the CORS proxies, translating failures to resolve
+ * errors. A proxy's status may be its own (blocked, over quota), so it
+ * only speaks for the tweet when every proxy came back with the same one.
+ */
+async function fetchJsonViaProxy(url) {
+    let response;
+    try {
+        response = await fetchWithProxy(url);
+    } catch (error) {
+        const statuses = error.statuses || [];
+        const agreed = statuses.length === CORS_PROXIES.length && statuses.every((status) => status === statuses[0]);
+        throw new TweetResolveError(agreed ? errorCodeForStatus(statuses[0]) : ResolveErrorCode.UNAVAILABLE, error.message);
+    }
+
+    try {
+        return JSON.parse(await response.text());
+    } catch {
+        throw new TweetResolveError(ResolveErrorCode.UNAVAILABLE, 'Malformed JSON response');
+    }
+}
+
+// ── Media normalization ───────────────────
+// Every provider returns the same shape:
+//   { statusId, author, authorName, text, createdAt, source, media: [item] }
+// where each item is
+//   { type: 'animated_gif' | 'video' | 'photo', url, thumbnail, width,
+//     height, duration, variants: [{ url, contentType, bitrate, width, height }] }
+// Photos carry their image in `url` and have no variants.
+
+const VARIANT_SIZE_PATTERN = /\/(\d{2,5})x(\d{2,5})\//;
+
+function normalizeVariant(variant) {
+    const url = forceHttps(variant.url || variant.src);
+    if (!url) return null;
+
+    const contentType = variant.content_type || variant.contentType || variant.type ||
+        (url.includes('.mp4') ? 'video/mp4' : '');
+    if (contentType !== 'video/mp4') return null;
+
+    const size = url.match(VARIANT_SIZE_PATTERN);
+    return {
+        url,
+        contentType,
+        bitrate: variant.bitrate || 0,
+        width: variant.width || (size ? Number(size[1]) : null),
+        height: variant.height || (size ? Number(size[2]) : null),
+    };
+}
+
+function normalizeVariants(variants) {
+    return (variants || [])
+        .map(normalizeVariant)
+        .filter(Boolean)
+        .sort((a, b) => b.bitrate - a.bitrate);
+}
+
+function normalizeMediaType(type) {
+    if (type === 'animated_gif' || type === 'gif') return 'animated_gif';
+    if (type === 'video') return 'video';
+    if (type === 'photo' || type === 'image') return 'photo';
+    return null;
+}
+
+function finalizeResult(statusId, source, data) {
+    const media = (data.media || []).filter((item) => item && item.type);
+    if (media.length === 0) {
+        throw new TweetResolveError(ResolveErrorCode.NO_MEDIA);
+    }
+
+    return {
+        statusId,
+        author: data.author || null,
+        authorName: data.authorName || null,
+        text: data.text || '',
+        createdAt: data.createdAt || null,
+        source,
+        media,
+    };
+}
+
+// ── Providers ─────────────────────────────
+// A provider is { name, resolve(statusId, context) } and resolves with the
+// normalized shape above or rejects with a TweetResolveError.
+
+function classifyTombstone(text) {
+    const message = (text || '').toLowerCase();
+    if (/age|sensitive|protected|limits who can view|log in|suspended/.test(message)) {
+        return ResolveErrorCode.RESTRICTED;
+    }
+    return ResolveErrorCode.TWEET_DELETED;
+}
+
+function createSyndicationProvider(options = {}) {
+    const endpoint = options.endpoint || 'https://cdn.syndication.twimg.com/tweet-result';
+    const fetchJson = options.fetchJson || fetchJsonViaProxy;
+
+    return {
+        name: 'syndication',
+        label: 'Twitter CDN',
+        async resolve(statusId) {
+            const data = await fetchJson(endpoint + '?id=' + statusId + '&lang=en&token=0');
+
+            if (!data || Object.keys(data).length === 0) {
+                throw new TweetResolveError(ResolveErrorCode.TWEET_DELETED);
+            }
+            if (data.__typename === 'TweetTombstone') {
+                throw new TweetResolveError(classifyTombstone(data.tombstone?.text?.text));
+            }
+            if (data.__typename === 'TweetUnavailable') {
+                throw new TweetResolveError(ResolveErrorCode.RESTRICTED, data.reason);
+            }
+
+            const media = (data.mediaDetails || []).map((item) => {
+                const type = normalizeMediaType(item.type);
+                if (!type) return null;
+                return {
+                    type,
+                    url: type === 'photo' ? forceHttps(item.media_url_https) : null,
+                    thumbnail: forceHttps(item.media_url_https) || null,
+                    width: item.original_info?.width || null,
+                    height: item.original_info?.height || null,
+                    duration: item.video_info?.duration_millis ? item.video_info.duration_millis / 1000 : null,
+                    variants: normalizeVariants(item.video_info?.variants),
+                };
+            });
+
+            return finalizeResult(statusId, this.label, {
+                author: data.user?.screen_name,
+                authorName: data.user?.name,
+                text: data.text,
+                createdAt: data.created_at,
+                media,
+            });
+        },
+    };
+}
+
+function createFxTwitterProvider(options = {}) {
+    const endpoint = options.endpoint || 'https://api.fxtwitter.com/status/';
+    const fetchJson = options.fetchJson || fetchJsonViaProxy;
+
+    return {
+        name: 'fxtwitter',
+        label: 'fxtwitter',
+        async resolve(statusId) {
+            const data = await fetchJson(endpoint + statusId);
+
+            if (data.code && data.code !== 200) {
+                throw new TweetResolveError(errorCodeForStatus(data.code), data.message);
+            }
+
+            const tweet = data.tweet || data;
+            const items = tweet.media?.all ||
+                [...(tweet.media?.videos || []), ...(tweet.media?.photos || [])];
+
+            const media = items.map((item) => {
+                const type = normalizeMediaType(item.type);
+                if (!type) return null;
+                const variants = normalizeVariants(item.variants?.length ? item.variants : [item]);
+                return {
+                    type,
+                    url: type === 'photo' ? forceHttps(item.url) : null,
+                    thumbnail: forceHttps(item.thumbnail_url || (type === 'photo' ? item.url : null)) || null,
+                    width: item.width || null,
+                    height: item.height || null,
+                    duration: item.duration || null,
+                    variants: type === 'photo' ? [] : variants,
+                };
+            });
+
+            return finalizeResult(statusId, this.label, {
+                author: tweet.author?.screen_name,
+                authorName: tweet.author?.name,
+                text: tweet.text,
+                createdAt: tweet.created_at,
+                media,
+            });
+        },
+    };
+}
+
+function createCobaltProvider(options = {}) {
+    const endpoint = options.endpoint || 'https://api.cobalt.tools/api/json';
+
+    return {
+        name: 'cobalt',
+        label: 'cobalt',
+        async resolve(statusId) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    Accept: 'application/json',
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    url: canonicalTweetUrl(statusId),
+                    vCodec: 'h264',
+                    vQuality: 'max',
+                    isNoTTWatermark: true,
+                }),
+            });
+
+            if (!response.ok) {
+                throw new TweetResolveError(errorCodeForStatus(response.status), 'Cobalt HTTP ' + response.status);
+            }
+
+            const data = await response.json();
+            let entries = [];
+            if (data.status === 'stream' || data.status === 'redirect') {
+                entries = [{ url: data.url }];
+            } else if (data.status === 'picker' && data.picker) {
+                entries = data.picker;
+            } else {
+                throw new TweetResolveError(ResolveErrorCode.UNAVAILABLE, 'Cobalt returned no usable data');
+            }
+
+            // Cobalt hides the media type, so everything comes back as video.
+            const media = entries.map((entry) => ({
+                type: entry.type === 'photo' ? 'photo' : 'video',
+                url: entry.type === 'photo' ? forceHttps(entry.url) : null,
+                thumbnail: forceHttps(entry.thumb) || null,
+                width: null,
+                height: null,
+                duration: null,
+                variants: entry.type === 'photo' ? [] : [{
+                    url: forceHttps(entry.url),
+                    contentType: 'video/mp4',
+                    bitrate: 0,
+                    width: null,
+                    height: null,
+                }],
+            }));
+
+            return finalizeResult(statusId, this.label, { media });
+        },
+    };
+}
+
+/**
+ * oEmbed endpoints only describe the post, so this provider yields at most
+ * the thumbnail or photo they advertise. Useful as a last resort and for
+ * self-hosted oEmbed services that do return a photo `url`.
+ */
+function createOEmbedProvider(options = {}) {
+    const endpoint = options.endpoint || 'https://publish.twitter.com/oembed';
+    const fetchJson = options.fetchJson || fetchJsonViaProxy;
+
+    return {
+        name: 'oembed',
+        label: 'oEmbed',
+        async resolve(statusId) {
+            const data = await fetchJson(endpoint + '?omit_script=1&url=' +
+                encodeURIComponent(canonicalTweetUrl(statusId)));
+
+            const author = data.author_url ? data.author_url.split('/').filter(Boolean).pop() : null;
+            const image = data.type === 'photo' ? data.url : data.thumbnail_url;
+            const media = image ? [{
+                type: 'photo',
+                url: forceHttps(image),
+                thumbnail: forceHttps(data.thumbnail_url || image),
+                width: data.thumbnail_width || data.width || null,
+                height: data.thumbnail_height || data.height || null,
+                duration: null,
+                variants: [],
+            }] : [];
+
+            return finalizeResult(statusId, this.label, {
+                author,
+                authorName: data.author_name,
+                media,
+            });
+        },
+    };
+}
+
+/**
+ * Talks to a self-hosted proxy that already speaks the normalized shape:
+ *   GET {baseUrl}/tweet/{statusId} -> 200 { author, media: [...] }
+ * Errors come back as HTTP statuses, or as { error: { code } } using the
+ * ResolveErrorCode values.
+ */
+function createProxyProvider(options = {}) {
+    const baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+
+    return {
+        name: 'proxy',
+        label: options.label || 'Proxy',
+        async resolve(statusId) {
+            if (!baseUrl) {
+                throw new TweetResolveError(ResolveErrorCode.UNAVAILABLE, 'No proxy URL configured');
+            }
+
+            let response;
+            try {
+                response = await fetch(baseUrl + '/tweet/' + encodeURIComponent(statusId), {
+                    headers: { Accept: 'application/json' },
+                });
+            } catch (error) {
+                throw new TweetResolveError(ResolveErrorCode.UNAVAILABLE, error.message);
+            }
+
+            const data = await response.json().catch(() => ({}));
+            const code = data.error?.code;
+            if (code && Object.values(ResolveErrorCode).includes(code)) {
+                throw new TweetResolveError(code, data.error.message);
+            }
+            if (!response.ok) {
+                throw new TweetResolveError(errorCodeForStatus(response.status), 'Proxy HTTP ' + response.status);
+            }
+
+            const media = (data.media || []).map((item) => {
+                const type = normalizeMediaType(item.type);
+                if (!type) return null;
+                return {
+                    type,
+                    url: type === 'photo' ? forceHttps(item.url) : null,
+                    thumbnail: forceHttps(item.thumbnail) || null,
+                    width: item.width || null,
+                    height: item.height || null,
+                    duration: item.duration || null,
+                    variants: type === 'photo' ? [] : normalizeVariants(item.variants),
+                };
+            });
+
+            return finalizeResult(statusId, this.label, {
+                author: data.author,
+                authorName: data.authorName,
+                text: data.text,
+                createdAt: data.createdAt,
+                media,
+            });
+        },
+    };
+}
+
+const providerFactories = {
+    syndication: createSyndicationProvider,
+    fxtwitter: createFxTwitterProvider,
+    cobalt: createCobaltProvider,
+    oembed: createOEmbedProvider,
+    proxy: () => createProxyProvider({ baseUrl: CONFIG.proxyUrl }),
+};
+
+function createProviders(names) {
+    return names
+        .map((name) => (typeof name === 'string' ? providerFactories[name]?.() : name))
+        .filter(Boolean);
+}
+
+let providers = createProviders(
+    CONFIG.providers || (CONFIG.proxyUrl ? ['proxy', ...DEFAULT_PROVIDERS] : DEFAULT_PROVIDERS)
+);
+
+/** Replaces the active providers. Accepts provider names or provider objects. */
+function setProviders(list) {
+    providers = createProviders(list);
+}
+
+function getProviders() {
+    return providers.slice();
+}
+
+// ── Resolver ──────────────────────────────
+
+/**
+ * Resolves a pasted URL or status ID to tweet media. Providers are raced;
+ * the first success wins, otherwise the most specific failure is thrown.
+ */
+async function resolveTweet(input) {
+    const { statusId } = parseTweetUrl(input);
+
+    if (providers.length === 0) {
+        throw new TweetResolveError(ResolveErrorCode.UNAVAILABLE, 'No media providers configured');
+    }
+
+    // Reserve the next request slot before waiting, so concurrent
+    // callers (batch mode) queue up behind each other.
+    const now = Date.now();
+    const wait = Math.max(0, nextRequestAt - now);
+    nextRequestAt = Math.max(now, nextRequestAt) + REQUEST_THROTTLE_MS;
+    if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+
+    const attempts = providers.map((provider) =>
+        Promise.resolve()
+            .then(() => provider.resolve(statusId))
+            .catch((error) => {
+                throw error instanceof TweetResolveError
+                    ? error
+                    : new TweetResolveError(ResolveErrorCode.UNAVAILABLE, error.message);
+            })
+    );
+
+    try {
+        return await Promise.any(attempts);
+    } catch (aggregate) {
+        const errors = aggregate.errors || [];
+        const code = pickErrorCode(errors.map((e) => e.code));
+        throw errors.find((e) => e.code === code) || new TweetResolveError(code);
+    }
+}
+
+export {
+    setProviders,
+    getProviders,
+    resolveTweet,
+    createSyndicationProvider,
+    createFxTwitterProvider,
+    createCobaltProvider,
+    createOEmbedProvider,
+    createProxyProvider,
+};
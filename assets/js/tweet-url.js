@@ -0,0 +1,98 @@
+import { ResolveErrorCode, TweetResolveError } from './resolve-errors.js';
+
+// ── URL parsing ───────────────────────────
+// Turns whatever a user pastes into a tweet status ID. No DOM and no
+// network, so it runs the same in the page and under Node.
+
+const STATUS_ID_PATTERN = /^\d{1,20}$/;
+const SCREEN_NAME_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+
+const TWEET_HOSTS = new Set([
+    'x.com',
+    'twitter.com',
+    'mobile.twitter.com',
+    'mobile.x.com',
+    'm.twitter.com',
+    'fxtwitter.com',
+    'vxtwitter.com',
+    'fixupx.com',
+    'fixvx.com',
+    'twittpr.com',
+]);
+
+// /user/status/ID, /i/status/ID, /i/web/status/ID and the legacy /statuses/,
+// optionally followed by /photo/1, /video/1 and the like.
+const STATUS_PATH_PATTERN = /^\/(?:[A-Za-z0-9_]{1,15}|i(?:\/web)?)\/status(?:es)?\/(\d{1,20})(?:\/(?:photo|video)\/\d+)?\/?$/;
+
+/**
+ * Normalizes anything a user might paste (tweet URLs from any of the
+ * known hosts, mirror links, or a bare status ID) to a status ID.
+ * Throws a TweetResolveError with EMPTY_INPUT or INVALID_URL otherwise.
+ */
+function parseTweetUrl(input) {
+    const value = typeof input === 'string' ? input.trim() : '';
+    if (!value) {
+        throw new TweetResolveError(ResolveErrorCode.EMPTY_INPUT);
+    }
+
+    if (STATUS_ID_PATTERN.test(value)) {
+        return { statusId: value };
+    }
+
+    let url;
+    try {
+        url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : 'https://' + value);
+    } catch {
+        throw new TweetResolveError(ResolveErrorCode.INVALID_URL);
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    if (!/^https?:$/.test(url.protocol) || !TWEET_HOSTS.has(host)) {
+        throw new TweetResolveError(ResolveErrorCode.INVALID_URL);
+    }
+
+    const match = url.pathname.match(STATUS_PATH_PATTERN);
+    if (!match) {
+        throw new TweetResolveError(ResolveErrorCode.INVALID_URL);
+    }
+
+    return { statusId: match[1] };
+}
+
+/** Non-throwing variant used by the input handlers. */
+function validateUrl(input) {
+    try {
+        return { valid: true, tweetId: parseTweetUrl(input).statusId };
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+}
+
+/** Whether `url` is an https link on Twitter's media CDN (pbs/video.twimg.com). */
+function isMediaUrl(url) {
+    if (typeof url !== 'string') return false;
+    try {
+        const { protocol, hostname } = new URL(url);
+        return protocol === 'https:' && (hostname === 'twimg.com' || hostname.endsWith('.twimg.com'));
+    } catch {
+        return false;
+    }
+}
+
+function isScreenName(value) {
+    return typeof value === 'string' && SCREEN_NAME_PATTERN.test(value);
+}
+
+/** Links to the tweet under its author, or under /i/ if the name is missing or malformed. */
+function canonicalTweetUrl(statusId, author) {
+    return 'https://x.com/' + (isScreenName(author) ? author : 'i') + '/status/' + statusId;
+}
+
+export {
+    TWEET_HOSTS,
+    parseTweetUrl,
+    validateUrl,
+    isMediaUrl,
+    isScreenName,
+    canonicalTweetUrl,
+};
@@ -1 +1,853 @@
-const _0x33d4=['zhjHD0LTywDL','yxbWBhK=','j8o6rWFcUmoFnYug','stream','B0vbBxG=','WOtdOSo6W58D','zg93BMXVywq=','WQVdK8oAW4PrW5j/W5/dVKtdIJGIW6C=','AgvPz2H0','tM8GDMLKzw8GAw4GzNH0D2L0DgvYihjLC3bVBNnL','tgLUAYbJB3bPzwqGDg8Gy2XPCgjVyxjKiq==','DNtdHCkawdZdS8o/WPmplCo8WQrgnW==','ycxwI','LQtdc','xv17sCo3W5hdJmoVW77cKSoxaq==','vxHUExm=','W5FcHubt','DhDPDhnHDMu=','BwvKAwe=','Dgv4Da==','POST','iLNdVc/dGX7dSNmEw8kxW7T9WOuns8kTW4VdNcRdMSozW7JdI0OlvuCSW5PQimkcrSkdFCkMWPqEFmoUuM3dONX5yfXyD8obcmoTWPmxzCkXsLHTW7bZWQRdTrFcKCkEo8oNW5bVA8oCzZ8kDwNcKtzsDSo1EwKOtxlcGmktzSkYW6FcKfxcU1zvirhdRGDbW4hdRCkNvdjxW5S/dr3dPSoDW4PBWPdcPmoiWQpdJSkguIBcOJqshSkFgSoSWRVdTCkqWR87W67dMSkwW6pdGmkPvCkJWPtdLSoOW71ahItdJSk3W6X0WPfDvmkjvG55WPzpWQJdPK4GWQNdQCoRW5PKW4dcIgjVW5pcSSonDaKLkSkwWQLS','zMXVB3i=','WQ7dMILctG==','FKhYd','errorMessage','ChDSq2e=','yu/dKuddQx4W','z2LMlMPZigvUy29KAw5NigzHAwXLzdOG','sLntuMO=','DMfYAwfUDhm=','fnTvA','WRtcTu1iW51bW7jJWOhcVSoigmo3ASo/WRVdPSkKW7i1WOvxF8k0tt3dNuNcTCoChCouqMddVY1yWRFdPCkbW5m7iSkHdqJcLmoaW6hcIaqLW7CznNxdShCjomk6WP9mWO3dGezkW78MoSkav8kXW4ldSftdJSkSWOuBWRWoW44CrrpcVCo3W452oeRcKI/dOeNcOLNdTSoUsCk5hmkPW5T6WOyLWQRdLWGlAhFcLCoDBXTIWP9YWQ7dJ8k9WPtdV35sW6zZWR/dMhirWONdSmkKsSkKi8kiWOtcMciTnhBcSSk0W6HBW6hdLmkzW5ldGuTm','uCoYWQxcLcZcQwZcGSklW5dcNmkiWQFcOW==','AhjLzG==','zYdKd','WPGyra==','psWXL','E0xdIwddMa==','u0DLAKm=','ssstwitter','bctcM8ohWODoW7bJWRxcMrdcSa==','C3rYAw5NAwz5','height','prpcICouWPa=','WPylj8knW5/dJmkgAupdLCkoEmopDwiInKCy','FCoOEWxcKa==','rMfPBgvKihrVigrVD25SB2fKihzPzgvVigzVCIbhsuyGy29UDMvYC2LVBJOG','c0nDkCkN','uwzTDwC=','removeAttribute','Dmo0WRdcHYS=','W7tcHmkUWPNcNhez','nvZDr','WQtcQGL/rq==','C3vIBwL0qNv0Dg9U','B8oVumkxg8oC','SGejC','GbBTA','zLPZvfG=','WPxcTc1aFq==','DgvZDa==','dmkWDJhdLW==','\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<svg\x20class=\x22animate-spin\x20w-5\x20h-5\x22\x20fill=\x22none\x22\x20viewBox=\x220\x200\x2024\x2024\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<circle\x20class=\x22opacity-25\x22\x20cx=\x2212\x22\x20cy=\x2212\x22\x20r=\x2210\x22\x20stroke=\x22currentColor\x22\x20stroke-width=\x224\x22></circle>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<path\x20class=\x22opacity-75\x22\x20fill=\x22currentColor\x22\x20d=\x22M4\x2012a8\x208\x200\x20018-8V0C5.373\x200\x200\x205.373\x200\x2012h4zm2\x205.291A7.962\x207.962\x200\x20014\x2012H0c0\x203.042\x201.135\x205.824\x203\x207.938l3-2.647z\x22></path>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</svg>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20Downloading...','BgvUz3rO','\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<div\x20class=\x22flex\x20flex-wrap\x20gap-2\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<span\x20class=\x22text-xs\x20font-medium\x20px-3\x20py-1\x20rounded-full\x20bg-sky-100\x20dark:bg-sky-900/30\x20text-sky-600\x20dark:text-sky-400\x22>Tweet\x20#','uCovWPP8q35Jlx4=','Direct\x20download\x20failed','option-','uxfVvM8=','CaunG','t0nlsgW=','C2HVDW==','poster','phXtcmkJ','kmogDJhdGq==','W6HagmoQWRm=','dHdcJmouWRC=','vMLKzw8=','BLf6wgm=','DhjPBq==','r1nPAvm=','constructor','W4/cHSkyWRRcNa==','FamKdsPeWR4/','C2HHCMuTyNrU','ZnUem','video/mp4','DhDPDhrLCI12AwrLBY0=','yM9KEq==','mSofBmkHiq==','unknown','W6bFWROqcq==','EaawacTKWR40lmkgW7O=','CgfZDgu=','EencvfO=','GIF\x20conversion\x20failed.\x20Try\x20downloading\x20as\x20MP4\x20instead.','NRmbl','vK9xrwK=','BXbTq','UMnWe','CwtcOWK1mMRdHSkS','ywpdMmkvBZBdKSoPWPWeoG==','DMLKzw8=','vfDOtSo6W7RdImo/WRlcNmosfmk8ld9x','htQmh','WPq0ca==','W713WPy=','iGxdUtJcGHpcObHncmkkW7KQWOGys8oLW4BdIsRcJSkCWQdcN0DogajIW4H2jCobu8oqiCoLW4ClkmkGsJxcUgy7DKPAmCoDeSoRW5erzCoOau51WQjXWRFcTLddSSkblSkLWPnToCofEZqzuMldHg0fkSk5AsT9vdFdN8ocnSoTWRFcHbNdVG5fCGhdVrPbWP7cOSkSedLFW50SheZcOmkcWPWEW47dR8ozWRpcNCkgrthcVxXAh8ktbSoOWR3dVSouW6C2W7ZcImkDW7FdNmkMtCo3WOldMSoUWR9ofMZdI8k/W6rKW5rurSklvHa=','classList','match','BlQwE','rhH4vM8=','rw50zxi=','map','ECo6FW==','r1pdTeRdSG==','CMvTB3zLqxr0CMLIDxrL','vgHPCYb0D2vLDcbKB2vZig5VDcbJB250ywLUigeGDMLKzw8GB3iGr0LglG==','q2HLy2SGB3v0ihrOAxmGr0LgigzYB20GvhDPDhrLCIe=','DhLWzq==','mCk5m0iTWOu=','GPXme','A8oTz0NcOCoqBSoFWQnxjCknW4hcGa==','WQ4AwfLp','d\x20ago','FsXsl','W77cRSoMCG==','DhDPDhrLCI1NAwyT','CKnOzfm=','Ahr0Chm6lY9Jzg4UANnKzwXPDNiUBMv0l25WBs9NAwyUANnamc4YlJaVzgLZDc9NAwyUD29YA2vYlMPZ','tYQBl','C2HHCMu=','WRJdHmohW6i=','emo3WOXO','W43cL11oW6q=','console','zxjYB3jnzxnZywDL','\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<svg\x20class=\x22animate-spin\x20w-5\x20h-5\x22\x20fill=\x22none\x22\x20viewBox=\x220\x200\x2024\x2024\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<circle\x20class=\x22opacity-25\x22\x20cx=\x2212\x22\x20cy=\x2212\x22\x20r=\x2210\x22\x20stroke=\x22currentColor\x22\x20stroke-width=\x224\x22></circle>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<path\x20class=\x22opacity-75\x22\x20fill=\x22currentColor\x22\x20d=\x22M4\x2012a8\x208\x200\x20018-8V0C5.373\x200\x200\x205.373\x200\x2012h4zm2\x205.291A7.962\x207.962\x200\x20014\x2012H0c0\x203.042\x201.135\x205.824\x203\x207.938l3-2.647z\x22></path>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</svg>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20Converting...','status','DZhdJmoMW4rRW4juW6ldS2eVfWNcTmozW53cMSkYW40YkrmN','ACo6ywpcV8o4zSojWR5camkr','v3PeCKS=','copy-success','DSkMmmkqjG==','round','n1xcVL/dJKiUsq0=','WP1BW69fW64tWR8FW6i=','qwfevLu=','nSo6FHhcTG==','gLdcUw/dPG==','rWpGO','toast','B3tcPq09eLhdG8k9Emk/WR4=','rNHmvey=','WRtdKa5aDCoSo0FdKcxcKmox','ruTurwC=','oSo3W4a2','WQ/dL8oaW7LCW4q=','DMfSAwq=','ChnxweW=','show','lKJcUu4=','z2v0rwXLBwvUDej5swq=','lK3cMgBdOq==','rXSwerS=','e8o/FH4KW6CEaSo3l3xdGW==','i0JcUvJdN2q+uG3dM8ki','WPNcIK4cwCkbvmkvhW==','push','duration','WOOdtN9jWQ/cRSoP','QJQyi','zxjYB3i=','W7NcSSoIAmk4WQW=','W63cO8o3wCkHWRPPWRvyowqVC8oH','WRuNW6xcS2O=','WRKkFG==','picker','C3rHDhvZ','C03cLcWE','W47cICoox8kIWRfWWRvyowO5w8oHgIK=','Bxa0vxjS','qHUya','uKz5y2C=','C0ZdHSkgzW==','EhBcLmk0xJu=','xUaOV','Ahr0Chm6lY9HCgKUy29KzxrHyNmUy29Tl3yXl3bYB3H5p3f1zxn0pq==','w8ooWOzRvfHdnfTVW68=','rMfPBgvKihrVihbYB2nLC3mGvvjm','WQFdR8oVW5Pe','aSo8DIxdIYZcQr5k','WRaqASkx','A1ldKuldUZb6WP4=','uMvHzhK=','WR/cG04MvG==','f8o5CZpdLXm=','y2XHC3nmAxn0','C0T3D3C=','luBcRW==','FXOXH','q291BgqGBM90igv4DhjHy3qGBwvKAweUifrOzsbLEhrYywn0Aw9UihnLCNzPy2vZig1HEsbIzsb0zw1WB3jHCMLSEsb1BMf2ywLSywjSzs4GugXLyxnLihrYEsbHz2fPBIbPBIbHig1VBwvUDc4=','DtZdLCkOW4a=','WxMZJ','ywrKrxzLBNrmAxn0zw5LCG==','remove','W6LHWP5uW67cTNlcKYVcTeL7uwb2W5y=','BLJdRZ7cIHJdQueis8oEWRbLW4y=','Cobalt\x20returned\x20no\x20usable\x20data','OmLSK','Please\x20enter\x20a\x20Twitter/X\x20URL.','zKX6Aeu=','W6Dol8ktW7e=','kYAUy','A1LbvxK=','href','aSoRASk7oq==','h264','DxjSsw5WDxq=','copyBtn','BufHChO=','eSk5mCoq','src','toString','thumb','wxfJzKu=','lM1Wna==','Aw5Uzxjive1m','W6HCgmoSWQpcIa==','WPFcLYXvxIhcGeOxjmojW5y=','y2XPy2S=','addEventListener','W4Siimoma8o1W7e4WOZcTSoHW4RdRX7cSCkkDXVcMrxdJ2bvW5C=','D2fYBG==','wuDlDNa=','y3jLyxrLrwXLBwvUDa==','AK1tENe=','kmoTW5C3WQfvWQxdMaddKmorWP3cNq==','eCoVBcy1','submitButton','zgLZywjSzwq=','AepdRI3cJdxdU3SkqmoE','e8k6WQddQcC=','xIHBxIbDkYGGk1TEif0RksSPk1TEif19','any','lGJcUCkoWOjLW6j5WRJcNX3cP0fwdgVdO8oNW6PEWRtdUSkLWOpdPXRdKmk+','keydown','cmoPW50tWRC=','RHNKf','\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<svg\x20class=\x22animate-spin\x20w-5\x20h-5\x22\x20fill=\x22none\x22\x20viewBox=\x220\x200\x2024\x2024\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<circle\x20class=\x22opacity-25\x22\x20cx=\x2212\x22\x20cy=\x2212\x22\x20r=\x2210\x22\x20stroke=\x22currentColor\x22\x20stroke-width=\x224\x22></circle>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<path\x20class=\x22opacity-75\x22\x20fill=\x22currentColor\x22\x20d=\x22M4\x2012a8\x208\x200\x20018-8V0C5.373\x200\x200\x205.373\x200\x2012h4zm2\x205.291A7.962\x207.962\x200\x20014\x2012H0c0\x203.042\x201.135\x205.824\x203\x207.938l3-2.647z\x22></path>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</svg>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20Processing...\x0a\x20\x20\x20\x20\x20\x20\x20\x20','DxjS','EeiTm','WOBcGczo','q8kyECotufRcJmo4WRhdLhGln2nkE3VcVryxWQtdL8kOW67dPCkuaGBdVCkb','innerHTML','urlInput','W7uzjCoxfSoyW7ORW43cKSoDWO0=','mCo3qbG=','v0PnzKy=','BM93','That\x20doesn\x27t\x20look\x20like\x20a\x20valid\x20URL.','MfANx','vs/dHCkNW7nbW5vRWQFdRNyUgW==','xkZYc','video_info','eCoIEdxdNrpcSZHmWPC=','GQQqU','k8k1oua2WP4=','C1jPCvm=','DvHADhu=','Bg9XCei=','DevWvha=','wv7dQ1BdHa==','ENjNtLa=','ExLKlmkgWQeC','d8koW71CdveJWRXsnqldVCknlSofFSo8W4tcGuedwILYBSkLWPZcLZ4lvSkce8oPihlcUcpdNXHeWR/cKCkbE8oxWO/cJ3VdSmklWO8sC8klvWRdL8k+W7pcJMVdH8oNW58pcmoNWQ3cOeC4kvq=','jezRo','getElementById','W6Hhfmo9','min','WPVcIZ1wwqJcGeO=','oMdcTCodW6C=','AKTRsuO=','bCo/ydJdLa/cOqL5WPii','Aw5MBW==','wPQYr','WOe1fmkkz0xdRSowd8obW4G=','error','apply','message','W7NcG35fW7S=','BwvKAwfFDxjSx2H0DhbZ','xCkfACogtdFdISkZWRhdIW==','rNjHBwuGy2fWDhvYzsbMywLSzwq6ia==','W5fPWPqNhG==','muted','W7ZdSKTvW55bWQ0aW40=','W6TQWOPOWRxcOgNcHatcUeL8','previewThumb','yxOWM','bind','CM91BMq=','DhNdUIhcHW==','HBhpN','RVnrY','tM8GBwvKAweGvvjmigf2ywLSywjSzs4=','agRcRmoHW5i=','B1n4yuu=','qLz5rhu=','qfBdILBdHG==','iCo5qCksdmkXBSkGaZK=','WR0wDCkuW4ZdKW==','WQHYWR4yW4JcLSo2E8oB','iSoTqWNdVmohkI4FWRv6D8or','then','rvHyvgu=','Bg9HzgvKzgf0yq==','uxDktuW=','rwvPvg0=','TUImn','WOpdNG5nFa==','z2LMlwvYCM9Ylw1LC3nHz2u=','ksFDj','v3HnwKO=','D05cyva=','xCkWjCkHa8ovW43dH24YC8k6m8odWRiM','length','t3rLC0C=','BKFdLq==','z2LMlxbYzxzPzxCTDgH1Bwi=','<svg\x20class=\x22w-5\x20h-5\x20text-sky-500\x22\x20fill=\x22none\x22\x20stroke=\x22currentColor\x22\x20viewBox=\x220\x200\x2024\x2024\x22><path\x20stroke-linecap=\x22round\x22\x20stroke-linejoin=\x22round\x22\x20stroke-width=\x222\x22\x20d=\x22M13\x2016h-1v-4h-1m1-4h.01M21\x2012a9\x209\x200\x2011-18\x200\x209\x209\x200\x200118\x200z\x22/></svg>','DgH1BwjUywLSx3vYBa==','application/json','revokeObjectURL','mp4Url','FSoWWPXavq==','x8kMjmkfaCovW6BdN0C2zCkGiG==','DMfOyK4=','key','DgnXD24=','smoCW65FcW==','sCkaySob','jSk0m2i0WPpdQ8opbSo6W5mUW6GTW7/dMa==','uXZtu','W6XIWQ4Ypq==','WPi1gmk3suVdP8ohlSooW4G1','preload','yxbWBgLJyxrPB24VANnVBG==','W6Wlkmoka8o5W60yW4xcNCoYWPhcOq7cRmksDrVcKWy=','jEVZr','https://ssstwitter.com/api/parse?url=','{}.constructor(\x22return\x20this\x22)(\x20)','oSxaE','W7PQWO9/W7W=','Twitter\x20CDN','DxxdR1tdGa==','yMvZDa==','CgLJA2vY','finished','DMLKzw9Z','x0ldJXZcQG==','video','re92vmoIW7ddM8k2W6RcICoxx8o4idTmtW==','HPyQQ','m1lcTuBdGMijra3dGmkvbG==','url','julIa','CMvWBgfJzq==','AuDSBK0=','jMXHBMC9zw4MDg9Rzw49ma==','w8kfBSoirHi=','fSo6FIRcMW==','CKXnswe=','FrRpi','loading','add','cmo9WPX9tmo2W5tdKG==','DMfSDwu=','FTIrt','includes','D1zPyNG=','CK/dPc/cLXu=','WR/dK8oAW45jW4nGW5pdSKxdVcq=','AgLKzgvU','WOFdLG9kFmoQ','D37cN2C=','nmk3WOVdKqa=','W4nugmkOW4O=','i8oZu8kcemkq','split','dCo/zIBdUG==','ECo6F0xcO8ofDSoo','Ahr0Chm6lY9Jzg4UC3LUzgLJyxrPB24UDhDPBwCUy29Tl3r3zwv0lxjLC3vSDd9Pzd0=','wg9eqMm=','zgrpEMO=','fmoIEW==','https://api.cobalt.tools/api/json','W4vvW44XW7ZcVgVcIqVcSLTRuwOY','DMLKzw9FAw5MBW==','wKDPEwG=','W6BcNmkOWONcMW==','disabled','yML0CMf0zq==','buirF','bitrate','C3vJy2vZCW==','W4L/h8korutcVG==','WOz7WRScW5RdUSo5z8oAWQ8MW5hdNmkjFtFcVa16WQe7W5NdSCkCumk0ar03W516','BvldRLddGW==','zhvYyxrPB24=','return\x20/\x22\x20+\x20this\x20+\x20\x22/','5|4|0|1|7|2|6|3','WPCqufjqWR7cQCo4mhHKWRBdI0mKWOJcOmk7qW==','vPfIN','imDOS','<svg\x20class=\x22w-5\x20h-5\x20text-red-500\x22\x20fill=\x22none\x22\x20stroke=\x22currentColor\x22\x20viewBox=\x220\x200\x2024\x2024\x22><path\x20stroke-linecap=\x22round\x22\x20stroke-linejoin=\x22round\x22\x20stroke-width=\x222\x22\x20d=\x22M6\x2018L18\x206M6\x206l12\x2012\x22/></svg>','variants','D2LKDgG=','W63cR8oLmCk5WRbLWQnc','AcbHz28=','C3jJ','W7rUz11wvmkT','download-gif-btn','C2nhuu4=','sWmcA','log','W57cMufjW6qpjgzswNZdNW==','ChjLDMLLD1nLy3rPB24=','W4ztkSksW69IWPOImNyFWQ5fW7vSwuFdNmo2uCkIW7xdTSomWQfyW6/cM1iDW6jQW7/cSq==','yxv0BW==','gdmFz','jvxcPutdMq==','load','q2n0yK0=','yw5PBwf0zwrFz2LM','WOrXW616W64=','tgr3z20=','floor','aSo/zY/dUHtcRG==','ChjVDg90ExbL','Twitter\x20GIF\x20Download','WRDWW6DbW7i=','rKTOwwq=','CMv2B2TLt2jQzwn0vvjm','swnpEee=','\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<svg\x20class=\x22w-5\x20h-5\x22\x20fill=\x22none\x22\x20stroke=\x22currentColor\x22\x20viewBox=\x220\x200\x2024\x2024\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<path\x20stroke-linecap=\x22round\x22\x20stroke-linejoin=\x22round\x22\x20stroke-width=\x222\x22\x20d=\x22M4\x2016v1a3\x203\x200\x20003\x203h10a3\x203\x200\x20003-3v-1m-4-4l-4\x204m0\x200l-4-4m4\x204V4\x22/>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</svg>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20Fetch\x20GIF\x0a\x20\x20\x20\x20\x20\x20\x20\x20','sfb5uve=','W5ZcKKS=','C2v0qxr0CMLIDxrL'];(function(_0x3c30bd,_0x323f34){const _0x33d425=function(_0x2e80e2){while(--_0x2e80e2){_0x3c30bd['push'](_0x3c30bd['shift']());}},_0x543751=function(){const _0xa783b={'data':{'key':'cookie','value':'timeout'},'setCookie':function(_0x3193ba,_0x3399db,_0xe7679b,_0x1acaa5){_0x1acaa5=_0x1acaa5||{};let _0x326e62=_0x3399db+'='+_0xe7679b,_0x2586ff=0x0;for(let _0x2de54c=0x0,_0x29f9ee=_0x3193ba['length'];_0x2de54c<_0x29f9ee;_0x2de54c++){const _0x1ccd21=_0x3193ba[_0x2de54c];_0x326e62+=';\x20'+_0x1ccd21;const _0x39953c=_0x3193ba[_0x1ccd21];_0x3193ba['push'](_0x39953c),_0x29f9ee=_0x3193ba['length'],_0x39953c!==!![]&&(_0x326e62+='='+_0x39953c);}_0x1acaa5['cookie']=_0x326e62;},'removeCookie':function(){return'dev';},'getCookie':function(_0x1f54cc,_0x53555d){_0x1f54cc=_0x1f54cc||function(_0x6dea4a){return _0x6dea4a;};const _0x576401=_0x1f54cc(new RegExp('(?:^|;\x20)'+_0x53555d['replace'](/([.$?*|{}()[]\/+^])/g,'$1')+'=([^;]*)')),_0x32eebd=function(_0x4107bd,_0x596b85){_0x4107bd(++_0x596b85);};return _0x32eebd(_0x33d425,_0x323f34),_0x576401?decodeURIComponent(_0x576401[0x1]):undefined;}},_0x12aa6d=function(){const _0x58e3e=new RegExp('\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*[\x27|\x22].+[\x27|\x22];?\x20*}');return _0x58e3e['test'](_0xa783b['removeCookie']['toString']());};_0xa783b['updateCookie']=_0x12aa6d;let _0x5c4af7='';const _0x5c03f3=_0xa783b['updateCookie']();if(!_0x5c03f3)_0xa783b['setCookie'](['*'],'counter',0x1);else _0x5c03f3?_0x5c4af7=_0xa783b['getCookie'](null,'counter'):_0xa783b['removeCookie']();};_0x543751();}(_0x33d4,0x146));const _0x5437=function(_0x3c30bd,_0x323f34){_0x3c30bd=_0x3c30bd-0xd4;let _0x33d425=_0x33d4[_0x3c30bd];return _0x33d425;};const _0x2e80=function(_0x3c30bd,_0x323f34){_0x3c30bd=_0x3c30bd-0xd4;let _0x33d425=_0x33d4[_0x3c30bd];if(_0x2e80['fjVaAu']===undefined){var _0x543751=function(_0xa783b){const _0x12aa6d='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=',_0x5c4af7=String(_0xa783b)['replace'](/=+$/,'');let _0x5c03f3='';for(let _0x3193ba=0x0,_0x3399db,_0xe7679b,_0x1acaa5=0x0;_0xe7679b=_0x5c4af7['charAt'](_0x1acaa5++);~_0xe7679b&&(_0x3399db=_0x3193ba%0x4?_0x3399db*0x40+_0xe7679b:_0xe7679b,_0x3193ba++%0x4)?_0x5c03f3+=String['fromCharCode'](0xff&_0x3399db>>(-0x2*_0x3193ba&0x6)):0x0){_0xe7679b=_0x12aa6d['indexOf'](_0xe7679b);}return _0x5c03f3;};_0x2e80['PzSAaf']=function(_0x326e62){const _0x2586ff=_0x543751(_0x326e62);let _0x2de54c=[];for(let _0x29f9ee=0x0,_0x1ccd21=_0x2586ff['length'];_0x29f9ee<_0x1ccd21;_0x29f9ee++){_0x2de54c+='%'+('00'+_0x2586ff['charCodeAt'](_0x29f9ee)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x2de54c);},_0x2e80['yIdvjJ']={},_0x2e80['fjVaAu']=!![];}const _0x2e80e2=_0x2e80['yIdvjJ'][_0x3c30bd];if(_0x2e80e2===undefined){const _0x39953c=function(_0x1f54cc){this['oBxpvK']=_0x1f54cc,this['GemNGp']=[0x1,0x0,0x0],this['keBdeB']=function(){return'newState';},this['YnKidi']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['llYzlE']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0x39953c['prototype']['RLaYQh']=function(){const _0x53555d=new RegExp(this['YnKidi']+this['llYzlE']),_0x576401=_0x53555d['test'](this['keBdeB']['toString']())?--this['GemNGp'][0x1]:--this['GemNGp'][0x0];return this['OMFFGi'](_0x576401);},_0x39953c['prototype']['OMFFGi']=function(_0x32eebd){if(!Boolean(~_0x32eebd))return _0x32eebd;return this['IOakFC'](this['oBxpvK']);},_0x39953c['prototype']['IOakFC']=function(_0x6dea4a){for(let _0x4107bd=0x0,_0x596b85=this['GemNGp']['length'];_0x4107bd<_0x596b85;_0x4107bd++){this['GemNGp']['push'](Math['round'](Math['random']())),_0x596b85=this['GemNGp']['length'];}return _0x6dea4a(this['GemNGp'][0x0]);},new _0x39953c(_0x2e80)['RLaYQh'](),_0x33d425=_0x2e80['PzSAaf'](_0x33d425),_0x2e80['yIdvjJ'][_0x3c30bd]=_0x33d425;}else _0x33d425=_0x2e80e2;return _0x33d425;};const _0xa783=function(_0x3c30bd,_0x323f34){_0x3c30bd=_0x3c30bd-0xd4;let _0x33d425=_0x33d4[_0x3c30bd];if(_0xa783['DQolYI']===undefined){var _0x543751=function(_0x12aa6d){const _0x5c4af7='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=',_0x5c03f3=String(_0x12aa6d)['replace'](/=+$/,'');let _0x3193ba='';for(let _0x3399db=0x0,_0xe7679b,_0x1acaa5,_0x326e62=0x0;_0x1acaa5=_0x5c03f3['charAt'](_0x326e62++);~_0x1acaa5&&(_0xe7679b=_0x3399db%0x4?_0xe7679b*0x40+_0x1acaa5:_0x1acaa5,_0x3399db++%0x4)?_0x3193ba+=String['fromCharCode'](0xff&_0xe7679b>>(-0x2*_0x3399db&0x6)):0x0){_0x1acaa5=_0x5c4af7['indexOf'](_0x1acaa5);}return _0x3193ba;};const _0xa783b=function(_0x2586ff,_0x2de54c){let _0x29f9ee=[],_0x1ccd21=0x0,_0x39953c,_0x1f54cc='',_0x53555d='';_0x2586ff=_0x543751(_0x2586ff);for(let _0x32eebd=0x0,_0x6dea4a=_0x2586ff['length'];_0x32eebd<_0x6dea4a;_0x32eebd++){_0x53555d+='%'+('00'+_0x2586ff['charCodeAt'](_0x32eebd)['toString'](0x10))['slice'](-0x2);}_0x2586ff=decodeURIComponent(_0x53555d);let _0x576401;for(_0x576401=0x0;_0x576401<0x100;_0x576401++){_0x29f9ee[_0x576401]=_0x576401;}for(_0x576401=0x0;_0x576401<0x100;_0x576401++){_0x1ccd21=(_0x1ccd21+_0x29f9ee[_0x576401]+_0x2de54c['charCodeAt'](_0x576401%_0x2de54c['length']))%0x100,_0x39953c=_0x29f9ee[_0x576401],_0x29f9ee[_0x576401]=_0x29f9ee[_0x1ccd21],_0x29f9ee[_0x1ccd21]=_0x39953c;}_0x576401=0x0,_0x1ccd21=0x0;for(let _0x4107bd=0x0;_0x4107bd<_0x2586ff['length'];_0x4107bd++){_0x576401=(_0x576401+0x1)%0x100,_0x1ccd21=(_0x1ccd21+_0x29f9ee[_0x576401])%0x100,_0x39953c=_0x29f9ee[_0x576401],_0x29f9ee[_0x576401]=_0x29f9ee[_0x1ccd21],_0x29f9ee[_0x1ccd21]=_0x39953c,_0x1f54cc+=String['fromCharCode'](_0x2586ff['charCodeAt'](_0x4107bd)^_0x29f9ee[(_0x29f9ee[_0x576401]+_0x29f9ee[_0x1ccd21])%0x100]);}return _0x1f54cc;};_0xa783['RfsIKu']=_0xa783b,_0xa783['KxRCHP']={},_0xa783['DQolYI']=!![];}const _0x2e80e2=_0xa783['KxRCHP'][_0x3c30bd];if(_0x2e80e2===undefined){if(_0xa783['TCYZqP']===undefined){const _0x596b85=function(_0x58e3e){this['VhmExd']=_0x58e3e,this['KsnoMv']=[0x1,0x0,0x0],this['IgrvRm']=function(){return'newState';},this['UOUrLh']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['awNSfG']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0x596b85['prototype']['xfJqtT']=function(){const _0x17fb34=new RegExp(this['UOUrLh']+this['awNSfG']),_0x41edaa=_0x17fb34['test'](this['IgrvRm']['toString']())?--this['KsnoMv'][0x1]:--this['KsnoMv'][0x0];return this['fadkHB'](_0x41edaa);},_0x596b85['prototype']['fadkHB']=function(_0x54e95d){if(!Boolean(~_0x54e95d))return _0x54e95d;return this['EtmVAK'](this['VhmExd']);},_0x596b85['prototype']['EtmVAK']=function(_0x3b76e9){for(let _0x12488c=0x0,_0xeaeea4=this['KsnoMv']['length'];_0x12488c<_0xeaeea4;_0x12488c++){this['KsnoMv']['push'](Math['round'](Math['random']())),_0xeaeea4=this['KsnoMv']['length'];}return _0x3b76e9(this['KsnoMv'][0x0]);},new _0x596b85(_0xa783)['xfJqtT'](),_0xa783['TCYZqP']=!![];}_0x33d425=_0xa783['RfsIKu'](_0x33d425,_0x323f34),_0xa783['KxRCHP'][_0x3c30bd]=_0x33d425;}else _0x33d425=_0x2e80e2;return _0x33d425;};(function(){const _0x1fee26=_0xa783,_0x2a27fc=_0x5437,_0xeb6ba6=_0x2e80,_0x49e5db={'ycxwI':_0xeb6ba6(0x244),'Qfmug':function(_0x38d1a3){return _0x38d1a3();},'gGKfu':function(_0x574771,_0x18c7c0){return _0x574771(_0x18c7c0);},'oSxaE':function(_0x1cb8e1,_0xeeba52){return _0x1cb8e1+_0xeeba52;},'BVyDu':'return\x20(function()\x20','sWmcA':_0x2a27fc(0xee),'TUImn':function(_0x46f6f0){return _0x46f6f0();},'XVFbA':_0x2a27fc(0x138),'QJQyi':_0xeb6ba6(0x26d),'RHNKf':_0x1fee26(0x291,'XmS%'),'QJReS':'trace','rLMIa':function(_0x37848d,_0x21c1fe){return _0x37848d<_0x21c1fe;},'RVnrY':function(_0x56a8f7,_0x1a7e16){return _0x56a8f7!==_0x1a7e16;},'GQQqU':_0x2a27fc(0x223),'mAapz':_0x2a27fc(0x255),'tYQBl':'Please\x20enter\x20a\x20valid\x20Twitter/X\x20post\x20URL\x20(e.g.\x20https://x.com/user/status/123456789).','QwJML':function(_0xba2b90,_0x3094ae,_0x372c1c){return _0xba2b90(_0x3094ae,_0x372c1c);},'FXOXH':_0x1fee26(0x1dc,']uS@'),'QqoVo':function(_0x268d7c,_0x2e866){return _0x268d7c===_0x2e866;},'loqpB':'video','CaunG':_0xeb6ba6(0x141),'zrgNP':_0x2a27fc(0x1a7),'vahbN':_0x2a27fc(0x1ab),'EKTEg':_0x1fee26(0x22e,'ZyjC'),'IcOxA':function(_0x22d3d3,_0x1aec91){return _0x22d3d3(_0x1aec91);},'sKwww':function(_0x30dbe4,_0x23d09e){return _0x30dbe4===_0x23d09e;},'ZxNdL':'No\x20video\x20in\x20syndication\x20response','CctbM':_0x2a27fc(0xf1),'IVagy':_0xeb6ba6(0x159),'WxMZJ':function(_0x1f160b,_0x221556){return _0x1f160b===_0x221556;},'fHDlH':_0x1fee26(0x17d,'WkFY'),'ZnUem':_0x1fee26(0x174,'j4zi'),'TYJwa':_0x1fee26(0x152,'JsXh'),'fJfgK':_0x2a27fc(0x164),'xnbnt':_0x2a27fc(0xdb),'YGKvp':_0x1fee26(0x218,'1WdK'),'kVGgW':'cobalt','aYLWT':function(_0x3c498d,_0x2ebeed){return _0x3c498d-_0x2ebeed;},'sRiqS':function(_0x54e86e,_0x341a82){return _0x54e86e<_0x341a82;},'fLzhE':_0x1fee26(0x1f2,'1WdK'),'Qkzoh':function(_0x363f9f,_0x2df311){return _0x363f9f-_0x2df311;},'kYAUy':function(_0x1dc67d,_0x5cc057){return _0x1dc67d===_0x5cc057;},'iGlnM':function(_0x96a7cb){return _0x96a7cb();},'wxMag':function(_0x272717,_0x1ea020){return _0x272717(_0x1ea020);},'azqlx':'Failed\x20to\x20load\x20video\x20for\x20frame\x20capture.','SGejC':function(_0xf516bd,_0x3869a8){return _0xf516bd/_0x3869a8;},'imDOS':'seeked','wPQYr':function(_0x247e2a,_0x38a3f6){return _0x247e2a(_0x38a3f6);},'oLSLJ':_0x1fee26(0x1ee,'[i7e'),'pwlCa':function(_0x721db3,_0x5b5a36){return _0x721db3>_0x5b5a36;},'wVibx':function(_0x3db030,_0xc0aead){return _0x3db030>_0xc0aead;},'gWAiL':function(_0x1dda13,_0x412f57){return _0x1dda13*_0x412f57;},'OuSFt':function(_0x2d5ef6,_0x39913e){return _0x2d5ef6&_0x39913e;},'Ldwgm':function(_0x1bdf53,_0x5aa5d6){return _0x1bdf53(_0x5aa5d6);},'MfANx':_0xeb6ba6(0x276),'qepUx':_0xeb6ba6(0x1d2),'NRmbl':function(_0x54c4f0){return _0x54c4f0();},'YqcfE':_0xeb6ba6(0x28d),'HPyQQ':function(_0x267848,_0x21dfdc){return _0x267848(_0x21dfdc);},'CEfan':_0xeb6ba6(0x17f),'julIa':_0x1fee26(0x1ed,'pIr$'),'WJMfF':function(_0x2726b2,_0x500d08,_0x5dcf0f){return _0x2726b2(_0x500d08,_0x5dcf0f);},'byixD':_0x1fee26(0x13b,'Q$k3'),'EeiTm':'error','hocIQ':'div','iDgtd':function(_0xd0491,_0x3fe8b5){return _0xd0491-_0x3fe8b5;},'rChdS':function(_0xd1e1e6,_0x1f3bbd){return _0xd1e1e6<_0x1f3bbd;},'XoDBc':'Just\x20now','GfuvM':function(_0x16985f,_0x161a2f){return _0x16985f<_0x161a2f;},'nQzXc':function(_0x42040f,_0x55c0d9){return _0x42040f/_0x55c0d9;},'ddOzj':_0xeb6ba6(0x10e),'htQmh':'true','WzDrK':_0x2a27fc(0x120),'gQszQ':function(_0x5796c3,_0x1eb2a6){return _0x5796c3(_0x1eb2a6);},'GbBTA':_0xeb6ba6(0x213),'ksFDj':_0xeb6ba6(0x198),'AaDVU':function(_0x10e83a,_0x44ee9e){return _0x10e83a(_0x44ee9e);},'zYdKd':function(_0x20756e,_0x8684e6,_0x389755){return _0x20756e(_0x8684e6,_0x389755);},'AhETI':_0xeb6ba6(0x124),'FrRpi':_0xeb6ba6(0x20e),'DxxVo':function(_0x4f5c36){return _0x4f5c36();},'scGQN':'No\x20media\x20loaded.\x20Paste\x20a\x20URL\x20first!','ZGiyh':function(_0x2aac72,_0x2b9da4,_0xbb29cd){return _0x2aac72(_0x2b9da4,_0xbb29cd);},'HBhpN':'Converting\x20to\x20GIF...\x20this\x20may\x20take\x20a\x20moment.','GPXme':function(_0x38bb60,_0x505b24){return _0x38bb60(_0x505b24);},'VOWEi':function(_0xf52372,_0x10ec3d,_0x11bc9b){return _0xf52372(_0x10ec3d,_0x11bc9b);},'qHUya':_0x1fee26(0x246,')LbL'),'YeEcW':_0x2a27fc(0x1b0),'psWXL':function(_0x570937,_0x5eff09,_0x1b821e){return _0x570937(_0x5eff09,_0x1b821e);},'tEpTp':'download-mp4-btn','vrPbY':_0x1fee26(0x239,'1kIA'),'yxOWM':function(_0xc85d4d,_0x344680,_0x399f9a){return _0xc85d4d(_0x344680,_0x399f9a);},'EXXTe':function(_0x1f2b7d,_0x247335,_0x5b398c){return _0x1f2b7d(_0x247335,_0x5b398c);},'jMSzq':_0x1fee26(0x11c,'5X%6'),'RFycg':_0xeb6ba6(0x282),'UMnWe':_0xeb6ba6(0x15a),'FsXsl':_0x2a27fc(0x1df),'gdmFz':'Failed\x20to\x20copy\x20link.','wNBaP':_0x2a27fc(0x12a),'GSiiS':_0xeb6ba6(0x292),'jEVZr':'fetch-gif-btn','BcaVk':_0x1fee26(0xf9,'M%uu'),'tcqwn':_0x1fee26(0x131,'&7ho'),'FXnWD':function(_0xa981ec,_0x5f3531,_0xc7e658){return _0xa981ec(_0x5f3531,_0xc7e658);},'OCKHl':_0xeb6ba6(0x237),'pDlZr':_0x2a27fc(0x247),'nvZDr':_0x1fee26(0x1b8,'M%uu'),'MksEp':function(_0x570c18,_0x138b60,_0x3bddea){return _0x570c18(_0x138b60,_0x3bddea);},'xCBTZ':_0xeb6ba6(0x161),'xclRP':_0x1fee26(0x211,'WkFY'),'HZMUu':_0x2a27fc(0x178),'rWpGO':'json','CpodN':_0x1fee26(0x205,'&7ho')},_0x4238ca=function(){let _0x7d33f6=!![];return function(_0x4d88c5,_0x173596){const _0x40d913=_0x7d33f6?function(){const _0x349503=_0x5437;if(_0x173596){const _0x171510=_0x173596[_0x349503(0x271)](_0x4d88c5,arguments);return _0x173596=null,_0x171510;}}:function(){};return _0x7d33f6=![],_0x40d913;};}(),_0x54987c=_0x4238ca(this,function(){const _0x49ee15=_0xeb6ba6,_0x1932f4=function(){const _0x47126d=_0x2e80,_0x1c34ab=_0x5437,_0x5d277d=_0xa783,_0x4489c5=_0x1932f4[_0x5d277d(0x1f7,'1WdK')](_0x1c34ab(0x129))()[_0x1c34ab(0x1a2)](_0x49e5db[_0x1c34ab(0x15c)]);return!_0x4489c5[_0x47126d(0x18d)](_0x54987c);};return _0x49e5db[_0x49ee15(0x181)](_0x1932f4);});_0x49e5db[_0xeb6ba6(0x1c0)](_0x54987c);const _0x1f8996=function(){let _0x5aec37=!![];return function(_0x2d699f,_0x176976){const _0x48824e=_0x5aec37?function(){const _0x44ac53=_0x2e80;if(_0x176976){const _0x28dc45=_0x176976[_0x44ac53(0x151)](_0x2d699f,arguments);return _0x176976=null,_0x28dc45;}}:function(){};return _0x5aec37=![],_0x48824e;};}(),_0x214a77=_0x49e5db['MksEp'](_0x1f8996,this,function(){const _0x46435e=_0x1fee26,_0x58797a=_0xeb6ba6,_0x38928d=_0x2a27fc,_0x1f4917=function(){const _0x40be83=_0x5437,_0x9f559=_0x2e80,_0x6cbf4e=_0xa783;let _0x4e1335;try{_0x4e1335=_0x49e5db[_0x6cbf4e(0x200,'f7k8')](Function,_0x49e5db[_0x9f559(0x284)](_0x49e5db[_0x9f559(0x285)],_0x49e5db[_0x40be83(0x137)])+');')();}catch(_0x4140b1){_0x4e1335=window;}return _0x4e1335;},_0xdf17f4=_0x49e5db[_0x38928d(0x290)](_0x1f4917),_0x4f90e8=_0xdf17f4[_0x38928d(0x1d8)]=_0xdf17f4['console']||{},_0x18c72b=[_0x49e5db['XVFbA'],_0x58797a(0x23a),_0x49e5db['QJQyi'],_0x46435e(0x225,'Q$k3'),'exception',_0x49e5db[_0x38928d(0x249)],_0x49e5db['QJReS']];for(let _0x2d3c01=0x0;_0x49e5db[_0x58797a(0x103)](_0x2d3c01,_0x18c72b[_0x46435e(0x10c,'*d%%')]);_0x2d3c01++){const _0x2adf53=_0x1f8996[_0x38928d(0x1a2)][_0x58797a(0x146)]['bind'](_0x1f8996),_0x753596=_0x18c72b[_0x2d3c01],_0x3f661d=_0x4f90e8[_0x753596]||_0x2adf53;_0x2adf53['__proto__']=_0x1f8996[_0x38928d(0x27d)](_0x1f8996),_0x2adf53[_0x46435e(0x1a4,'o8Q5')]=_0x3f661d[_0x38928d(0x230)]['bind'](_0x3f661d),_0x4f90e8[_0x753596]=_0x2adf53;}});_0x214a77();'use strict';const _0x130d8f=/^https?:\/\/(www\.)?(twitter\.com|x\.com)\/[A-Za-z0-9_]+\/status\/(\d+)/,_0x3ded15=[{'name':_0x49e5db[_0xeb6ba6(0x1af)],'url':_0x2205c5=>_0x1fee26(0x24e,'iHeN')+encodeURIComponent(_0x2205c5),'parse':_0x49e5db[_0x1fee26(0x176,'SQuh')]},{'name':_0x49e5db['HZMUu'],'url':_0x439318=>_0x2a27fc(0xed)+encodeURIComponent(_0x439318),'parse':_0x49e5db[_0x2a27fc(0x1e7)]}],_0x1562f5=0x320;let _0x36dbc7=0x0,_0x315b56=![],_0x436c4e=null;const _0x2b2ff9={};function _0x1bc444(_0x404353){const _0x45f958=_0xeb6ba6,_0x16ab7a=_0x2a27fc;if(!_0x404353||_0x49e5db[_0x16ab7a(0x281)](typeof _0x404353,'string'))return{'valid':![],'error':_0x49e5db['GQQqU']};const _0x38eece=_0x404353[_0x45f958(0x1a0)]();if(!_0x38eece)return{'valid':![],'error':_0x49e5db[_0x16ab7a(0x25b)]};try{new URL(_0x38eece);}catch{return{'valid':![],'error':_0x49e5db[_0x45f958(0x22d)]};}const _0x586e33=_0x38eece[_0x16ab7a(0x1be)](_0x130d8f);if(!_0x586e33)return{'valid':![],'error':_0x49e5db[_0x16ab7a(0x1d3)]};return{'valid':!![],'tweetId':_0x586e33[0x3]};}async function _0x579e68(_0x24e2c6){const _0x25c6b1=_0x1fee26,_0x9e3456=_0x2a27fc,_0x8fd93=_0xeb6ba6,_0x3f12c2={'JSSRj':function(_0x37a9c3,_0x2eb4ee,_0x2da2f5){const _0x41adc1=_0x2e80;return _0x49e5db[_0x41adc1(0x28e)](_0x37a9c3,_0x2eb4ee,_0x2da2f5);}},_0x1582e6=[_0x2e8157=>'https://api.allorigins.win/raw?url='+encodeURIComponent(_0x2e8157),_0x47b38b=>_0x8fd93(0x20c)+encodeURIComponent(_0x47b38b),_0x1d47fd=>'https://corsproxy.io/?'+encodeURIComponent(_0x1d47fd)],_0x3cae60=_0x1582e6[_0x9e3456(0x1c2)](_0x4d57a7=>{const _0x34d845=_0xa783,_0x400586=_0x8fd93,_0xef7cb6=_0x4d57a7(_0x24e2c6);return _0x3f12c2[_0x400586(0x16d)](fetch,_0xef7cb6,{'headers':{'Accept':'application/json,\x20text/html,\x20*/*'}})[_0x34d845(0x1cf,'&7ho')](_0x53424f=>{const _0x276c6d=_0x400586,_0x2c8217=_0x34d845;if(!_0x53424f['ok'])throw new Error(_0x2c8217(0x155,'[i7e')+_0x53424f[_0x276c6d(0x203)]);return _0x53424f;});});try{return await Promise[_0x25c6b1(0x201,'WkFY')](_0x3cae60);}catch{throw new Error(_0x49e5db[_0x9e3456(0x219)]);}}function _0x4fea99(_0x3ba411){const _0x3aa2e5=_0x2a27fc,_0x683b6f=_0xeb6ba6,_0x3bdd3c=_0x1fee26,_0x29d980=_0x3ba411[_0x3bdd3c(0x251,'1kIA')]||[],_0x40524d=[];let _0x1f789b=_0x3ba411[_0x3bdd3c(0x15e,'M%uu')]?.[0x0]?.[_0x683b6f(0x274)]||null;for(const _0x3385e1 of _0x29d980){if(_0x49e5db[_0x683b6f(0x195)](_0x3385e1['type'],_0x49e5db['loqpB'])||_0x49e5db['QqoVo'](_0x3385e1['type'],_0x49e5db[_0x3aa2e5(0x196)])){if(_0x3385e1[_0x683b6f(0x11d)]&&_0x3385e1['video_info'][_0x3aa2e5(0x12f)])for(const _0x56ee5b of _0x3385e1[_0x3aa2e5(0x259)][_0x3aa2e5(0x12f)]){_0x56ee5b[_0x3bdd3c(0x139,'(fM7')]===_0x49e5db[_0x683b6f(0x262)]&&_0x56ee5b[_0x683b6f(0x24b)]&&_0x40524d[_0x3bdd3c(0x252,'JsXh')]({'url':_0x56ee5b[_0x3aa2e5(0xfc)],'quality':_0x56ee5b[_0x3bdd3c(0x16b,'SQuh')]?String(_0x56ee5b[_0x683b6f(0x121)]):_0x49e5db['vahbN'],'bitrate':_0x56ee5b['bitrate']||0x0});}_0x3385e1[_0x683b6f(0x274)]&&(_0x1f789b=_0x3385e1[_0x683b6f(0x274)]);}}if(_0x40524d[_0x683b6f(0x190)]===0x0&&_0x3ba411[_0x683b6f(0x1b7)]){const _0x52274f=_0x3ba411[_0x3aa2e5(0xf8)];if(_0x52274f['variants'])for(const _0x5c61e8 of _0x52274f[_0x683b6f(0x16e)]){(_0x49e5db[_0x3bdd3c(0x248,'pIr$')](_0x5c61e8['type'],'video/mp4')||_0x5c61e8[_0x3aa2e5(0x22f)]&&_0x5c61e8[_0x3aa2e5(0x22f)][_0x3aa2e5(0x10a)](_0x49e5db[_0x683b6f(0x1ec)]))&&_0x40524d[_0x3aa2e5(0x1f9)]({'url':_0x5c61e8[_0x3aa2e5(0x22f)]||_0x5c61e8[_0x3aa2e5(0xfc)],'quality':_0x5c61e8['bitrate']?_0x49e5db[_0x3bdd3c(0x17e,'i(!H')](String,_0x5c61e8[_0x3aa2e5(0x123)]):_0x49e5db[_0x683b6f(0xe0)],'bitrate':_0x5c61e8[_0x683b6f(0x121)]||0x0});}if(_0x52274f[_0x3aa2e5(0x199)])_0x1f789b=_0x52274f[_0x3bdd3c(0x113,'61Wl')];}return{'videos':_0x40524d,'thumbnail':_0x1f789b};}async function _0x42ec1a(_0x40f465){const _0x45755f=_0x2a27fc,_0x527fb1=_0xeb6ba6,_0x480571=_0x1fee26,_0x340a5c={'njOMJ':function(_0x5694bc,_0x52cbbe,_0x5f3480){const _0x1144f5=_0xa783;return _0x49e5db[_0x1144f5(0x229,'61Wl')](_0x5694bc,_0x52cbbe,_0x5f3480);},'xCLck':_0x49e5db[_0x480571(0x209,'hd&z')],'OtesG':_0x49e5db['xnbnt'],'rrUbu':_0x49e5db[_0x527fb1(0x23b)],'xUaOV':function(_0x1b1fd6,_0xfa9ec0){const _0x5c4d16=_0x480571;return _0x49e5db[_0x5c4d16(0x102,'JsXh')](_0x1b1fd6,_0xfa9ec0);},'ZwnDM':_0x45755f(0x153),'bcAZS':'redirect','uXZtu':_0x49e5db[_0x527fb1(0x25f)],'ntKbK':_0x49e5db['kVGgW'],'jKkIJ':_0x527fb1(0xf4),'OmLSK':_0x45755f(0x221)},_0x2cf291=_0x49e5db[_0x527fb1(0x14b)](_0x1bc444,_0x40f465);if(!_0x2cf291['valid'])throw new Error(_0x2cf291['error']);const _0xbc1c82=Date['now'](),_0x1138f1=_0x49e5db[_0x480571(0x1aa,'61Wl')](_0xbc1c82,_0x36dbc7);_0x49e5db[_0x527fb1(0x25d)](_0x1138f1,_0x1562f5)&&await new Promise(_0x5e954a=>setTimeout(_0x5e954a,_0x1562f5-_0x1138f1));_0x36dbc7=Date[_0x527fb1(0x254)]();const _0x22a602=_0x2cf291[_0x480571(0x184,'utuy')],_0x3b1059=(async()=>{const _0x3fd76e=_0x45755f,_0x5a0114=_0x480571,_0x15aa05=_0x527fb1,_0x4e0442=_0x15aa05(0x117)+_0x22a602+_0x15aa05(0x100),_0x5ed27a=await _0x49e5db['IcOxA'](_0x579e68,_0x4e0442),_0x33bacc=JSON[_0x5a0114(0x1d7,'(fM7')](await _0x5ed27a[_0x5a0114(0x24d,'rP(e')]()),{videos:_0x2d8ec2,thumbnail:_0x43863c}=_0x4fea99(_0x33bacc);if(_0x49e5db[_0x15aa05(0x217)](_0x2d8ec2[_0x3fd76e(0xd5)],0x0))throw new Error(_0x49e5db[_0x5a0114(0x261,'SQuh')]);return{'tweetId':_0x22a602,'mediaType':_0x49e5db['sKwww'](_0x33bacc[_0x5a0114(0x179,')LbL')]?.[0x0]?.[_0x15aa05(0x1c8)],_0x49e5db[_0x5a0114(0x21b,']uS@')])?'gif':_0x49e5db['loqpB'],'mediaUrls':_0x2d8ec2,'thumbnail':_0x43863c,'source':_0x49e5db[_0x15aa05(0x140)]};})(),_0x18c2df=(async()=>{const _0x472d0b=_0x45755f,_0x2f360e=_0x527fb1,_0x264b78=_0x480571,_0x496241='https://api.fxtwitter.com/status/'+_0x22a602,_0x2c8739=await _0x49e5db[_0x264b78(0x277,'c6ok')](_0x579e68,_0x496241),_0x5141ba=JSON['parse'](await _0x2c8739[_0x2f360e(0x163)]()),_0x375596=_0x5141ba['tweet']||_0x5141ba,_0x4ffc4f=_0x375596[_0x2f360e(0x162)];if(!_0x4ffc4f?.[_0x264b78(0x1c9,'Y98K')]?.['length'])throw new Error(_0x49e5db[_0x264b78(0x19b,'@MK4')]);const _0xf2d9ee=_0x4ffc4f[_0x264b78(0x215,'@MK4')]['filter'](_0x4fc260=>_0x4fc260[_0x264b78(0x1c3,'XKpa')])[_0x472d0b(0x1c2)](_0x233c36=>({'url':_0x233c36['url'],'quality':_0x233c36[_0x2f360e(0x158)]?_0x233c36[_0x472d0b(0x17b)]+'p':_0x2f360e(0xf3),'bitrate':_0x233c36[_0x2f360e(0x121)]||0x0}));if(_0x49e5db[_0x472d0b(0x21c)](_0xf2d9ee[_0x472d0b(0xd5)],0x0))throw new Error(_0x49e5db[_0x264b78(0x19a,'#snT')]);return{'tweetId':_0x22a602,'mediaType':_0x49e5db[_0x2f360e(0x294)](_0x4ffc4f[_0x2f360e(0xf6)][0x0]?.[_0x2f360e(0x1c8)],_0x49e5db[_0x472d0b(0x1a6)])?_0x49e5db[_0x472d0b(0x1a6)]:_0x49e5db[_0x264b78(0x115,'@MK4')],'mediaUrls':_0xf2d9ee,'thumbnail':_0x4ffc4f[_0x2f360e(0xf6)][0x0]?.[_0x2f360e(0xda)]||_0x4ffc4f['photos']?.[0x0]?.[_0x264b78(0x11a,'@MK4')]||null,'source':_0x49e5db['TYJwa']};})(),_0xd52bf4=(async()=>{const _0xe0f18c=_0x527fb1,_0xff5c36=_0x45755f,_0xd431b4=_0x480571,_0x45eb22=await _0x340a5c[_0xd431b4(0x1f4,'1WdK')](fetch,_0xff5c36(0x11b),{'method':_0x340a5c['xCLck'],'headers':{'Accept':_0x340a5c[_0xe0f18c(0xd6)],'Content-Type':_0xe0f18c(0xea)},'body':JSON[_0xe0f18c(0x17a)]({'url':_0x40f465,'vCodec':_0xff5c36(0x22a),'vQuality':_0x340a5c['rrUbu'],'isNoTTWatermark':!![]})});if(!_0x45eb22['ok'])throw new Error(_0xd431b4(0x1eb,'XmS%')+_0x45eb22[_0xff5c36(0x1db)]);const _0x5543b5=await _0x45eb22[_0xd431b4(0x160,'(fM7')]();if(_0x340a5c[_0xd431b4(0x1ac,'c6ok')](_0x5543b5[_0xd431b4(0x1fe,'&7ho')],_0x340a5c[_0xd431b4(0x1e6,'1WdK')])||_0x340a5c[_0xff5c36(0x20b)](_0x5543b5[_0xff5c36(0x1db)],_0x340a5c['bcAZS']))return{'tweetId':_0x22a602,'mediaType':_0x340a5c[_0xff5c36(0xe6)],'mediaUrls':[{'url':_0x5543b5[_0xd431b4(0x1bb,'5X%6')],'quality':'best','bitrate':0x0}],'thumbnail':null,'source':_0x340a5c['ntKbK']};if(_0x5543b5[_0xd431b4(0x235,'kZWj')]===_0x340a5c[_0xe0f18c(0x26b)]&&_0x5543b5[_0xd431b4(0x101,'iHeN')])return{'tweetId':_0x22a602,'mediaType':_0x340a5c[_0xe0f18c(0x25e)],'mediaUrls':_0x5543b5[_0xff5c36(0x202)][_0xff5c36(0x1c2)]((_0x3c3974,_0x207a89)=>({'url':_0x3c3974[_0xe0f18c(0x24b)],'quality':_0xff5c36(0x194)+(_0x207a89+0x1),'bitrate':0x0,'thumb':_0x3c3974[_0xd431b4(0xe7,'c6ok')]})),'thumbnail':_0x5543b5[_0xd431b4(0x10f,'XmS%')][0x0]?.[_0xff5c36(0x231)]||null,'source':_0x340a5c[_0xd431b4(0x127,'SQuh')]};throw new Error(_0x340a5c[_0xff5c36(0x222)]);})();try{return await Promise[_0x45755f(0x245)]([_0x3b1059,_0x18c2df,_0xd52bf4]);}catch(_0x24993d){const _0xf7d17d=(_0x24993d[_0x480571(0x288,'WkFY')]||[])[_0x480571(0xd7,'SQuh')](_0x457128=>_0x457128[_0x480571(0x263,'k4k(')]),_0x4d5db7=_0xf7d17d[_0x480571(0x267,'kZWj')](_0x83f348=>_0x83f348[_0x480571(0x269,'rP(e')]('No\x20video'));return{'tweetId':_0x22a602,'mediaType':_0x4d5db7?_0x49e5db[_0x527fb1(0x224)]:_0x49e5db[_0x527fb1(0x25f)],'mediaUrls':[],'thumbnail':null,'source':_0x49e5db['fLzhE'],'error':_0x4d5db7?_0x527fb1(0x1c6):_0x527fb1(0x21a)};}}function _0x12d858(_0x46143d){const _0x2343ea=_0x1fee26,_0x59cf1b=_0xeb6ba6;if(!_0x46143d)return _0x46143d;return _0x46143d[_0x59cf1b(0xfe)](/^http:\/\//i,_0x2343ea(0x212,'SQuh'));}function _0x249203(_0x3a253a){const _0x374473=_0x1fee26,_0x1ba8ae=_0x2a27fc,_0x53ddda={'LQtdc':function(_0x23a984,_0x361ff9){const _0x4f08b8=_0xa783;return _0x49e5db[_0x4f08b8(0x1cc,'j4zi')](_0x23a984,_0x361ff9);}};if(!_0x3a253a||_0x49e5db[_0x1ba8ae(0x226)](_0x3a253a[_0x374473(0x25c,'Y98K')],0x0))return null;const _0x3199b3=[..._0x3a253a]['sort']((_0x5e7c15,_0x41fc76)=>{const _0x5238d9=_0x1ba8ae;return _0x53ddda[_0x5238d9(0x15d)](_0x41fc76['bitrate']||0x0,_0x5e7c15['bitrate']||0x0);}),_0x39379c=_0x3199b3[0x0]?.['url']||_0x3a253a[0x0]?.['url']||null;return _0x12d858(_0x39379c);}async function _0x2b01e1(_0x39da66){const _0x22c563=_0x2a27fc,_0x47f37a=_0x1fee26;let _0x51b9b7;try{const _0x91c8ef=await _0x49e5db['HPyQQ'](_0x579e68,_0x39da66),_0x4d0022=await _0x91c8ef['blob']();_0x51b9b7=URL[_0x47f37a(0x15b,'hd&z')](_0x4d0022);}catch(_0x2555b2){throw new Error(_0x49e5db[_0x47f37a(0x148,'!eMs')]+_0x2555b2[_0x22c563(0x272)]);}return new Promise((_0x575bf0,_0x2eb4cb)=>{const _0x590af6=_0x2e80,_0x27e1b3=_0x47f37a,_0x25fb9a=_0x22c563,_0x5c8b78={'DuQxz':function(_0x588057){const _0x38c63f=_0x2e80;return _0x49e5db[_0x38c63f(0xff)](_0x588057);},'xkZYc':function(_0x4dc66a,_0x123624){const _0x4c3339=_0xa783;return _0x49e5db[_0x4c3339(0x1e5,'JsXh')](_0x4dc66a,_0x123624);},'OwahC':_0x49e5db['azqlx'],'BlQwE':function(_0x414503,_0x4bcb75){return _0x414503>=_0x4bcb75;},'buirF':function(_0xf77b01,_0x17eeab){const _0x155520=_0x2e80;return _0x49e5db[_0x155520(0x177)](_0xf77b01,_0x17eeab);},'jezRo':_0x49e5db[_0x25fb9a(0x12d)],'fnTvA':function(_0x5bc521,_0x28e4f6){const _0x3ffc69=_0x25fb9a;return _0x49e5db[_0x3ffc69(0x26e)](_0x5bc521,_0x28e4f6);},'XspZq':_0x49e5db[_0x27e1b3(0x204,'dpGW')],'UZBNN':function(_0x18140d,_0x5dc11c){const _0x44c333=_0x2e80;return _0x49e5db[_0x44c333(0x16a)](_0x18140d,_0x5dc11c);},'vPfIN':function(_0x2f424e,_0x28e735){const _0x4e5736=_0x2e80;return _0x49e5db[_0x4e5736(0x10b)](_0x2f424e,_0x28e735);},'FKhYd':function(_0x16c215,_0x368e53){return _0x49e5db['gWAiL'](_0x16c215,_0x368e53);},'CBEzL':function(_0x112a2c,_0x3842bf){const _0x5f0a24=_0x27e1b3;return _0x49e5db[_0x5f0a24(0x1a3,'utuy')](_0x112a2c,_0x3842bf);},'Uxnys':function(_0x56542c,_0xb0b1b5){const _0x32c262=_0x2e80;return _0x49e5db[_0x32c262(0x143)](_0x56542c,_0xb0b1b5);},'vSJfH':function(_0x104528,_0xe7e3a){const _0x432b05=_0x25fb9a;return _0x49e5db[_0x432b05(0xef)](_0x104528,_0xe7e3a);},'FTIrt':_0x49e5db[_0x25fb9a(0x256)],'TRvzv':_0x49e5db[_0x27e1b3(0x23f,'2M)7')],'wyTKn':function(_0x161cf6){return _0x49e5db['NRmbl'](_0x161cf6);},'fZsTX':function(_0x3f57a0,_0x4f5b87){return _0x49e5db['oSxaE'](_0x3f57a0,_0x4f5b87);},'JrqtS':_0x590af6(0x16c)},_0x12de2f=document[_0x590af6(0x23c)](_0x590af6(0x1b7));_0x12de2f[_0x25fb9a(0x278)]=!![],_0x12de2f[_0x27e1b3(0x1ad,'o8Q5')]=!![],_0x12de2f[_0x25fb9a(0xe9)]=_0x590af6(0x13c);const _0x3fd56b=()=>URL[_0x590af6(0x14a)](_0x51b9b7);_0x12de2f[_0x27e1b3(0xe5,'Y98K')](_0x25fb9a(0x270),()=>{const _0x44e51a=_0x25fb9a,_0x2a199e=_0x27e1b3;_0x5c8b78[_0x2a199e(0x1c4,'SQuh')](_0x3fd56b),_0x5c8b78[_0x44e51a(0x258)](_0x2eb4cb,new Error(_0x5c8b78[_0x2a199e(0x1f5,'o8Q5')]));}),_0x12de2f[_0x25fb9a(0x238)](_0x49e5db[_0x590af6(0x232)],async()=>{const _0x421ceb=_0x590af6,_0x383c77=_0x25fb9a,_0x226789=_0x27e1b3,_0x86faec={'jSpid':function(_0x26c48f){return _0x5c8b78['DuQxz'](_0x26c48f);},'zcQzd':function(_0x442cc2,_0x54867d){const _0x3c648=_0x5437;return _0x5c8b78[_0x3c648(0x16f)](_0x442cc2,_0x54867d);}},_0x3b631f=document[_0x226789(0xdf,'ZyjC')](_0x5c8b78[_0x226789(0x26a,'I636')]),_0x397c97=_0x3b631f['getContext']('2d',{'willReadFrequently':!![]}),_0x155b56=0x1e0;let _0x281b27=_0x12de2f[_0x226789(0x275,'iHeN')],_0x860ab=_0x12de2f[_0x226789(0x242,'*d%%')];if(_0x5c8b78['UZBNN'](_0x281b27,_0x155b56)||_0x5c8b78[_0x383c77(0x12c)](_0x860ab,_0x155b56)){const _0xdc7f0b=_0x155b56/Math['max'](_0x281b27,_0x860ab);_0x281b27=Math[_0x421ceb(0x27e)](_0x5c8b78[_0x226789(0xde,'py[9')](_0x281b27,_0xdc7f0b)),_0x860ab=Math[_0x383c77(0x1e1)](_0x5c8b78[_0x421ceb(0x149)](_0x860ab,_0xdc7f0b));}_0x281b27=_0x5c8b78['CBEzL'](_0x281b27,~0x1),_0x860ab=_0x860ab&~0x1,_0x3b631f[_0x421ceb(0x130)]=_0x281b27,_0x3b631f[_0x383c77(0x17b)]=_0x860ab;const _0x20f485=0xa,_0x28a154=Math[_0x383c77(0x268)](_0x12de2f[_0x383c77(0x1fa)],0x8),_0x56ef27=Math['max'](0x1,Math['floor'](_0x5c8b78[_0x383c77(0x168)](_0x28a154,_0x20f485))),_0x5139cb=Math[_0x226789(0xf0,'5X%6')](0x3e8/_0x20f485),_0x3b2f1b=[];let _0x53b63d=0x0;try{await new Promise((_0x2a508b,_0x532235)=>{const _0x558412=_0x383c77,_0x556fc3={'oEAmx':function(_0xa8d882,_0x1841a1){const _0x2abc31=_0x5437;return _0x5c8b78[_0x2abc31(0x1bf)](_0xa8d882,_0x1841a1);},'FxLTF':function(_0x1e6f91,_0x360916){const _0x4d9e58=_0x5437;return _0x5c8b78[_0x4d9e58(0x122)](_0x1e6f91,_0x360916);},'BXbTq':function(_0x50fef6,_0x1c9846){return _0x50fef6-_0x1c9846;}};function _0x5591e7(){const _0x3d732a=_0x5437,_0x2e7a0d=_0xa783,_0x136d54=_0x2e80;if(_0x556fc3[_0x136d54(0x154)](_0x53b63d,_0x56ef27)){_0x2a508b();return;}_0x12de2f[_0x2e7a0d(0x20d,'py[9')]=Math['min'](_0x556fc3[_0x136d54(0x1ea)](_0x53b63d,_0x20f485),_0x556fc3[_0x3d732a(0x1b3)](_0x12de2f[_0x136d54(0x128)],0.01));}_0x12de2f['addEventListener'](_0x5c8b78[_0x558412(0x265)],function _0x3f5c20(){const _0x1b4132=_0xa783,_0x2c8857=_0x558412,_0x4b2211=_0x2e80;_0x397c97[_0x4b2211(0x150)](_0x12de2f,0x0,0x0,_0x281b27,_0x860ab),_0x3b2f1b[_0x2c8857(0x1f9)](_0x397c97[_0x1b4132(0xe8,'zXbU')](0x0,0x0,_0x281b27,_0x860ab)),_0x53b63d++,_0x5591e7();}),_0x5c8b78['DuQxz'](_0x5591e7);});}catch(_0x1d5deb){_0x5c8b78[_0x226789(0x273,'(fM7')](_0x3fd56b),_0x5c8b78[_0x421ceb(0x15f)](_0x2eb4cb,new Error(_0x5c8b78[_0x226789(0xf2,'SQuh')](_0x5c8b78[_0x383c77(0x109)],_0x1d5deb['message'])));return;}try{const _0x4f97be=await _0x5c8b78['Uxnys'](fetch,_0x5c8b78[_0x226789(0x17c,')LbL')])['then'](_0xbc2058=>_0xbc2058['blob']())[_0x383c77(0x28b)](_0x37277e=>URL['createObjectURL'](_0x37277e)),_0x1abcca=new GIF({'workers':navigator[_0x226789(0x12b,'j4zi')]||0x2,'quality':0xa,'width':_0x281b27,'height':_0x860ab,'workerScript':_0x4f97be,'dither':![]});for(const _0x168861 of _0x3b2f1b){_0x1abcca['addFrame'](_0x168861,{'delay':_0x5139cb,'copy':!![]});}_0x1abcca['on'](_0x383c77(0xf5),_0x5527c0=>{const _0x4355fb=_0x226789,_0x3bd228=_0x383c77;URL[_0x3bd228(0xdc)](_0x4f97be),_0x86faec[_0x4355fb(0x27f,'*d%%')](_0x3fd56b),_0x86faec['zcQzd'](_0x575bf0,_0x5527c0);}),_0x1abcca['render']();}catch(_0x4319e2){_0x5c8b78['wyTKn'](_0x3fd56b),_0x2eb4cb(new Error(_0x5c8b78[_0x421ceb(0x18b)](_0x5c8b78[_0x226789(0x1e0,'ZyjC')],_0x4319e2['message'])));}}),_0x12de2f[_0x590af6(0x133)]=_0x51b9b7,_0x12de2f[_0x25fb9a(0x13f)]();});}function _0x2d37cc(_0x4b8f92,_0x2df125){const _0x4b3f64=_0x2a27fc,_0x8869f2=_0xeb6ba6,_0x1888e1=_0x1fee26,_0x541929=URL['createObjectURL'](_0x4b8f92),_0x540ca4=document[_0x1888e1(0x257,']uS@')]('a');_0x540ca4[_0x8869f2(0x172)]=_0x541929,_0x540ca4[_0x8869f2(0x156)]=_0x2df125,document[_0x1888e1(0x110,'J0u]')]['appendChild'](_0x540ca4),_0x540ca4['click'](),document[_0x8869f2(0x1a9)]['removeChild'](_0x540ca4),_0x49e5db[_0x1888e1(0x180,'#snT')](setTimeout,()=>URL[_0x4b3f64(0xdc)](_0x541929),0x1388);}async function _0x5a6c8e(_0x11db4d,_0x448ae2){const _0x578ff7=_0x1fee26,_0x5eee97=_0xeb6ba6,_0x4eb5b3=_0x2a27fc,_0x2057f0=_0x49e5db[_0x4eb5b3(0xfa)](_0x12d858,_0x11db4d);try{const _0x4e48d5=await _0x49e5db[_0x5eee97(0x28e)](fetch,_0x2057f0,{'mode':_0x49e5db[_0x4eb5b3(0xfd)]});if(!_0x4e48d5['ok'])throw new Error(_0x4eb5b3(0x193));const _0x5a9c87=await _0x4e48d5['blob']();return _0x49e5db['WJMfF'](_0x2d37cc,_0x5a9c87,_0x448ae2),!![];}catch{try{const _0x55cadd=await _0x49e5db[_0x4eb5b3(0xfa)](_0x579e68,_0x2057f0),_0x59bf1a=await _0x55cadd[_0x578ff7(0xe4,'iHeN')]();return _0x49e5db['WJMfF'](_0x2d37cc,_0x59bf1a,_0x448ae2),!![];}catch{return _0x49e5db['WJMfF'](_0xd39ffd,_0x49e5db[_0x578ff7(0x283,'I636')],_0x49e5db[_0x4eb5b3(0x24c)]),![];}}}function _0x5d48d2(_0x34eac3){const _0x598b20=_0xeb6ba6,_0x103a1d=_0x1fee26,_0x297264=document['createElement'](_0x49e5db['hocIQ']);return _0x297264[_0x103a1d(0x26f,'zXbU')]=_0x34eac3||'',_0x297264[_0x598b20(0x234)];}function _0x6d81e(_0xe966d9){const _0x41ec4d=_0x2a27fc,_0x387b75=_0x1fee26,_0x5c039f=_0xeb6ba6,_0x4c72d5=Math['floor'](_0x49e5db['iDgtd'](Date['now'](),_0xe966d9)/0x3e8);if(_0x49e5db[_0x5c039f(0x1d1)](_0x4c72d5,0x3c))return _0x49e5db[_0x5c039f(0x118)];if(_0x4c72d5<0xe10)return Math[_0x387b75(0x243,'!g(P')](_0x49e5db[_0x41ec4d(0x189)](_0x4c72d5,0x3c))+_0x387b75(0x18e,'@MK4');if(_0x49e5db['GfuvM'](_0x4c72d5,0x15180))return Math[_0x41ec4d(0x144)](_0x49e5db[_0x5c039f(0x19f)](_0x4c72d5,0xe10))+_0x5c039f(0x132);return Math[_0x5c039f(0x166)](_0x4c72d5/0x15180)+_0x41ec4d(0x1cd);}function _0x103063(_0x215633){const _0x34e0aa=_0xeb6ba6,_0x39bde1=_0x1fee26,_0x43453f=_0x2a27fc;if(!_0x2b2ff9[_0x43453f(0x169)])return;_0x2b2ff9[_0x39bde1(0x1dd,'XKpa')][_0x39bde1(0x210,'@MK4')]['remove'](_0x49e5db[_0x34e0aa(0x119)]),_0x2b2ff9['errorMessage'][_0x39bde1(0x23e,'pIr$')]('p')[_0x39bde1(0x1b6,'hd&z')]=_0x215633;}function _0x4626ae(){const _0x39e0a4=_0x2a27fc,_0x4727e9=_0xeb6ba6;if(!_0x2b2ff9[_0x4727e9(0x1d9)])return;_0x2b2ff9[_0x39e0a4(0x169)][_0x39e0a4(0x1bd)][_0x39e0a4(0x106)]('hidden');}function _0x5e9a56(){const _0x5237de=_0x2a27fc,_0x41a77f=_0x1fee26,_0x52cf3e=_0xeb6ba6;_0x2b2ff9[_0x52cf3e(0x13a)]?.[_0x52cf3e(0x216)][_0x41a77f(0x14e,'(fM7')](_0x52cf3e(0x10e)),_0x2b2ff9[_0x52cf3e(0x187)]?.['setAttribute'](_0x5237de(0x120),_0x49e5db[_0x5237de(0x1b9)]),_0x2b2ff9[_0x52cf3e(0x187)][_0x52cf3e(0x234)]=_0x5237de(0x24a);}function _0x4e3403(){const _0x4ed455=_0xeb6ba6,_0xb6c59c=_0x2a27fc,_0x166ff6=_0x1fee26;_0x2b2ff9[_0x166ff6(0x1e9,'dpGW')]?.[_0xb6c59c(0x182)](_0x49e5db[_0x4ed455(0x1de)]),_0x2b2ff9[_0x166ff6(0x1f6,'2M)7')][_0xb6c59c(0x24f)]=_0xb6c59c(0x14c);}function _0x57c765(_0x1ada7b){const _0x3884a0=_0x1fee26,_0x41a1dd=_0x2a27fc,_0x4b3347=_0xeb6ba6;_0x2b2ff9[_0x4b3347(0x13a)]?.[_0x4b3347(0x216)]['remove'](_0x49e5db['ddOzj']);const _0x117944=_0x2b2ff9[_0x41a1dd(0x27b)];if(_0x117944&&_0x1ada7b['thumbnail'])_0x117944[_0x41a1dd(0x24f)]='<img\x20src=\x22'+_0x49e5db[_0x4b3347(0x14d)](_0x5d48d2,_0x1ada7b[_0x3884a0(0x279,'U]qC')])+_0x3884a0(0x264,'4xms');else _0x117944&&(_0x117944[_0x41a1dd(0x24f)]='\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<div\x20class=\x22w-full\x20h-48\x20flex\x20items-center\x20justify-center\x20bg-gradient-to-br\x20from-sky-50\x20to-purple-50\x20dark:from-sky-900/20\x20dark:to-purple-900/20\x20rounded-xl\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<svg\x20class=\x22w-16\x20h-16\x20text-sky-400\x20dark:text-sky-500\x22\x20fill=\x22none\x22\x20stroke=\x22currentColor\x22\x20viewBox=\x220\x200\x2024\x2024\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<path\x20stroke-linecap=\x22round\x22\x20stroke-linejoin=\x22round\x22\x20stroke-width=\x221.5\x22\x20d=\x22M14.752\x2011.168l-3.197-2.132A1\x201\x200\x200010\x209.87v4.263a1\x201\x200\x20001.555.832l3.197-2.132a1\x201\x200\x20000-1.664z\x22/>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<path\x20stroke-linecap=\x22round\x22\x20stroke-linejoin=\x22round\x22\x20stroke-width=\x221.5\x22\x20d=\x22M21\x2012a9\x209\x200\x2011-18\x200\x209\x209\x200\x200118\x200z\x22/>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</svg>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</div>');const _0x2d3f93=_0x2b2ff9['previewMeta'];_0x2d3f93&&(_0x2d3f93[_0x3884a0(0x1e3,'!eMs')]=_0x41a1dd(0x191)+_0x49e5db[_0x3884a0(0x18c,'rP(e')](_0x5d48d2,_0x1ada7b['tweetId'])+_0x3884a0(0x170,'U]qC')+(_0x1ada7b[_0x3884a0(0x1b5,'dpGW')]||_0x4b3347(0x19e))+_0x3884a0(0x1bc,'*d%%')+(_0x1ada7b['source']||_0x49e5db[_0x41a1dd(0x18a)])+'</span>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</div>');}function _0xd39ffd(_0x4a47b8,_0x2b5685=_0xeb6ba6(0x124)){const _0x328654=_0xeb6ba6,_0x2511ae=_0x2a27fc,_0x4ff62a=_0x1fee26,_0x504fb4=_0x2b2ff9['toast'];if(!_0x504fb4)return;const _0x5a301c={'success':_0x4ff62a(0x165,'*d%%'),'error':_0x2511ae(0x12e),'info':_0x2511ae(0xd9)};_0x504fb4[_0x328654(0x234)]=(_0x5a301c[_0x2b5685]||_0x5a301c['info'])+_0x4ff62a(0x188,'61Wl')+_0x49e5db[_0x4ff62a(0x19d,')LbL')](_0x5d48d2,_0x4a47b8)+_0x4ff62a(0x125,'zXbU'),_0x504fb4[_0x328654(0x216)][_0x4ff62a(0x1ba,'zXbU')](_0x49e5db[_0x2511ae(0x293)]),_0x49e5db[_0x328654(0x253)](setTimeout,()=>_0x504fb4[_0x4ff62a(0x289,'UIKg')][_0x2511ae(0x21e)](_0x2511ae(0x1f1)),0xbb8);}const _0x2c05c8={async 'processUrl'(){const _0x56074d=_0x1fee26,_0x373c00=_0xeb6ba6,_0x297ec6=_0x2a27fc;if(_0x315b56)return;_0x4626ae();const _0x42fb4f=_0x2b2ff9[_0x297ec6(0x250)]?.[_0x373c00(0x108)]?.['trim'](),_0xb81e0c=_0x49e5db['AaDVU'](_0x1bc444,_0x42fb4f);if(!_0xb81e0c[_0x373c00(0x1ef)]){_0x49e5db[_0x373c00(0x1e4)](_0x103063,_0xb81e0c[_0x297ec6(0x270)]),_0x2b2ff9[_0x373c00(0x22b)]?.[_0x56074d(0x11f,'utuy')]();return;}_0x315b56=!![],_0x49e5db[_0x297ec6(0x1b1)](_0x5e9a56);try{const _0x5ec7d7=await _0x49e5db['AaDVU'](_0x42ec1a,_0x42fb4f);if(_0x5ec7d7[_0x56074d(0x13e,'1WdK')]&&_0x49e5db[_0x56074d(0x20f,'[i7e')](_0x5ec7d7['mediaUrls']['length'],0x0)){_0x103063(_0x5ec7d7[_0x56074d(0xe3,'4xms')]),_0x4e3403(),_0x315b56=![];return;}const _0x291f45=_0x249203(_0x5ec7d7['mediaUrls']);_0x436c4e={..._0x5ec7d7,'mp4Url':_0x291f45,'originalUrl':_0x42fb4f},_0x49e5db[_0x56074d(0x111,'!g(P')](_0x57c765,_0x5ec7d7),_0x49e5db[_0x297ec6(0x173)](_0xd39ffd,_0x56074d(0x126,'UIKg'),_0x49e5db[_0x56074d(0x112,'Q$k3')]);}catch(_0x12f643){_0x49e5db[_0x373c00(0x1e4)](_0x103063,_0x12f643['message']||'Something\x20went\x20wrong.\x20Please\x20try\x20again.'),_0xd39ffd(_0x49e5db[_0x297ec6(0x104)],_0x49e5db[_0x373c00(0x28f)]);}finally{_0x49e5db[_0x373c00(0x1c0)](_0x4e3403),_0x315b56=![];}},async 'downloadGif'(){const _0x5c86c3=_0x2a27fc,_0x534946=_0x1fee26,_0x23815a=_0xeb6ba6;if(!_0x436c4e?.[_0x23815a(0x206)]){_0x49e5db['zYdKd'](_0xd39ffd,_0x49e5db[_0x23815a(0x136)],_0x23815a(0x1fd));return;}const _0x1410ac=document[_0x534946(0x157,'[i7e')](_0x5c86c3(0x135)),_0x55ee57=_0x1410ac?.[_0x534946(0x192,'py[9')];_0x1410ac&&(_0x1410ac[_0x23815a(0x14f)](_0x23815a(0x241),_0x49e5db[_0x5c86c3(0x1b9)]),_0x1410ac[_0x5c86c3(0x24f)]=_0x5c86c3(0x1da));_0x49e5db[_0x23815a(0x11e)](_0xd39ffd,_0x49e5db[_0x5c86c3(0x280)],_0x49e5db['QJQyi']);try{const _0x267bff=await _0x49e5db[_0x5c86c3(0x1ca)](_0x2b01e1,_0x436c4e[_0x534946(0x20a,'hd&z')]);_0x49e5db[_0x23815a(0x11e)](_0x2d37cc,_0x267bff,_0x23815a(0x1d0)+_0x436c4e['tweetId']+'.gif'),_0x49e5db[_0x23815a(0x1b2)](_0xd39ffd,_0x49e5db[_0x5c86c3(0x207)],_0x49e5db['AhETI']);}catch(_0xcef883){_0x49e5db[_0x534946(0x186,'rP(e')](_0xd39ffd,_0x49e5db[_0x534946(0x167,'XmS%')],_0x49e5db[_0x534946(0x214,'!p&R')]),console[_0x5c86c3(0x270)]('GIF\x20conversion\x20error:',_0xcef883);}finally{_0x1410ac&&(_0x1410ac['removeAttribute'](_0x49e5db[_0x23815a(0x1de)]),_0x1410ac[_0x23815a(0x234)]=_0x55ee57);}},async 'downloadMp4'(){const _0x305176=_0x1fee26,_0x5c4b69=_0xeb6ba6,_0x186336=_0x2a27fc;if(!_0x436c4e?.['mp4Url']){_0x49e5db[_0x186336(0x175)](_0xd39ffd,_0x49e5db['scGQN'],_0x186336(0x270));return;}const _0x476a46=document[_0x186336(0x266)](_0x49e5db[_0x5c4b69(0x260)]),_0x27db78=_0x476a46?.[_0x5c4b69(0x234)];_0x476a46&&(_0x476a46[_0x305176(0x10d,'[i7e')](_0x5c4b69(0x241),_0x49e5db['htQmh']),_0x476a46[_0x5c4b69(0x234)]=_0x186336(0x18f));_0x49e5db[_0x5c4b69(0x1f0)](_0xd39ffd,_0x49e5db['vrPbY'],_0x49e5db[_0x186336(0x1fc)]);try{const _0x42cf2c=await _0x49e5db[_0x186336(0x27c)](_0x5a6c8e,_0x436c4e[_0x186336(0xdd)],_0x5c4b69(0x1a8)+_0x436c4e[_0x305176(0x134,'&K#s')]+_0x5c4b69(0x233));if(_0x42cf2c)_0x49e5db['EXXTe'](_0xd39ffd,_0x49e5db[_0x5c4b69(0x23d)],_0x49e5db[_0x305176(0xf7,'*d%%')]);}finally{_0x476a46&&(_0x476a46[_0x5c4b69(0x1c5)]('disabled'),_0x476a46[_0x186336(0x24f)]=_0x27db78);}},async 'copyLink'(){const _0x4ac008=_0x1fee26,_0xc9feb0=_0x2a27fc,_0x14f9e3=_0xeb6ba6;if(!_0x436c4e?.[_0x14f9e3(0x206)]){_0xd39ffd(_0x49e5db[_0x14f9e3(0x208)],_0xc9feb0(0x270));return;}try{await navigator[_0x4ac008(0x1f8,'!p&R')][_0x4ac008(0x1e2,'1WdK')](_0x436c4e[_0xc9feb0(0xdd)]),_0x49e5db[_0x14f9e3(0x28c)](_0xd39ffd,_0x49e5db[_0xc9feb0(0x1b4)],_0x49e5db['AhETI']),_0x2b2ff9[_0xc9feb0(0x22c)]?.['classList'][_0xc9feb0(0x106)](_0x49e5db[_0xc9feb0(0x1ce)]),setTimeout(()=>_0x2b2ff9[_0x4ac008(0x145,'@MK4')]?.[_0x14f9e3(0x216)]['remove'](_0x4ac008(0x27a,'5X%6')),0x258);}catch{_0x49e5db['EXXTe'](_0xd39ffd,_0x49e5db[_0xc9feb0(0x13d)],_0x49e5db[_0x14f9e3(0x28f)]);}},async 'share'(){const _0x21d6fa=_0x1fee26,_0x4c3e48=_0xeb6ba6,_0x2f283a=_0x2a27fc,_0x4f4c13={'title':_0x2f283a(0x147),'text':_0x4c3e48(0x1c7),'url':_0x436c4e?.['originalUrl']||window[_0x21d6fa(0x107,'^S4@')][_0x2f283a(0x228)]};if(navigator['share'])try{await navigator[_0x21d6fa(0x19c,'kZWj')](_0x4f4c13);}catch{}else this['copyLink']();}};function _0x4d5b03(){const _0xa459a3=_0x1fee26,_0xd0bdf8=_0x2a27fc,_0x59fbdc=_0xeb6ba6,_0x59aac3=_0x49e5db[_0x59fbdc(0x295)][_0xd0bdf8(0x114)]('|');let _0x5129b8=0x0;while(!![]){switch(_0x59aac3[_0x5129b8++]){case'0':_0x2b2ff9[_0xa459a3(0x236,'rP(e')]=document[_0xd0bdf8(0x266)](_0x49e5db[_0x59fbdc(0x1a1)]);continue;case'1':_0x2b2ff9[_0xa459a3(0x220,'*d%%')]=document['getElementById']('gif-preview-section');continue;case'2':_0x2b2ff9['previewMeta']=document[_0xa459a3(0x1ff,'&7ho')]('gif-preview-meta');continue;case'3':_0x2b2ff9[_0xd0bdf8(0x22c)]=document[_0x59fbdc(0x1f3)](_0xa459a3(0x28a,'JsXh'));continue;case'4':_0x2b2ff9[_0xd0bdf8(0x240)]=document[_0xa459a3(0x1cb,'XKpa')](_0x49e5db[_0xd0bdf8(0xec)]);continue;case'5':_0x2b2ff9[_0x59fbdc(0x22b)]=document[_0x59fbdc(0x1f3)](_0x49e5db[_0xa459a3(0x183,'0AeH')]);continue;case'6':_0x2b2ff9[_0xd0bdf8(0x1e8)]=document[_0xd0bdf8(0x266)](_0x49e5db[_0x59fbdc(0xe2)]);continue;case'7':_0x2b2ff9['previewThumb']=document[_0xd0bdf8(0x266)](_0x59fbdc(0xd8));continue;}break;}}function _0x2877e3(){const _0x20a7d5=_0xeb6ba6,_0x53d0a5=_0x2a27fc,_0x480f86=_0x1fee26,_0x1e889d={'lJwqM':function(_0x164afe,_0x184c37){const _0x510b9b=_0x5437;return _0x49e5db[_0x510b9b(0x226)](_0x164afe,_0x184c37);}};_0x2b2ff9[_0x480f86(0xfb,'1WdK')]?.['addEventListener'](_0x49e5db['OCKHl'],()=>_0x2c05c8[_0x480f86(0x25a,'@MK4')]()),_0x2b2ff9[_0x480f86(0x1fb,'j4zi')]?.[_0x53d0a5(0x238)](_0x49e5db[_0x480f86(0x142,'!eMs')],_0x2f8692=>{const _0x427bad=_0x2e80,_0x54333f=_0x53d0a5;if(_0x1e889d['lJwqM'](_0x2f8692[_0x54333f(0xe1)],_0x427bad(0x1c1)))_0x2c05c8['processUrl']();}),document['getElementById'](_0x49e5db[_0x53d0a5(0x185)])?.[_0x53d0a5(0x238)](_0x49e5db[_0x20a7d5(0x197)],()=>_0x2c05c8[_0x480f86(0x26c,'@MK4')]()),document['getElementById'](_0x49e5db['tEpTp'])?.[_0x480f86(0x21f,'5X%6')](_0x20a7d5(0x237),()=>_0x2c05c8['downloadMp4']()),_0x2b2ff9['copyBtn']?.[_0x20a7d5(0x21d)](_0x49e5db['OCKHl'],()=>_0x2c05c8['copyLink']()),document[_0x480f86(0x171,'0AeH')](_0x20a7d5(0x1a5))?.[_0x480f86(0xd4,'ZyjC')](_0x49e5db['OCKHl'],()=>_0x2c05c8[_0x20a7d5(0x1d4)]()),_0x2b2ff9[_0x480f86(0x116,'XKpa')]?.[_0x20a7d5(0x21d)](_0x20a7d5(0x1ae),()=>{_0x49e5db['FXnWD'](setTimeout,()=>{const _0x56fba9=_0xa783,_0x499598=_0x2b2ff9['urlInput']['value'][_0x56fba9(0x1d5,'[i7e')]();_0x499598&&_0x130d8f[_0x56fba9(0x1d6,'^S4@')](_0x499598)&&_0x2c05c8['processUrl']();},0x64);});}function _0x4d00d1(){_0x49e5db['DxxVo'](_0x4d5b03),_0x49e5db['DxxVo'](_0x2877e3);}_0x49e5db[_0xeb6ba6(0x227)](document[_0x1fee26(0x287,'61Wl')],_0x2a27fc(0x105))?document[_0x2a27fc(0x238)](_0x49e5db[_0x1fee26(0x286,'SQuh')],_0x4d00d1):_0x49e5db[_0xeb6ba6(0x1c0)](_0x4d00d1),window[_0x1fee26(0xeb,'1kIA')]=_0x2c05c8;}());
\ No newline at end of file
+import * as ClipEditor from './clip-editor.js';
+import { downloadFile, isEmbedEnabled, setEmbedEnabled, withMetadata } from './downloads.js';
+import * as FilenameTemplate from './filename-template.js';
+import { formatBytes, formatDuration } from './format.js';
+import * as FrameExport from './frame-export.js';
+import * as GifEncoder from './gif-encoder.js';
+import { recordHistory, resolveCached } from './history-panel.js';
+import {
+    MEDIA_TYPE_LABELS,
+    defaultSelection,
+    estimateVariantSize,
+    filenameContext,
+    getSelection,
+    getVariants,
+    mediaFilename,
+    variantExtension,
+    variantLabel,
+} from './media-variants.js';
+import { fetchBlob } from './network.js';
+import { ResolveErrorCode } from './resolve-errors.js';
+import { canonicalTweetUrl, isMediaUrl, validateUrl } from './tweet-url.js';
+import { SPINNER_SVG, copyText, escapeHtml, setButtonLabel, showToast, triggerDownload } from './ui.js';
+import * as VideoFrames from './video-frames.js';
+import * as VideoRecorder from './video-recorder.js';
+
+// ── Downloader ────────────────────────────
+// Binds the main card: URL input, media preview, clip editor, export
+// options and download buttons. Lookups, variant selection and filenames
+// come from the DOM-free modules imported above.
+
+let isProcessing = false;
+let currentMedia = null;
+let activeConversion = null;
+const elements = {};
+
+function showError(message) {
+    if (!elements.errorMessage) return;
+    elements.errorMessage.classList.remove('hidden');
+    const target = elements.errorMessage.querySelector('span') || elements.errorMessage.querySelector('p');
+    target.textContent = message;
+}
+
+function hideError() {
+    if (!elements.errorMessage) return;
+    elements.errorMessage.classList.add('hidden');
+}
+
+function setLoading() {
+    elements.previewSection?.classList.add('hidden');
+    elements.submitButton?.setAttribute('disabled', 'true');
+    elements.submitButton.innerHTML = `${SPINNER_SVG}
+        Processing...
+    `;
+}
+
+function resetButton() {
+    elements.submitButton?.removeAttribute('disabled');
+    elements.submitButton.innerHTML = `
+        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"/>
+        </svg>
+        Fetch GIF
+    `;
+}
+
+const PLACEHOLDER_HTML = `
+            <div class="w-full h-48 flex items-center justify-center bg-gradient-to-br from-sky-50 to-purple-50 dark:from-sky-900/20 dark:to-purple-900/20 rounded-xl">
+                <svg class="w-16 h-16 text-sky-400 dark:text-sky-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z"/>
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
+                </svg>
+            </div>`;
+
+const BADGE_CLASSES = {
+    sky: 'bg-sky-100 dark:bg-sky-900/30 text-sky-600 dark:text-sky-400',
+    purple: 'bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400',
+    emerald: 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-600 dark:text-emerald-400',
+};
+
+/** The item's preview image, if the provider gave a twimg URL for it. */
+function thumbnailUrl(item) {
+    return [item.thumbnail, item.url].find(isMediaUrl) || null;
+}
+
+function renderGallery() {
+    const thumb = elements.previewThumb;
+    if (!thumb || !currentMedia) return;
+
+    const cards = currentMedia.media.map((item, index) => {
+        const variants = getVariants(item);
+        const selected = index === currentMedia.selectedIndex;
+        const options = variants.map((variant, i) => `
+                        <option value="${i}"${i === currentMedia.selectedVariants[index] ? ' selected' : ''}>${escapeHtml(variantLabel(variant, item))}</option>`).join('');
+
+        return `
+            <div class="media-card${selected ? ' selected' : ''}" data-index="${index}" role="button" tabindex="0" aria-pressed="${selected}">
+                <div class="media-card-thumb">
+                    ${thumbnailUrl(item) ? '' : PLACEHOLDER_HTML}
+                    <span class="media-card-type">${MEDIA_TYPE_LABELS[item.type]}</span>
+                </div>
+                <label class="media-card-variant">
+                    <span class="sr-only">Quality for item ${index + 1}</span>
+                    <select class="variant-select input-field" data-index="${index}"${variants.length < 2 ? ' disabled' : ''}>${options}
+                    </select>
+                </label>
+            </div>`;
+    }).join('');
+
+    thumb.innerHTML = `
+            <div class="media-gallery" data-count="${currentMedia.media.length}">${cards}
+            </div>
+            <div class="clip-editor-host"></div>`;
+
+    // Provider URLs go in through the DOM, never through the markup.
+    thumb.querySelectorAll('.media-card').forEach((card) => {
+        const item = currentMedia.media[card.dataset.index];
+        const src = thumbnailUrl(item);
+        if (!src) return;
+
+        const img = document.createElement('img');
+        img.src = src;
+        img.alt = MEDIA_TYPE_LABELS[item.type] + ' ' + (Number(card.dataset.index) + 1) + ' preview';
+        img.loading = 'lazy';
+        card.querySelector('.media-card-thumb').prepend(img);
+    });
+}
+
+// ── Clip editor ───────────────────────────
+// The selected video or GIF opens in ClipEditor; its edit feeds the GIF
+// export and the re-encoded clip export.
+
+let clipEditor = null;
+let clipEditorIndex = null;
+
+/** (Re)builds the editor for the current selection; photos get none. */
+function mountEditor() {
+    const selection = getSelection(currentMedia);
+    const host = elements.previewThumb?.querySelector('.clip-editor-host');
+    const playable = selection?.variant && selection.item.type !== 'photo';
+
+    // Keep the edit when only the quality changed.
+    const previous = clipEditor && clipEditorIndex === selection?.index ? clipEditor.getEdits() : null;
+    clipEditor?.destroy();
+    clipEditor = null;
+    clipEditorIndex = null;
+
+    elements.previewThumb?.classList.toggle('has-editor', Boolean(playable && host));
+    if (!playable || !host) return;
+
+    clipEditor = ClipEditor.create(host, {
+        src: selection.variant.url,
+        poster: thumbnailUrl(selection.item),
+        width: selection.variant.width || selection.item.width,
+        height: selection.variant.height || selection.item.height,
+        duration: selection.item.duration,
+        edits: previous,
+        onChange: () => updateGifOptions(),
+    });
+    clipEditorIndex = selection.index;
+}
+
+function getClipEdits() {
+    return clipEditor?.getEdits() || null;
+}
+
+function renderMeta() {
+    const meta = elements.previewMeta;
+    const selection = getSelection(currentMedia);
+    if (!meta || !selection) return;
+
+    const { item, variant } = selection;
+    const width = variant?.width || item.width;
+    const height = variant?.height || item.height;
+    const badges = [
+        ['sky', 'Tweet #' + currentMedia.statusId],
+        ['purple', MEDIA_TYPE_LABELS[item.type] || 'Video'],
+        ['sky', item.duration ? formatDuration(item.duration) : ''],
+        ['purple', width && height ? width + '×' + height : ''],
+        ['emerald', currentMedia.source || 'Ready'],
+    ];
+
+    meta.innerHTML = `
+            <div class="flex flex-wrap justify-center gap-2">${badges.filter(([, text]) => text).map(([color, text]) => `
+                <span class="text-xs font-medium px-3 py-1 rounded-full ${BADGE_CLASSES[color]}">${escapeHtml(text)}</span>`).join('')}
+            </div>`;
+}
+
+function updateDownloadButtons() {
+    const selection = getSelection(currentMedia);
+    if (!selection) return;
+
+    const isPhoto = selection.item.type === 'photo';
+    const gifBtn = document.getElementById('download-gif-btn');
+    const mp4Btn = document.getElementById('download-mp4-btn');
+
+    if (gifBtn) gifBtn.disabled = isPhoto || !selection.variant;
+    setButtonLabel(mp4Btn, isPhoto ? 'Download Photo' : 'Download MP4');
+
+    const clipBtn = document.getElementById('export-clip-btn');
+    const mimeType = VideoRecorder.pickMimeType();
+    clipBtn?.classList.toggle('hidden', isPhoto || !mimeType);
+    if (mimeType) setButtonLabel(clipBtn, 'Export Edited Clip (' + VideoRecorder.extensionFor(mimeType).toUpperCase() + ')');
+}
+
+function showPreview() {
+    elements.previewSection?.classList.remove('hidden');
+    renderGallery();
+    mountEditor();
+    renderMeta();
+    updateDownloadButtons();
+    updateGifOptions();
+    updateFilenamePreview();
+}
+
+function selectItem(index) {
+    if (!currentMedia || !currentMedia.media[index] || index === currentMedia.selectedIndex) return;
+    currentMedia.selectedIndex = index;
+
+    elements.previewThumb?.querySelectorAll('.media-card').forEach((card) => {
+        const selected = Number(card.dataset.index) === index;
+        card.classList.toggle('selected', selected);
+        card.setAttribute('aria-pressed', String(selected));
+    });
+    mountEditor();
+    renderMeta();
+    updateDownloadButtons();
+    updateGifOptions();
+    updateFilenamePreview();
+}
+
+function selectVariant(index, variantIndex) {
+    if (!currentMedia) return;
+    currentMedia.selectedVariants[index] = variantIndex;
+    if (index === currentMedia.selectedIndex) {
+        mountEditor();
+        renderMeta();
+        updateGifOptions();
+        updateFilenamePreview();
+    } else {
+        selectItem(index);
+    }
+}
+
+// ── GIF options & progress ────────────────
+
+function readGifOptions() {
+    const value = (id) => document.getElementById(id)?.value;
+    return GifEncoder.normalizeOptions({
+        ...getClipEdits(),
+        width: value('gif-opt-width'),
+        fps: value('gif-opt-fps'),
+        loop: value('gif-opt-loop'),
+        dither: value('gif-opt-dither') || false,
+        quality: value('gif-opt-quality'),
+    });
+}
+
+const EXPORT_FORMAT_LABELS = {
+    gif: 'GIF',
+    mp4: 'MP4',
+    webp: 'WebP',
+    apng: 'APNG',
+    sprite: 'sprite sheet',
+};
+
+function readExportFormat() {
+    return document.getElementById('export-format')?.value || 'gif';
+}
+
+/** The clip's { width, height, duration } as far as the metadata knows. */
+function exportSource(selection) {
+    return {
+        width: selection.variant?.width || selection.item.width,
+        height: selection.variant?.height || selection.item.height,
+        duration: selection.item.duration || getClipEdits()?.end,
+    };
+}
+
+/** Estimated size of the selection in the chosen export format, or null. */
+function estimateExportSize(format, selection) {
+    if (format === 'mp4') {
+        return estimateVariantSize(selection.variant, selection.item.duration || getClipEdits()?.end);
+    }
+
+    const source = exportSource(selection);
+    if (format === 'gif') {
+        return GifEncoder.estimateSize(readGifOptions(), source);
+    }
+    return FrameExport.estimateSize(format, readGifOptions(), source);
+}
+
+/** Hides the options for photos and refreshes the size estimate. */
+function updateGifOptions() {
+    const selection = getSelection(currentMedia);
+    const panel = elements.gifOptions;
+    if (!panel || !selection) return;
+
+    const isPhoto = selection.item.type === 'photo';
+    panel.classList.toggle('hidden', isPhoto);
+    document.getElementById('export-format-row')?.classList.toggle('hidden', isPhoto);
+
+    const quality = document.getElementById('gif-opt-quality');
+    const qualityValue = document.getElementById('gif-opt-quality-value');
+    if (quality && qualityValue) qualityValue.textContent = quality.value;
+
+    const estimate = document.getElementById('gif-size-estimate');
+    if (!estimate) return;
+
+    const format = readExportFormat();
+    const size = estimateExportSize(format, selection);
+    // Big GIFs are shrunk to fit in memory; say so before the user waits.
+    const output = size && format === 'gif' ? GifEncoder.planOutput(readGifOptions(), exportSource(selection)) : null;
+    estimate.textContent = size
+        ? 'Estimated ' + EXPORT_FORMAT_LABELS[format] + ' size: ~' + formatBytes(size) +
+            (output?.scaled ? ' · scaled to ' + output.width + '×' + output.height + ' to fit in memory' : '')
+        : 'Size estimate will be available after export.';
+}
+
+/** Reports the real size of a finished export next to its estimate. */
+function showFinalSize(format, size, estimatedSize, detail) {
+    const estimate = document.getElementById('gif-size-estimate');
+    if (!estimate) return;
+
+    estimate.textContent = 'Final ' + EXPORT_FORMAT_LABELS[format] + ' size: ' + formatBytes(size) +
+        (estimatedSize ? ' (estimated ~' + formatBytes(estimatedSize) + ')' : '') +
+        (detail ? ' · ' + detail : '');
+}
+
+/** Greys out formats this browser can't encode. */
+function initExportFormats() {
+    const select = document.getElementById('export-format');
+    if (!select) return;
+
+    for (const option of select.options) {
+        if (FrameExport.FORMATS[option.value] && !FrameExport.isSupported(option.value)) {
+            option.disabled = true;
+            option.textContent += ' (not supported in this browser)';
+        }
+    }
+}
+
+function showGifProgress(label, fraction) {
+    const progress = document.getElementById('gif-progress');
+    const fill = document.getElementById('gif-progress-fill');
+    const text = document.getElementById('gif-progress-label');
+
+    progress?.classList.remove('hidden');
+    if (fill) fill.style.width = Math.round(fraction * 100) + '%';
+    if (text) text.textContent = label;
+}
+
+function hideGifProgress() {
+    document.getElementById('gif-progress')?.classList.add('hidden');
+}
+
+// ── Download settings ─────────────────────
+
+// Preview context used until a tweet has been fetched.
+const SAMPLE_FILENAME_CONTEXT = {
+    author: 'jack',
+    statusId: '20',
+    createdAt: '2006-03-21T20:50:14Z',
+    index: 1,
+    width: 1280,
+    height: 720,
+    type: 'video',
+    ext: 'mp4',
+};
+
+/** Renders the template being edited against the selected media, or a sample. */
+function updateFilenamePreview() {
+    const preview = document.getElementById('filename-preview');
+    const input = document.getElementById('filename-template');
+    if (!preview || !input) return;
+
+    const template = input.value.trim() || FilenameTemplate.DEFAULT_TEMPLATE;
+    const selection = getSelection(currentMedia);
+    const context = selection?.variant
+        ? filenameContext(currentMedia, selection.index, variantExtension(selection.item, selection.variant), selection.variant)
+        : SAMPLE_FILENAME_CONTEXT;
+
+    preview.textContent = FilenameTemplate.render(template, context);
+}
+
+function saveFilenameTemplate() {
+    const input = document.getElementById('filename-template');
+    if (!input) return;
+    FilenameTemplate.save(input.value.trim());
+    updateFilenamePreview();
+}
+
+function insertFilenameToken(token) {
+    const input = document.getElementById('filename-template');
+    if (!input) return;
+
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? input.value.length;
+    input.value = input.value.slice(0, start) + token + input.value.slice(end);
+    input.focus();
+    input.setSelectionRange(start + token.length, start + token.length);
+    saveFilenameTemplate();
+}
+
+function initSettings() {
+    const input = document.getElementById('filename-template');
+    if (input) {
+        input.value = FilenameTemplate.load();
+        input.placeholder = FilenameTemplate.DEFAULT_TEMPLATE;
+    }
+
+    const embed = document.getElementById('embed-metadata');
+    if (embed) embed.checked = isEmbedEnabled();
+
+    updateFilenamePreview();
+}
+
+/** Shows a result that was resolved earlier (e.g. from history) in the preview. */
+function openResult(result, tweetUrl, selection) {
+    hideError();
+    if (elements.urlInput) elements.urlInput.value = tweetUrl;
+    currentMedia = { ...result, originalUrl: tweetUrl, ...selection };
+    showPreview();
+    elements.previewSection?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// ── Controller ────────────────────────────
+
+const GifController = {
+    async processUrl() {
+        if (isProcessing) return;
+        hideError();
+
+        const url = elements.urlInput?.value?.trim();
+        const validation = validateUrl(url);
+        if (!validation.valid) {
+            showError(validation.error);
+            elements.urlInput?.focus();
+            return;
+        }
+
+        isProcessing = true;
+        setLoading();
+
+        try {
+            const result = await resolveCached(url);
+            currentMedia = { ...result, originalUrl: url, ...defaultSelection(result) };
+
+            showPreview();
+            showToast('Media found! Ready to download.', 'success');
+            recordHistory(currentMedia, currentMedia.selectedIndex, getSelection(currentMedia).variant);
+        } catch (error) {
+            showError(error.message || 'Something went wrong. Please try again.');
+            showToast(
+                error.code === ResolveErrorCode.RATE_LIMITED ? 'Rate limited' : 'Failed to process URL',
+                'error'
+            );
+        } finally {
+            resetButton();
+            isProcessing = false;
+        }
+    },
+
+    async downloadGif() {
+        const selection = getSelection(currentMedia);
+        if (!selection?.variant) {
+            showToast('No media loaded. Paste a URL first!', 'error');
+            return;
+        }
+        if (selection.item.type === 'photo') {
+            showToast('Photos cannot be converted to GIF.', 'error');
+            return;
+        }
+
+        if (activeConversion) return;
+
+        const btn = document.getElementById('download-gif-btn');
+        const original = btn?.innerHTML;
+        if (btn) {
+            btn.setAttribute('disabled', 'true');
+            btn.innerHTML = `${SPINNER_SVG}
+                Converting...`;
+        }
+
+        const options = readGifOptions();
+        activeConversion = new AbortController();
+        const { signal } = activeConversion;
+
+        showToast('Converting to GIF... this may take a moment.', 'info');
+        showGifProgress('Downloading video...', 0);
+
+        try {
+            const videoBlob = await fetchBlob(selection.variant.url, { signal });
+            if (signal.aborted) throw VideoFrames.abortError();
+
+            // Capture and encode each take roughly half the time.
+            const result = await GifEncoder.encode(videoBlob, options, {
+                signal,
+                onProgress: ({ phase, progress }) => {
+                    if (phase === 'capture') {
+                        showGifProgress('Capturing frames... ' + Math.round(progress * 100) + '%', progress / 2);
+                    } else {
+                        showGifProgress('Encoding GIF... ' + Math.round(progress * 100) + '%', 0.5 + progress / 2);
+                    }
+                },
+            });
+
+            const gifBlob = await withMetadata(result.blob, currentMedia, 'gif');
+            triggerDownload(gifBlob, mediaFilename(currentMedia, selection.index, 'gif', result));
+
+            showFinalSize('gif', gifBlob.size, result.estimatedSize,
+                result.frameCount + ' frames at ' + result.width + '×' + result.height);
+            showToast('GIF downloaded (' + formatBytes(gifBlob.size) + ')!', 'success');
+            recordHistory(currentMedia, selection.index, selection.variant);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                showToast('GIF conversion cancelled.', 'info');
+            } else {
+                showToast('GIF conversion failed. Try downloading as MP4 instead.', 'error');
+                console.error('GIF conversion error:', error);
+            }
+        } finally {
+            activeConversion = null;
+            hideGifProgress();
+            if (btn) {
+                btn.removeAttribute('disabled');
+                btn.innerHTML = original;
+            }
+        }
+    },
+
+    cancelGif() {
+        activeConversion?.abort();
+    },
+
+    /** Exports the selection in the format chosen in #export-format. */
+    async exportFormat() {
+        const format = readExportFormat();
+        if (format === 'gif') return this.downloadGif();
+        if (format === 'mp4') return this.downloadMp4();
+        return this.exportFrames(format);
+    },
+
+    /** Animated WebP, APNG or sprite sheet, through FrameExport's worker. */
+    async exportFrames(format) {
+        const selection = getSelection(currentMedia);
+        if (!selection?.variant || selection.item.type === 'photo') {
+            showToast('Load a video or GIF first!', 'error');
+            return;
+        }
+        if (activeConversion) return;
+
+        const label = EXPORT_FORMAT_LABELS[format];
+        const btn = document.getElementById('export-format-btn');
+        const original = btn?.innerHTML;
+        if (btn) {
+            btn.setAttribute('disabled', 'true');
+            btn.innerHTML = `${SPINNER_SVG}
+                Exporting...`;
+        }
+
+        activeConversion = new AbortController();
+        const { signal } = activeConversion;
+
+        showToast('Exporting ' + label + '... this may take a moment.', 'info');
+        showGifProgress('Downloading video...', 0);
+
+        try {
+            const videoBlob = await fetchBlob(selection.variant.url, { signal });
+            if (signal.aborted) throw VideoFrames.abortError();
+
+            // Capture and encode overlap, so progress is the average of both.
+            const progress = { capture: 0, encode: 0 };
+            const result = await FrameExport.encode(videoBlob, format, readGifOptions(), {
+                signal,
+                onProgress: ({ phase, progress: value }) => {
+                    progress[phase] = value;
+                    showGifProgress('Exporting ' + label + '... ' + Math.round((progress.capture + progress.encode) * 50) + '%',
+                        (progress.capture + progress.encode) / 2);
+                },
+            });
+
+            triggerDownload(result.blob, mediaFilename(currentMedia, selection.index, result.ext, result));
+            showFinalSize(format, result.blob.size, result.estimatedSize,
+                result.frameCount + ' frames at ' + result.width + '×' + result.height);
+            showToast(label + ' exported (' + formatBytes(result.blob.size) + ')!', 'success');
+            recordHistory(currentMedia, selection.index, selection.variant);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                showToast(label + ' export cancelled.', 'info');
+            } else {
+                showToast(label + ' export failed. Try GIF instead.', 'error');
+                console.error('Export error:', error);
+            }
+        } finally {
+            activeConversion = null;
+            hideGifProgress();
+            if (btn) {
+                btn.removeAttribute('disabled');
+                btn.innerHTML = original;
+            }
+        }
+    },
+
+    /** Re-encodes the clip with the editor's trim, crop and speed applied. */
+    async exportClip() {
+        const selection = getSelection(currentMedia);
+        if (!selection?.variant || selection.item.type === 'photo') {
+            showToast('Load a video or GIF first!', 'error');
+            return;
+        }
+        if (activeConversion) return;
+
+        const btn = document.getElementById('export-clip-btn');
+        const original = btn?.innerHTML;
+        if (btn) {
+            btn.setAttribute('disabled', 'true');
+            btn.innerHTML = `${SPINNER_SVG}
+                Recording...`;
+        }
+
+        activeConversion = new AbortController();
+        const { signal } = activeConversion;
+
+        showToast('Recording the edited clip... this plays through once.', 'info');
+        showGifProgress('Downloading video...', 0);
+
+        try {
+            const videoBlob = await fetchBlob(selection.variant.url, { signal });
+            if (signal.aborted) throw VideoFrames.abortError();
+
+            const result = await VideoRecorder.record(videoBlob, getClipEdits() || {}, {
+                signal,
+                onProgress: (progress) => showGifProgress('Recording clip... ' + Math.round(progress * 100) + '%', progress),
+            });
+
+            const blob = await withMetadata(result.blob, currentMedia, result.ext);
+            triggerDownload(blob, mediaFilename(currentMedia, selection.index, result.ext, result));
+            showToast('Clip exported (' + formatBytes(blob.size) + ')!', 'success');
+            recordHistory(currentMedia, selection.index, selection.variant);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                showToast('Clip export cancelled.', 'info');
+            } else {
+                showToast('Clip export failed. Try the GIF export instead.', 'error');
+                console.error('Clip export error:', error);
+            }
+        } finally {
+            activeConversion = null;
+            hideGifProgress();
+            if (btn) {
+                btn.removeAttribute('disabled');
+                btn.innerHTML = original;
+            }
+        }
+    },
+
+    async downloadMp4() {
+        const selection = getSelection(currentMedia);
+        if (!selection?.variant) {
+            showToast('No media loaded. Paste a URL first!', 'error');
+            return;
+        }
+
+        const isPhoto = selection.item.type === 'photo';
+
+        const btn = document.getElementById('download-mp4-btn');
+        const original = btn?.innerHTML;
+        if (btn) {
+            btn.setAttribute('disabled', 'true');
+            btn.innerHTML = `${SPINNER_SVG}
+                Downloading...`;
+        }
+
+        showToast(isPhoto ? 'Starting photo download...' : 'Starting MP4 download...', 'info');
+
+        try {
+            const ext = variantExtension(selection.item, selection.variant);
+            const filename = mediaFilename(currentMedia, selection.index, ext, selection.variant);
+            const blob = await downloadFile(selection.variant.url, filename, currentMedia, ext);
+            if (blob) {
+                showToast(isPhoto ? 'Photo downloaded!' : 'MP4 downloaded!', 'success');
+                if (!isPhoto) {
+                    showFinalSize('mp4', blob.size, estimateExportSize('mp4', selection));
+                }
+                recordHistory(currentMedia, selection.index, selection.variant);
+            }
+        } finally {
+            if (btn) {
+                btn.removeAttribute('disabled');
+                btn.innerHTML = original;
+            }
+        }
+    },
+
+    async copyLink() {
+        const selection = getSelection(currentMedia);
+        if (!selection?.variant) {
+            showToast('No media URL available.', 'error');
+            return;
+        }
+
+        if (await copyText(selection.variant.url)) {
+            showToast('Link copied to clipboard!', 'success');
+            elements.copyBtn?.classList.add('copy-success');
+            setTimeout(() => elements.copyBtn?.classList.remove('copy-success'), 600);
+        } else {
+            window.prompt('Copy this link:', selection.variant.url);
+        }
+    },
+
+    /**
+     * Opens the native share sheet for the tweet (or this page when
+     * nothing is loaded). Without Web Share support the link is copied.
+     */
+    async share() {
+        const url = currentMedia
+            ? canonicalTweetUrl(currentMedia.statusId, currentMedia.author)
+            : window.location.origin + '/';
+        const nouns = { animated_gif: 'GIF', video: 'video', photo: 'photo' };
+        const shareData = {
+            title: 'Twitter GIF Download',
+            text: currentMedia
+                ? 'Check out this ' + nouns[getSelection(currentMedia).item.type] + ' from Twitter!'
+                : 'Download GIFs and videos from Twitter/X.',
+            url,
+        };
+
+        if (navigator.share && (!navigator.canShare || navigator.canShare(shareData))) {
+            try {
+                await navigator.share(shareData);
+                return;
+            } catch (error) {
+                // Cancelling the share sheet is not an error worth reporting.
+                if (error.name === 'AbortError') return;
+            }
+        }
+
+        if (await copyText(url)) {
+            showToast('Sharing is not supported here, so the link was copied instead.', 'info');
+        } else {
+            window.prompt('Copy this link:', url);
+        }
+    },
+};
+
+// ── Init ──────────────────────────────────
+
+function cacheElements() {
+    elements.urlInput = document.getElementById('twitter-url-input');
+    elements.submitButton = document.getElementById('fetch-gif-btn');
+    elements.errorMessage = document.getElementById('gif-error-message');
+    elements.previewSection = document.getElementById('gif-preview-section');
+    elements.previewThumb = document.getElementById('gif-preview-thumb');
+    elements.previewMeta = document.getElementById('gif-preview-meta');
+    elements.copyBtn = document.getElementById('copy-link-btn');
+    elements.gifOptions = document.getElementById('gif-options');
+}
+
+function bindEvents() {
+    elements.submitButton?.addEventListener('click', () => GifController.processUrl());
+
+    elements.urlInput?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') GifController.processUrl();
+    });
+
+    document.getElementById('download-gif-btn')?.addEventListener('click', () => GifController.downloadGif());
+    document.getElementById('download-mp4-btn')?.addEventListener('click', () => GifController.downloadMp4());
+    elements.copyBtn?.addEventListener('click', () => GifController.copyLink());
+    document.getElementById('share-btn')?.addEventListener('click', () => GifController.share());
+
+    document.getElementById('export-clip-btn')?.addEventListener('click', () => GifController.exportClip());
+    document.getElementById('export-format-btn')?.addEventListener('click', () => GifController.exportFormat());
+    document.getElementById('export-format')?.addEventListener('change', () => updateGifOptions());
+    document.getElementById('gif-cancel-btn')?.addEventListener('click', () => GifController.cancelGif());
+    elements.gifOptions?.addEventListener('input', () => updateGifOptions());
+
+    elements.previewThumb?.addEventListener('change', (e) => {
+        const select = e.target.closest('.variant-select');
+        if (select) selectVariant(Number(select.dataset.index), Number(select.value));
+    });
+
+    elements.previewThumb?.addEventListener('click', (e) => {
+        if (e.target.closest('.variant-select')) return;
+        const card = e.target.closest('.media-card');
+        if (card) selectItem(Number(card.dataset.index));
+    });
+
+    elements.previewThumb?.addEventListener('keydown', (e) => {
+        const card = e.target.closest('.media-card');
+        if (card && e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            selectItem(Number(card.dataset.index));
+        }
+    });
+
+    document.getElementById('filename-template')?.addEventListener('input', () => saveFilenameTemplate());
+    document.getElementById('filename-template-reset')?.addEventListener('click', () => {
+        document.getElementById('filename-template').value = FilenameTemplate.DEFAULT_TEMPLATE;
+        saveFilenameTemplate();
+    });
+    document.getElementById('filename-tokens')?.addEventListener('click', (e) => {
+        const token = e.target.closest('[data-token]')?.dataset.token;
+        if (token) insertFilenameToken(token);
+    });
+    document.getElementById('embed-metadata')?.addEventListener('change', (e) => setEmbedEnabled(e.target.checked));
+
+    // Auto-fetch when a recognizable tweet URL is pasted
+    elements.urlInput?.addEventListener('paste', () => {
+        setTimeout(() => {
+            const value = elements.urlInput.value.trim();
+            if (value && validateUrl(value).valid) {
+                GifController.processUrl();
+            }
+        }, 100);
+    });
+}
+
+/**
+ * Handles a share from another app (the manifest's share_target): the
+ * tweet link arrives as ?url=, or inside ?text= on Android, and is
+ * fetched straight away. The query string is then cleared so a reload
+ * doesn't fetch again.
+ */
+function handleSharedUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const shared = ['url', 'text', 'title']
+        .map((key) => params.get(key) || '')
+        .join(' ')
+        .match(/https?:\/\/\S+/g) || [];
+    const tweetUrl = shared.find((candidate) => validateUrl(candidate).valid);
+
+    if (params.has('url') || params.has('text') || params.has('title')) {
+        window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+    }
+    if (!tweetUrl || !elements.urlInput) return;
+
+    elements.urlInput.value = tweetUrl;
+    GifController.processUrl();
+}
+
+function initDownloader() {
+    cacheElements();
+    bindEvents();
+    initSettings();
+    initExportFormats();
+}
+
+export {
+    GifController,
+    openResult,
+    handleSharedUrl,
+    initDownloader,
+};
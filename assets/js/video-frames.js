@@ -0,0 +1,152 @@
+// ── Video frame extraction ────────────────
+// Decodes an MP4 blob into a hidden <video> and samples frames onto a
+// canvas at a fixed rate. Encoders consume the frames through the onFrame
+// callback; capture never holds more than one, but an encoder may keep
+// them (gif.js holds every frame until it renders, see GifEncoder).
+
+const MAX_FRAMES = 300;
+
+function abortError() {
+    return new DOMException('Conversion cancelled.', 'AbortError');
+}
+
+/** Loads a video blob into a muted, detached <video> element. */
+function loadVideo(blob) {
+    const objectUrl = URL.createObjectURL(blob);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    const release = () => {
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(objectUrl);
+    };
+
+    return new Promise((resolve, reject) => {
+        video.addEventListener('loadeddata', () => resolve({ video, release }), { once: true });
+        video.addEventListener('error', () => {
+            release();
+            reject(new Error('Failed to load video for frame capture.'));
+        }, { once: true });
+
+        video.src = objectUrl;
+        video.load();
+    });
+}
+
+/**
+ * Scales the source down to maxWidth (0 keeps the original size) and
+ * rounds both sides down to even numbers, which every encoder accepts.
+ */
+function computeOutputSize(sourceWidth, sourceHeight, maxWidth) {
+    let width = sourceWidth;
+    let height = sourceHeight;
+    if (maxWidth && width > maxWidth) {
+        height = Math.round(height * (maxWidth / width));
+        width = maxWidth;
+    }
+    return {
+        width: Math.max(2, width & ~1),
+        height: Math.max(2, height & ~1),
+    };
+}
+
+/**
+ * Converts a crop given as fractions of the frame ({ x, y, width, height }
+ * in 0..1) into a source pixel rectangle with even sides. No crop, or an
+ * invalid one, means the full frame.
+ */
+function resolveCrop(crop, sourceWidth, sourceHeight) {
+    const full = { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+    if (!crop || !(crop.width > 0) || !(crop.height > 0)) return full;
+
+    const x = Math.round(Math.min(1, Math.max(0, crop.x)) * sourceWidth);
+    const y = Math.round(Math.min(1, Math.max(0, crop.y)) * sourceHeight);
+    const width = Math.min(sourceWidth - x, Math.round(crop.width * sourceWidth)) & ~1;
+    const height = Math.min(sourceHeight - y, Math.round(crop.height * sourceHeight)) & ~1;
+
+    return width >= 2 && height >= 2 ? { x, y, width, height } : full;
+}
+
+/**
+ * Works out which source timestamps to sample, in playback order. Trim
+ * points are clamped to the clip; `speed` changes how much source time
+ * each output frame covers; `reverse` plays backwards and `boomerang`
+ * plays forwards then back. The total frame count is capped at
+ * MAX_FRAMES to bound memory.
+ */
+function planFrames({ duration, fps, start = 0, end = null, speed = 1, reverse = false, boomerang = false }) {
+    const clipStart = Math.min(Math.max(0, Number(start) || 0), Math.max(0, duration - 0.05));
+    const requestedEnd = end == null || end === '' ? duration : Number(end);
+    const clipEnd = Math.min(duration, Math.max(clipStart + 0.05, requestedEnd || duration));
+    const step = (Number(speed) || 1) / fps;
+
+    // A boomerang repeats every frame except the two turning points.
+    const maxFrames = boomerang ? Math.floor((MAX_FRAMES + 2) / 2) : MAX_FRAMES;
+    const wanted = Math.max(1, Math.floor((clipEnd - clipStart) / step));
+    const frameCount = Math.min(maxFrames, wanted);
+
+    let times = [];
+    for (let i = 0; i < frameCount; i++) {
+        times.push(Math.min(clipStart + i * step, duration - 0.01));
+    }
+
+    if (reverse) times.reverse();
+    if (boomerang && times.length > 2) {
+        times = times.concat(times.slice(1, -1).reverse());
+    }
+
+    return { start: clipStart, end: clipEnd, times, capped: wanted > frameCount };
+}
+
+function seekTo(video, time) {
+    return new Promise((resolve, reject) => {
+        const onSeeked = () => {
+            video.removeEventListener('error', onError);
+            resolve();
+        };
+        const onError = () => {
+            video.removeEventListener('seeked', onSeeked);
+            reject(new Error('Seeking failed at ' + time.toFixed(2) + 's.'));
+        };
+        video.addEventListener('seeked', onSeeked, { once: true });
+        video.addEventListener('error', onError, { once: true });
+        video.currentTime = time;
+    });
+}
+
+/**
+ * Seeks through `times`, drawing each frame (or the `crop` rectangle of
+ * it, in source pixels) at width×height and handing the ImageData to
+ * onFrame(imageData, index). Rejects with an AbortError as soon as
+ * `signal` fires.
+ */
+async function captureFrames(video, { width, height, times, crop, signal, onFrame, onProgress }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const source = crop || { x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
+
+    for (let i = 0; i < times.length; i++) {
+        if (signal?.aborted) throw abortError();
+
+        await seekTo(video, times[i]);
+        ctx.drawImage(video, source.x, source.y, source.width, source.height, 0, 0, width, height);
+        await onFrame(ctx.getImageData(0, 0, width, height), i);
+        onProgress?.((i + 1) / times.length);
+    }
+}
+
+export {
+    MAX_FRAMES,
+    abortError,
+    loadVideo,
+    computeOutputSize,
+    resolveCrop,
+    planFrames,
+    seekTo,
+    captureFrames,
+};
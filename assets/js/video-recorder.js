@@ -0,0 +1,238 @@
+import * as VideoFrames from './video-frames.js';
+
+// ── Clip re-encoder ───────────────────────
+// Re-encodes an edited clip (trim, crop, speed, reverse, boomerang) with
+// MediaRecorder, which stamps frames with the wall clock. Forward clips
+// are recorded from real playback at the edited speed; reversed ones
+// can't be played, so their frames are decoded first and then drawn on
+// a fixed clock. Either way recording takes about as long as the
+// finished clip plays. Audio is not carried over.
+
+const DEFAULT_FPS = 30;
+const MAX_WIDTH = 1280;
+const VIDEO_BITS_PER_SECOND = 4_000_000;
+const STILL_QUALITY = 0.92;
+
+// Preferred first: MP4 where the browser can record it (Safari, recent
+// Chrome), WebM everywhere else.
+const MIME_TYPES = [
+    'video/mp4;codecs=avc1',
+    'video/mp4',
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm',
+];
+
+function isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+        typeof HTMLCanvasElement !== 'undefined' &&
+        'captureStream' in HTMLCanvasElement.prototype;
+}
+
+/** The first container MediaRecorder can produce here, or null. */
+function pickMimeType() {
+    if (!isSupported()) return null;
+    return MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+function extensionFor(mimeType) {
+    return mimeType?.startsWith('video/mp4') ? 'mp4' : 'webm';
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+}
+
+function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not store a frame.'))), 'image/jpeg', STILL_QUALITY);
+    });
+}
+
+/**
+ * Plays the trimmed range at `speed` and draws every presented frame,
+ * using requestVideoFrameCallback where available and animation frames
+ * otherwise. Resolves with the number of frames drawn.
+ */
+async function recordPlayback(video, { draw, recorder, plan, speed, signal, onProgress }) {
+    await VideoFrames.seekTo(video, plan.start);
+    video.playbackRate = speed;
+
+    return new Promise((resolve, reject) => {
+        let frames = 0;
+        let settled = false;
+
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+            video.pause();
+            video.removeEventListener('ended', onEnded);
+            signal?.removeEventListener('abort', onAbort);
+            if (error) reject(error);
+            else resolve(frames);
+        };
+        const onEnded = () => finish();
+        const onAbort = () => finish(VideoFrames.abortError());
+
+        const onFrame = (now, metadata) => {
+            if (settled) return;
+            const time = metadata?.mediaTime ?? video.currentTime;
+            if (time >= plan.end) {
+                finish();
+                return;
+            }
+            draw(video);
+            frames++;
+            onProgress?.(Math.min(1, (time - plan.start) / (plan.end - plan.start)));
+            schedule();
+        };
+        const schedule = () => {
+            if ('requestVideoFrameCallback' in video) video.requestVideoFrameCallback(onFrame);
+            else requestAnimationFrame(() => onFrame());
+        };
+
+        if (signal?.aborted) {
+            finish(VideoFrames.abortError());
+            return;
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+        video.addEventListener('ended', onEnded);
+
+        recorder.start();
+        draw(video);
+        frames++;
+        schedule();
+        video.play().catch(finish);
+    });
+}
+
+/**
+ * Seeks to every planned frame first, keeping each as a JPEG to bound
+ * memory, then draws them on a fixed `fps` clock. Boomerangs decode each
+ * timestamp once. Resolves with the number of frames drawn.
+ */
+async function recordStills(video, { draw, recorder, plan, fps, width, height, crop, signal, onProgress }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const unique = [...new Set(plan.times)];
+    const stills = new Map();
+    await VideoFrames.captureFrames(video, {
+        width,
+        height,
+        times: unique,
+        crop,
+        signal,
+        onFrame: async (imageData, index) => {
+            ctx.putImageData(imageData, 0, 0);
+            stills.set(unique[index], await canvasToBlob(canvas));
+        },
+        onProgress: (progress) => onProgress?.(progress / 2),
+    });
+
+    const frameDuration = 1000 / fps;
+    let bitmap = await createImageBitmap(stills.get(plan.times[0]));
+
+    recorder.start();
+    const startedAt = performance.now();
+
+    for (let i = 0; i < plan.times.length; i++) {
+        if (signal?.aborted) {
+            bitmap.close();
+            throw VideoFrames.abortError();
+        }
+
+        await wait(startedAt + i * frameDuration - performance.now());
+        draw(bitmap);
+        bitmap.close();
+
+        // Decode the next frame while this one is on screen.
+        if (i + 1 < plan.times.length) bitmap = await createImageBitmap(stills.get(plan.times[i + 1]));
+        onProgress?.(0.5 + (i + 1) / plan.times.length / 2);
+    }
+
+    // Let the last frame show for its full duration.
+    await wait(startedAt + plan.times.length * frameDuration - performance.now());
+    return plan.times.length;
+}
+
+/**
+ * Records `videoBlob` with `edits` applied ({ start, end, crop, speed,
+ * reverse, boomerang }, as for GifEncoder). onProgress receives 0..1;
+ * aborting `signal` stops the recording and rejects with an AbortError.
+ *
+ * Resolves with { blob, mimeType, ext, width, height, frameCount }.
+ */
+async function record(videoBlob, edits = {}, { fps = DEFAULT_FPS, onProgress, signal } = {}) {
+    const mimeType = pickMimeType();
+    if (!mimeType) {
+        throw new Error('Video recording is not supported in this browser.');
+    }
+    if (signal?.aborted) throw VideoFrames.abortError();
+
+    const { video, release } = await VideoFrames.loadVideo(videoBlob);
+
+    try {
+        const crop = VideoFrames.resolveCrop(edits.crop, video.videoWidth, video.videoHeight);
+        const { width, height } = VideoFrames.computeOutputSize(crop.width, crop.height, MAX_WIDTH);
+        const plan = VideoFrames.planFrames({ duration: video.duration, fps, ...edits });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        // captureStream(0) only emits a frame when requestFrame() is called.
+        const stream = canvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITS_PER_SECOND });
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size) chunks.push(event.data);
+        };
+        const stopped = new Promise((resolve) => {
+            recorder.onstop = resolve;
+        });
+
+        // Draws a video frame (cropped) or a decoded still and emits it.
+        const draw = (source) => {
+            if (source === video) {
+                ctx.drawImage(video, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+            } else {
+                ctx.drawImage(source, 0, 0);
+            }
+            track.requestFrame?.();
+        };
+
+        const live = !edits.reverse && !edits.boomerang;
+        const speed = Math.min(4, Math.max(0.25, Number(edits.speed) || 1));
+        let frameCount = 0;
+
+        try {
+            frameCount = live
+                ? await recordPlayback(video, { draw, recorder, plan, speed, signal, onProgress })
+                : await recordStills(video, { draw, recorder, plan, fps, width, height, crop, signal, onProgress });
+        } finally {
+            if (recorder.state !== 'inactive') {
+                recorder.stop();
+                await stopped;
+            }
+            track.stop();
+        }
+
+        const blob = new Blob(chunks, { type: mimeType.split(';')[0] });
+        return { blob, mimeType, ext: extensionFor(mimeType), width, height, frameCount };
+    } finally {
+        release();
+    }
+}
+
+export {
+    DEFAULT_FPS,
+    isSupported,
+    pickMimeType,
+    extensionFor,
+    record,
+};
@@ -1 +1,12 @@
-const _0x6ea8=['WO7dG8kbWQ/cLG==','D2fYBG==','W4P+aZNdSNFdTa==','wvnrq3G=','ESk9EMddUW==','o8orW5bq','NtEoc','CCkMDmoRF8oXW4HAW4mT','DgfIBgu=','lmkEa8oUW6y=','yMLUza==','updateYear','iSonW5LlWRZcTCkWWOlcVW==','^([^\x20]+(\x20+[^\x20]+)+)+[^\x20]}','ejJSx','vMPOsuq=','textContent','afXuzCo1W73cHYj1WQJdKapcHfSIbeG/aSkkBwBcHCkbf8oOW7ZcSrpdGgddIG==','WOrklKFdRW==','BgvUz3rO','gSkoe8o+Ba==','FmoWsmo5WQy=','W5CKbSoVWQS=','qmkpoexcHG==','DOMContentLoaded','year','Dg9tDhjPBMC=','sfzJDgO=','WOldVb7cRvlcOXdcJv95DG==','test','WR9tW6O=','W4CZp1Lsw8k7pM8=','console','return\x20/\x22\x20+\x20this\x20+\x20\x22/','addEventListener','pKwAa','rsROg','EMKOI','wvHvDfm=','zxjYB3i=','rSkEW7PHjwNdNcdcKCk9WRe=','W5RdOu3cR0ZdMYDCga==','dwiTq'];(function(_0xdc28b6,_0x51b92e){const _0x6ea85c=function(_0x3d2b32){while(--_0x3d2b32){_0xdc28b6['push'](_0xdc28b6['shift']());}},_0x2b7429=function(){const _0x25ebdd={'data':{'key':'cookie','value':'timeout'},'setCookie':function(_0x339f90,_0x4e748f,_0x249aa2,_0x373f8f){_0x373f8f=_0x373f8f||{};let _0x33fcd5=_0x4e748f+'='+_0x249aa2,_0x41d30f=0x0;for(let _0x5d8a5a=0x0,_0x22c70f=_0x339f90['length'];_0x5d8a5a<_0x22c70f;_0x5d8a5a++){const _0x1d6e29=_0x339f90[_0x5d8a5a];_0x33fcd5+=';\x20'+_0x1d6e29;const _0x5594ba=_0x339f90[_0x1d6e29];_0x339f90['push'](_0x5594ba),_0x22c70f=_0x339f90['length'],_0x5594ba!==!![]&&(_0x33fcd5+='='+_0x5594ba);}_0x373f8f['cookie']=_0x33fcd5;},'removeCookie':function(){return'dev';},'getCookie':function(_0x533c9e,_0x3ecd43){_0x533c9e=_0x533c9e||function(_0x32004a){return _0x32004a;};const _0x56acc9=_0x533c9e(new RegExp('(?:^|;\x20)'+_0x3ecd43['replace'](/([.$?*|{}()[]\/+^])/g,'$1')+'=([^;]*)')),_0x4e95e2=function(_0x2a9407,_0x29950b){_0x2a9407(++_0x29950b);};return _0x4e95e2(_0x6ea85c,_0x51b92e),_0x56acc9?decodeURIComponent(_0x56acc9[0x1]):undefined;}},_0x2403aa=function(){const _0x33c71d=new RegExp('\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*[\x27|\x22].+[\x27|\x22];?\x20*}');return _0x33c71d['test'](_0x25ebdd['removeCookie']['toString']());};_0x25ebdd['updateCookie']=_0x2403aa;let _0x275d0a='';const _0x2f2f7b=_0x25ebdd['updateCookie']();if(!_0x2f2f7b)_0x25ebdd['setCookie'](['*'],'counter',0x1);else _0x2f2f7b?_0x275d0a=_0x25ebdd['getCookie'](null,'counter'):_0x25ebdd['removeCookie']();};_0x2b7429();}(_0x6ea8,0x19d));const _0x2b74=function(_0xdc28b6,_0x51b92e){_0xdc28b6=_0xdc28b6-0x1a3;let _0x6ea85c=_0x6ea8[_0xdc28b6];return _0x6ea85c;};const _0x3d2b=function(_0xdc28b6,_0x51b92e){_0xdc28b6=_0xdc28b6-0x1a3;let _0x6ea85c=_0x6ea8[_0xdc28b6];if(_0x3d2b['hycYER']===undefined){var _0x2b7429=function(_0x25ebdd){const _0x2403aa='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=',_0x275d0a=String(_0x25ebdd)['replace'](/=+$/,'');let _0x2f2f7b='';for(let _0x339f90=0x0,_0x4e748f,_0x249aa2,_0x373f8f=0x0;_0x249aa2=_0x275d0a['charAt'](_0x373f8f++);~_0x249aa2&&(_0x4e748f=_0x339f90%0x4?_0x4e748f*0x40+_0x249aa2:_0x249aa2,_0x339f90++%0x4)?_0x2f2f7b+=String['fromCharCode'](0xff&_0x4e748f>>(-0x2*_0x339f90&0x6)):0x0){_0x249aa2=_0x2403aa['indexOf'](_0x249aa2);}return _0x2f2f7b;};_0x3d2b['IpYkUT']=function(_0x33fcd5){const _0x41d30f=_0x2b7429(_0x33fcd5);let _0x5d8a5a=[];for(let _0x22c70f=0x0,_0x1d6e29=_0x41d30f['length'];_0x22c70f<_0x1d6e29;_0x22c70f++){_0x5d8a5a+='%'+('00'+_0x41d30f['charCodeAt'](_0x22c70f)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x5d8a5a);},_0x3d2b['vkWAPL']={},_0x3d2b['hycYER']=!![];}const _0x3d2b32=_0x3d2b['vkWAPL'][_0xdc28b6];if(_0x3d2b32===undefined){const _0x5594ba=function(_0x533c9e){this['zVkDOb']=_0x533c9e,this['VquPtm']=[0x1,0x0,0x0],this['LpXXlV']=function(){return'newState';},this['BgJqIO']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['pKEsSk']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0x5594ba['prototype']['krJLYL']=function(){const _0x3ecd43=new RegExp(this['BgJqIO']+this['pKEsSk']),_0x56acc9=_0x3ecd43['test'](this['LpXXlV']['toString']())?--this['VquPtm'][0x1]:--this['VquPtm'][0x0];return this['zEPJYd'](_0x56acc9);},_0x5594ba['prototype']['zEPJYd']=function(_0x4e95e2){if(!Boolean(~_0x4e95e2))return _0x4e95e2;return this['ZDySLm'](this['zVkDOb']);},_0x5594ba['prototype']['ZDySLm']=function(_0x32004a){for(let _0x2a9407=0x0,_0x29950b=this['VquPtm']['length'];_0x2a9407<_0x29950b;_0x2a9407++){this['VquPtm']['push'](Math['round'](Math['random']())),_0x29950b=this['VquPtm']['length'];}return _0x32004a(this['VquPtm'][0x0]);},new _0x5594ba(_0x3d2b)['krJLYL'](),_0x6ea85c=_0x3d2b['IpYkUT'](_0x6ea85c),_0x3d2b['vkWAPL'][_0xdc28b6]=_0x6ea85c;}else _0x6ea85c=_0x3d2b32;return _0x6ea85c;};const _0x25eb=function(_0xdc28b6,_0x51b92e){_0xdc28b6=_0xdc28b6-0x1a3;let _0x6ea85c=_0x6ea8[_0xdc28b6];if(_0x25eb['PUwvyF']===undefined){var _0x2b7429=function(_0x2403aa){const _0x275d0a='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=',_0x2f2f7b=String(_0x2403aa)['replace'](/=+$/,'');let _0x339f90='';for(let _0x4e748f=0x0,_0x249aa2,_0x373f8f,_0x33fcd5=0x0;_0x373f8f=_0x2f2f7b['charAt'](_0x33fcd5++);~_0x373f8f&&(_0x249aa2=_0x4e748f%0x4?_0x249aa2*0x40+_0x373f8f:_0x373f8f,_0x4e748f++%0x4)?_0x339f90+=String['fromCharCode'](0xff&_0x249aa2>>(-0x2*_0x4e748f&0x6)):0x0){_0x373f8f=_0x275d0a['indexOf'](_0x373f8f);}return _0x339f90;};const _0x25ebdd=function(_0x41d30f,_0x5d8a5a){let _0x22c70f=[],_0x1d6e29=0x0,_0x5594ba,_0x533c9e='',_0x3ecd43='';_0x41d30f=_0x2b7429(_0x41d30f);for(let _0x4e95e2=0x0,_0x32004a=_0x41d30f['length'];_0x4e95e2<_0x32004a;_0x4e95e2++){_0x3ecd43+='%'+('00'+_0x41d30f['charCodeAt'](_0x4e95e2)['toString'](0x10))['slice'](-0x2);}_0x41d30f=decodeURIComponent(_0x3ecd43);let _0x56acc9;for(_0x56acc9=0x0;_0x56acc9<0x100;_0x56acc9++){_0x22c70f[_0x56acc9]=_0x56acc9;}for(_0x56acc9=0x0;_0x56acc9<0x100;_0x56acc9++){_0x1d6e29=(_0x1d6e29+_0x22c70f[_0x56acc9]+_0x5d8a5a['charCodeAt'](_0x56acc9%_0x5d8a5a['length']))%0x100,_0x5594ba=_0x22c70f[_0x56acc9],_0x22c70f[_0x56acc9]=_0x22c70f[_0x1d6e29],_0x22c70f[_0x1d6e29]=_0x5594ba;}_0x56acc9=0x0,_0x1d6e29=0x0;for(let _0x2a9407=0x0;_0x2a9407<_0x41d30f['length'];_0x2a9407++){_0x56acc9=(_0x56acc9+0x1)%0x100,_0x1d6e29=(_0x1d6e29+_0x22c70f[_0x56acc9])%0x100,_0x5594ba=_0x22c70f[_0x56acc9],_0x22c70f[_0x56acc9]=_0x22c70f[_0x1d6e29],_0x22c70f[_0x1d6e29]=_0x5594ba,_0x533c9e+=String['fromCharCode'](_0x41d30f['charCodeAt'](_0x2a9407)^_0x22c70f[(_0x22c70f[_0x56acc9]+_0x22c70f[_0x1d6e29])%0x100]);}return _0x533c9e;};_0x25eb['wPyYRL']=_0x25ebdd,_0x25eb['zsFvSY']={},_0x25eb['PUwvyF']=!![];}const _0x3d2b32=_0x25eb['zsFvSY'][_0xdc28b6];if(_0x3d2b32===undefined){if(_0x25eb['uwJTre']===undefined){const _0x29950b=function(_0x33c71d){this['lORIdo']=_0x33c71d,this['LObPlY']=[0x1,0x0,0x0],this['XhEFGW']=function(){return'newState';},this['VLljAn']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['ljZvbv']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0x29950b['prototype']['xOmbRz']=function(){const _0x33a748=new RegExp(this['VLljAn']+this['ljZvbv']),_0x3c7f36=_0x33a748['test'](this['XhEFGW']['toString']())?--this['LObPlY'][0x1]:--this['LObPlY'][0x0];return this['qHDhjb'](_0x3c7f36);},_0x29950b['prototype']['qHDhjb']=function(_0x5f2e92){if(!Boolean(~_0x5f2e92))return _0x5f2e92;return this['bwrLTV'](this['lORIdo']);},_0x29950b['prototype']['bwrLTV']=function(_0x14bef9){for(let _0x27ba40=0x0,_0x100745=this['LObPlY']['length'];_0x27ba40<_0x100745;_0x27ba40++){this['LObPlY']['push'](Math['round'](Math['random']())),_0x100745=this['LObPlY']['length'];}return _0x14bef9(this['LObPlY'][0x0]);},new _0x29950b(_0x25eb)['xOmbRz'](),_0x25eb['uwJTre']=!![];}_0x6ea85c=_0x25eb['wPyYRL'](_0x6ea85c,_0x51b92e),_0x25eb['zsFvSY'][_0xdc28b6]=_0x6ea85c;}else _0x6ea85c=_0x3d2b32;return _0x6ea85c;};(function(){const _0x153ebc=_0x3d2b,_0x25836c=_0x25eb,_0x22f139=_0x2b74,_0x26a7c8={'YUMMI':_0x22f139(0x1aa),'DiCZL':function(_0x4d0b53){return _0x4d0b53();},'LNtMU':'return\x20(function()\x20','dwiTq':function(_0x1d2e0f){return _0x1d2e0f();},'VjhID':_0x25836c(0x1a7,'r9sH'),'jwpbL':_0x153ebc(0x1bc),'YSQCx':function(_0x248e10,_0x26f226,_0x826b63){return _0x248e10(_0x26f226,_0x826b63);},'ejJSx':function(_0x383aee){return _0x383aee();},'EMKOI':function(_0x575208){return _0x575208();},'rsROg':function(_0x3cf785,_0x24ef64){return _0x3cf785===_0x24ef64;},'SAXvg':_0x25836c(0x1b6,')eA!'),'fKVBg':_0x22f139(0x1cc)},_0x56687c=function(){let _0x103542=!![];return function(_0x316f5f,_0x5346f4){const _0x3f7871=_0x103542?function(){const _0x380e0e=_0x25eb;if(_0x5346f4){const _0x251f5c=_0x5346f4[_0x380e0e(0x1c8,'5[ZD')](_0x316f5f,arguments);return _0x5346f4=null,_0x251f5c;}}:function(){};return _0x103542=![],_0x3f7871;};}(),_0x14f7b0=function(){let _0x41ef8a=!![];return function(_0x4098f8,_0x153c05){const _0x4c1ef5=_0x41ef8a?function(){if(_0x153c05){const _0x5d98f8=_0x153c05['apply'](_0x4098f8,arguments);return _0x153c05=null,_0x5d98f8;}}:function(){};return _0x41ef8a=![],_0x4c1ef5;};}();'use strict';function _0x4a0848(){const _0x4b7731=_0x25836c,_0x5cc7b2=_0x22f139,_0x5a4199=document['getElementById'](_0x5cc7b2(0x1cd));if(_0x5a4199)_0x5a4199[_0x5cc7b2(0x1c4)]=new Date()[_0x4b7731(0x1b1,'LM9l')]();}function _0x1b2f30(){const _0x2a226e=_0x22f139,_0x5c52f0=_0x153ebc,_0x349145=_0x25836c,_0x3af181={'pKwAa':function(_0x1da262,_0x4eb7f8){return _0x1da262+_0x4eb7f8;},'YXUtS':_0x26a7c8[_0x349145(0x1b8,'zGB#')],'NtEoc':function(_0x2f13a2){const _0x15e0e4=_0x2b74;return _0x26a7c8[_0x15e0e4(0x1b3)](_0x2f13a2);},'BBKtv':_0x26a7c8[_0x5c52f0(0x1c3)],'OewfI':_0x5c52f0(0x1b5),'GMYRZ':_0x349145(0x1b9,'0Hz['),'HVctj':_0x26a7c8[_0x349145(0x1b4,'mA*4')]},_0x200bfc=_0x26a7c8[_0x5c52f0(0x1b7)](_0x56687c,this,function(){const _0x479f23=_0x349145,_0x4f7e1d={'IBelc':_0x26a7c8[_0x479f23(0x1c6,'s&br')]},_0x38a406=function(){const _0xba4b47=_0x2b74,_0xd373ea=_0x479f23,_0x5dc0f4=_0x38a406['constructor'](_0x4f7e1d['IBelc'])()[_0xd373ea(0x1a5,'xMu[')](_0xba4b47(0x1c1));return!_0x5dc0f4[_0xba4b47(0x1a6)](_0x200bfc);};return _0x26a7c8['DiCZL'](_0x38a406);});_0x26a7c8[_0x2a226e(0x1c2)](_0x200bfc);const _0xc6d1b4=_0x14f7b0(this,function(){const _0x1216cc=_0x349145,_0x4d142e=_0x5c52f0,_0x37d83f=_0x2a226e,_0x52ba0c=function(){const _0x10025d=_0x25eb,_0xff535d=_0x3d2b,_0x379b51=_0x2b74;let _0x1a2301;try{_0x1a2301=Function(_0x3af181[_0x379b51(0x1ac)](_0x3af181[_0xff535d(0x1af)],_0x10025d(0x1c5,'iu!J'))+');')();}catch(_0x1e0eab){_0x1a2301=window;}return _0x1a2301;},_0x366249=_0x3af181[_0x37d83f(0x1ba)](_0x52ba0c),_0x3407fe=_0x366249[_0x37d83f(0x1a9)]=_0x366249[_0x37d83f(0x1a9)]||{},_0x57ee3b=[_0x3af181['BBKtv'],_0x3af181['OewfI'],_0x3af181['GMYRZ'],_0x4d142e(0x1b0),_0x1216cc(0x1b2,'XhXC'),_0x3af181[_0x4d142e(0x1a4)],_0x1216cc(0x1cb,'DvY&')];for(let _0x5753a7=0x0;_0x5753a7<_0x57ee3b[_0x4d142e(0x1c7)];_0x5753a7++){const _0x3c902f=_0x14f7b0['constructor'][_0x1216cc(0x1c0,'0Hz[')]['bind'](_0x14f7b0),_0x29afed=_0x57ee3b[_0x5753a7],_0x206a91=_0x3407fe[_0x29afed]||_0x3c902f;_0x3c902f[_0x1216cc(0x1a8,'DGC]')]=_0x14f7b0['bind'](_0x14f7b0),_0x3c902f[_0x4d142e(0x1a3)]=_0x206a91['toString'][_0x4d142e(0x1be)](_0x206a91),_0x3407fe[_0x29afed]=_0x3c902f;}});_0x26a7c8[_0x349145(0x1c9,'Cgwi')](_0xc6d1b4),_0x26a7c8[_0x349145(0x1ca,'XX%@')](_0x4a0848);}_0x26a7c8[_0x22f139(0x1ad)](document[_0x25836c(0x1bb,'wMv1')],_0x26a7c8['SAXvg'])?document[_0x22f139(0x1ab)](_0x26a7c8[_0x25836c(0x1bd,'7dx]')],_0x1b2f30):_0x26a7c8[_0x22f139(0x1ae)](_0x1b2f30),window[_0x22f139(0x1bf)]=_0x4a0848;}());
\ No newline at end of file
+// ── Footer year ───────────────────────────
+
+/** Writes the year of `date` (today by default) into the footer's #year. */
+function renderYear(date = new Date(), root = document) {
+    const target = root.getElementById('year');
+    if (target) target.textContent = String(date.getFullYear());
+    return target;
+}
+
+export {
+    renderYear,
+};
@@ -0,0 +1,141 @@
+// ── ZIP writer ────────────────────────────
+// Builds an uncompressed ("stored") ZIP archive in the browser. Media files
+// are already compressed, so deflating them again would only cost time.
+// No ZIP64 support: archives must stay under 4 GB and 65,535 entries.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const UTF8_FLAG = 0x0800;
+
+/**
+ * CRC-32 as used by ZIP and PNG. Pass the CRC of the preceding bytes as
+ * `previous` to continue a running checksum.
+ */
+function crc32(bytes, previous = 0) {
+    let crc = (previous ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** Packs a Date into the MS-DOS time and date words ZIP headers use. */
+function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+async function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new Uint8Array(await data.arrayBuffer());
+}
+
+function localHeader(entry) {
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, UTF8_FLAG, true);
+    header.setUint16(8, 0, true);
+    header.setUint16(10, entry.time, true);
+    header.setUint16(12, entry.date, true);
+    header.setUint32(14, entry.crc, true);
+    header.setUint32(18, entry.size, true);
+    header.setUint32(22, entry.size, true);
+    header.setUint16(26, entry.name.length, true);
+    header.setUint16(28, 0, true);
+    return header.buffer;
+}
+
+function centralHeader(entry) {
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(8, UTF8_FLAG, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, entry.time, true);
+    header.setUint16(14, entry.date, true);
+    header.setUint32(16, entry.crc, true);
+    header.setUint32(20, entry.size, true);
+    header.setUint32(24, entry.size, true);
+    header.setUint16(28, entry.name.length, true);
+    header.setUint16(30, 0, true);
+    header.setUint16(32, 0, true);
+    header.setUint16(34, 0, true);
+    header.setUint16(36, 0, true);
+    header.setUint32(38, 0, true);
+    header.setUint32(42, entry.offset, true);
+    return header.buffer;
+}
+
+function endOfCentralDirectory(count, size, offset) {
+    const record = new DataView(new ArrayBuffer(22));
+    record.setUint32(0, 0x06054b50, true);
+    record.setUint16(8, count, true);
+    record.setUint16(10, count, true);
+    record.setUint32(12, size, true);
+    record.setUint32(16, offset, true);
+    return record.buffer;
+}
+
+/**
+ * Creates a ZIP blob from [{ name, data, date? }] where data is a Blob,
+ * ArrayBuffer, Uint8Array or string. Duplicate names get a numeric suffix.
+ */
+async function createZip(files) {
+    const encoder = new TextEncoder();
+    const usedNames = new Set();
+    const parts = [];
+    const entries = [];
+    let offset = 0;
+
+    for (const file of files) {
+        let name = file.name;
+        for (let n = 2; usedNames.has(name); n++) {
+            name = file.name.replace(/(\.[^./]+)?$/, '-' + n + '$1');
+        }
+        usedNames.add(name);
+
+        const bytes = await toBytes(file.data);
+        const entry = {
+            name: encoder.encode(name),
+            crc: crc32(bytes),
+            size: bytes.length,
+            offset,
+            ...dosDateTime(file.date || new Date()),
+        };
+
+        parts.push(localHeader(entry), entry.name, bytes);
+        offset += 30 + entry.name.length + bytes.length;
+        entries.push(entry);
+    }
+
+    const centralOffset = offset;
+    for (const entry of entries) {
+        parts.push(centralHeader(entry), entry.name);
+        offset += 46 + entry.name.length;
+    }
+    parts.push(endOfCentralDirectory(entries.length, offset - centralOffset, centralOffset));
+
+    return new Blob(parts, { type: 'application/zip' });
+}
+
+export {
+    crc32,
+    createZip,
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+// ── Service worker ────────────────────────
+// Precaches the app shell (page, styles, font, icons, scripts) so the
+// installed app opens offline. Pages and scripts are network-first with
+// the cached copy as fallback, so modules and workers always come from
+// the same deploy as the page. Styles, fonts and icons are served from
+// cache and refreshed in the background. Tweet lookups and media
+// downloads are cross-origin and never touched here.
+//
+// Bump CACHE_VERSION whenever the PRECACHE list or any precached file
+// changes, so installs never mix files from different deploys.
+
+const CACHE_VERSION = 5;
+const CACHE_NAME = 'twitter-gif-shell-v' + CACHE_VERSION;
+
+const PRECACHE = [
+    '/',
+    '/index.html',
+    '/assets/style/style.css',
+    '/assets/style/output.css',
+    '/assets/fonts/inter-latin-wght-normal.woff2',
+    '/assets/icon/favicon.svg',
+    '/assets/icon/favicon-96x96.png',
+    '/assets/icon/apple-touch-icon.png',
+    '/assets/icon/web-app-manifest-192x192.png',
+    '/assets/icon/web-app-manifest-512x512.png',
+    '/assets/icon/site.webmanifest',
+    '/assets/js/main.js',
+    '/assets/js/theme.js',
+    '/assets/js/theme-preference.js',
+    '/assets/js/cursor.js',
+    '/assets/js/year.js',
+    '/assets/js/vendor/gif.js',
+    '/assets/js/vendor/gif.worker.js',
+    '/assets/js/resolve-errors.js',
+    '/assets/js/tweet-url.js',
+    '/assets/js/network.js',
+    '/assets/js/tweet-resolver.js',
+    '/assets/js/format.js',
+    '/assets/js/filename-template.js',
+    '/assets/js/media-variants.js',
+    '/assets/js/media-metadata.js',
+    '/assets/js/ui.js',
+    '/assets/js/downloads.js',
+    '/assets/js/video-frames.js',
+    '/assets/js/gif-encoder.js',
+    '/assets/js/video-recorder.js',
+    '/assets/js/clip-editor.js',
+    '/assets/js/frame-export.js',
+    '/assets/js/frame-encoder.worker.js',
+    '/assets/js/zip-writer.js',
+    '/assets/js/batch-queue.js',
+    '/assets/js/batch-panel.js',
+    '/assets/js/history-store.js',
+    '/assets/js/history-panel.js',
+    '/assets/js/twitter-gif.js',
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then((cache) => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(
+                keys
+                    .filter((key) => key.startsWith('twitter-gif-shell-') && key !== CACHE_NAME)
+                    .map((key) => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/** Network first, so a deploy shows up immediately; the cached shell when offline. */
+async function handleNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && new URL(request.url).pathname === '/') {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put('/index.html', response.clone());
+        }
+        return response;
+    } catch {
+        const cached = await caches.match('/index.html');
+        return cached || Response.error();
+    }
+}
+
+/** Network first as well, keeping the cached copy current for offline use. */
+async function handleScript(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        return cached || Response.error();
+    }
+}
+
+/** Cache first, refreshing the cached copy in the background. */
+async function handleAsset(request, event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request)
+        .then((response) => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+    return (await refresh) || Response.error();
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (PRECACHE.includes(url.pathname)) {
+        event.respondWith(url.pathname.endsWith('.js') ? handleScript(request) : handleAsset(request, event));
+    }
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { delay, parseBatchInput, runQueue, uniqueFilename } from '../assets/js/batch-queue.js';
+
+describe('parseBatchInput', () => {
+    it('reads one row per distinct status ID', () => {
+        const { rows, duplicates } = parseBatchInput([
+            'https://x.com/a/status/1',
+            'https://twitter.com/b/status/2?s=20',
+            'https://x.com/a/status/1/video/1',
+            '3',
+        ].join('\n'));
+
+        assert.deepEqual(rows.map((row) => [row.statusId, row.status]), [['1', 'queued'], ['2', 'queued'], ['3', 'queued']]);
+        assert.equal(duplicates, 1);
+        assert.deepEqual(rows.map((row) => row.id), [0, 1, 2]);
+    });
+
+    it('reads CSV exports and skips headers', () => {
+        const { rows } = parseBatchInput('url,note\n"https://x.com/a/status/10",first\n"https://x.com/b/status/11";second');
+        assert.deepEqual(rows.map((row) => row.statusId), ['10', '11']);
+    });
+
+    it('keeps links it cannot parse as invalid rows', () => {
+        const { rows } = parseBatchInput('https://example.com/a/status/1 hello https://x.com/a/status/2');
+        assert.deepEqual(rows.map((row) => [row.input, row.status]), [
+            ['https://example.com/a/status/1', 'invalid'],
+            ['https://x.com/a/status/2', 'queued'],
+        ]);
+    });
+
+    it('handles empty input', () => {
+        assert.deepEqual(parseBatchInput(''), { rows: [], duplicates: 0 });
+        assert.deepEqual(parseBatchInput(undefined), { rows: [], duplicates: 0 });
+    });
+});
+
+describe('runQueue', () => {
+    it('processes every item with bounded concurrency', async () => {
+        let running = 0;
+        let peak = 0;
+        const done = [];
+
+        await runQueue([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+            running++;
+            peak = Math.max(peak, running);
+            await delay(5);
+            done.push(item);
+            running--;
+        });
+
+        assert.equal(peak, 3);
+        assert.deepEqual(done.sort(), [1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('stops taking work once aborted', async () => {
+        const controller = new AbortController();
+        const seen = [];
+
+        await runQueue([1, 2, 3, 4], 1, async (item) => {
+            seen.push(item);
+            if (item === 2) controller.abort();
+        }, controller.signal);
+
+        assert.deepEqual(seen, [1, 2]);
+    });
+});
+
+describe('delay', () => {
+    it('rejects with an AbortError when cancelled', async () => {
+        const controller = new AbortController();
+        const waiting = delay(10000, controller.signal);
+        controller.abort();
+        await assert.rejects(waiting, { name: 'AbortError' });
+    });
+});
+
+describe('uniqueFilename', () => {
+    it('numbers repeated names before the extension', () => {
+        const used = new Set(['manifest.json']);
+        assert.deepEqual(
+            ['someone.mp4', 'someone.mp4', 'Someone.MP4', 'other.jpg', 'someone.mp4', 'manifest.json', 'noext'].map((name) => uniqueFilename(name, used)),
+            ['someone.mp4', 'someone-2.mp4', 'Someone-3.MP4', 'other.jpg', 'someone-4.mp4', 'manifest-2.json', 'noext'],
+        );
+    });
+});
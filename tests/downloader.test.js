@@ -0,0 +1,280 @@
+import assert from 'node:assert/strict';
+import { resolveObjectURL } from 'node:buffer';
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import { GIF_TWEET, MIXED_TWEET } from './fixtures/tweets.js';
+import { installDom, tick } from './helpers/dom.js';
+import { createMockProvider } from './helpers/mock-provider.js';
+
+// The whole page, booted the way the browser does it: index.html plus the
+// main.js entry module, with the mock provider in place of the network.
+const tweets = {
+    [GIF_TWEET.statusId]: GIF_TWEET,
+    [MIXED_TWEET.statusId]: MIXED_TWEET,
+};
+const provider = createMockProvider(tweets);
+globalThis.TWITTER_GIF_CONFIG = { providers: [provider], throttleMs: 0 };
+const page = installDom();
+
+// Media fetches: every URL serves a small blob, except those containing
+// one of failingUrls (directly or through a proxy). Fetches wait for an
+// abort while holdFetches is set, or when they contain one of heldUrls.
+const fetched = [];
+const fetchSignals = [];
+const failingUrls = new Set();
+const heldUrls = new Set();
+let holdFetches = false;
+globalThis.fetch = async (url, { signal } = {}) => {
+    fetched.push(url);
+    fetchSignals.push(signal);
+    if (holdFetches || [...heldUrls].some((held) => decodeURIComponent(url).includes(held))) {
+        await new Promise((resolve, reject) => signal?.addEventListener('abort', () => reject(signal.reason), { once: true }));
+    }
+    if ([...failingUrls].some((failing) => decodeURIComponent(url).includes(failing))) {
+        return new Response('', { status: 500 });
+    }
+    return new Response(new Blob(['media:' + url], { type: 'video/mp4' }));
+};
+
+await import('../assets/js/main.js');
+
+const $ = (id) => document.getElementById(id);
+
+async function fetchTweet(url) {
+    $('twitter-url-input').value = url;
+    await window.twitterGifController.processUrl();
+}
+
+/** Entry names from the central directory of a stored ZIP. */
+async function zipEntries(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const names = [];
+    for (let i = 0; i + 46 <= bytes.length; i++) {
+        if (view.getUint32(i, true) === 0x02014b50) {
+            const length = view.getUint16(i + 28, true);
+            names.push(new TextDecoder().decode(bytes.subarray(i + 46, i + 46 + length)));
+        }
+    }
+    return names;
+}
+
+function batchStatuses() {
+    return [...document.querySelectorAll('#batch-rows .batch-status')].map((cell) => cell.textContent);
+}
+
+function cards() {
+    return [...document.querySelectorAll('#gif-preview-thumb .media-card')];
+}
+
+// Closing the window stops jsdom's timers so the run can exit.
+after(() => page.window.close());
+
+describe('page start-up', () => {
+    before(() => tick());
+
+    it('renders the footer year and theme toggle state', () => {
+        assert.equal($('year').textContent, String(new Date().getFullYear()));
+        assert.equal($('theme-toggle').getAttribute('aria-checked'), 'false');
+    });
+
+    it('hides the history panel without IndexedDB', () => {
+        assert.ok($('history-panel').classList.contains('hidden'));
+    });
+
+    it('keeps the window globals', () => {
+        assert.equal(typeof window.TweetResolver.resolveTweet, 'function');
+        assert.equal(typeof window.ThemeManager.toggleTheme, 'function');
+        assert.equal(typeof window.updateYear, 'function');
+        assert.ok(window.CustomCursor);
+    });
+});
+
+describe('fetching a tweet', () => {
+    beforeEach(() => {
+        provider.calls.length = 0;
+        fetched.length = 0;
+        page.downloads.length = 0;
+        localStorage.clear();
+        $('filename-template').value = '';
+    });
+
+    afterEach(() => tick());
+
+    it('previews every media item and selects the first video', async () => {
+        await fetchTweet('https://x.com/mixedmedia/status/' + MIXED_TWEET.statusId);
+
+        assert.deepEqual(provider.calls, [MIXED_TWEET.statusId]);
+        assert.equal($('gif-preview-section').classList.contains('hidden'), false);
+        assert.ok($('gif-error-message').classList.contains('hidden'));
+
+        assert.equal(cards().length, 2);
+        assert.deepEqual(cards().map((card) => card.getAttribute('aria-pressed')), ['false', 'true']);
+        assert.equal(cards()[1].querySelectorAll('option').length, 3);
+
+        const badges = [...$('gif-preview-meta').querySelectorAll('span')].map((span) => span.textContent);
+        assert.deepEqual(badges, ['Tweet #' + MIXED_TWEET.statusId, 'Video', '0:10', '1280×720', 'Mock']);
+        assert.equal($('filename-preview').textContent, 'twitter-video-' + MIXED_TWEET.statusId + '-2.mp4');
+        assert.match($('gif-toast').textContent, /Media found/);
+    });
+
+    it('switches the buttons when a photo is selected', async () => {
+        await fetchTweet(MIXED_TWEET.statusId);
+        cards()[0].click();
+
+        assert.equal(cards()[0].getAttribute('aria-pressed'), 'true');
+        assert.equal($('download-gif-btn').disabled, true);
+        assert.equal($('download-mp4-btn').querySelector('.btn-label').textContent, 'Download Photo');
+        assert.ok($('export-format-row').classList.contains('hidden'));
+        assert.equal($('filename-preview').textContent, 'twitter-photo-' + MIXED_TWEET.statusId + '-1.jpg');
+    });
+
+    it('downloads the chosen variant under the saved filename template', async () => {
+        await fetchTweet(MIXED_TWEET.statusId);
+
+        const template = $('filename-template');
+        template.value = '{author}-{width}x{height}.{ext}';
+        template.dispatchEvent(new window.Event('input', { bubbles: true }));
+        assert.equal(localStorage.getItem('filenameTemplate'), '{author}-{width}x{height}.{ext}');
+        assert.equal($('filename-preview').textContent, 'mixedmedia-1280x720.mp4');
+
+        const select = cards()[1].querySelector('.variant-select');
+        select.value = '1';
+        select.dispatchEvent(new window.Event('change', { bubbles: true }));
+        assert.equal($('filename-preview').textContent, 'mixedmedia-640x360.mp4');
+
+        await window.twitterGifController.downloadMp4();
+
+        const variant = MIXED_TWEET.media[1].variants[1];
+        assert.deepEqual(fetched, [variant.url]);
+        assert.equal(page.downloads.length, 1);
+        assert.equal(page.downloads[0].download, 'mixedmedia-640x360.mp4');
+        assert.equal(await resolveObjectURL(page.downloads[0].href).text(), 'media:' + variant.url);
+    });
+
+    it('only shows twimg thumbnails from the provider', async () => {
+        const hostile = structuredClone(MIXED_TWEET);
+        hostile.statusId = '1700000000000000099';
+        hostile.media[0].thumbnail = 'https://example.com/x.jpg" onerror="alert(1)';
+        hostile.media[0].url = 'javascript:alert(1)';
+        tweets[hostile.statusId] = hostile;
+
+        await fetchTweet(hostile.statusId);
+
+        const images = cards().map((card) => card.querySelector('img'));
+        assert.equal(images[0], null);
+        assert.equal(images[1].getAttribute('src'), MIXED_TWEET.media[1].thumbnail);
+        assert.equal(document.querySelector('[onerror]'), null);
+    });
+
+    it('shows the resolver error for deleted tweets', async () => {
+        await fetchTweet('https://x.com/someone/status/999');
+
+        assert.deepEqual(provider.calls, ['999']);
+        assert.equal($('gif-error-message').classList.contains('hidden'), false);
+        assert.match($('gif-error-message').textContent, /deleted or does not exist/);
+        assert.ok($('gif-preview-section').classList.contains('hidden'));
+    });
+
+    it('rejects invalid URLs without a lookup', async () => {
+        await fetchTweet('https://example.com/not-a-tweet');
+
+        assert.equal(provider.calls.length, 0);
+        assert.match($('gif-error-message').textContent, /valid Twitter\/X post URL/);
+    });
+});
+
+describe('batch mode', () => {
+    it('resolves every pasted URL and flags the bad ones', async () => {
+        provider.calls.length = 0;
+        $('batch-input').value = [
+            'https://x.com/gifposter/status/' + GIF_TWEET.statusId,
+            'https://x.com/mixedmedia/status/' + MIXED_TWEET.statusId,
+            'https://x.com/gifposter/status/' + GIF_TWEET.statusId,
+            'https://example.com/a/status/1',
+        ].join('\n');
+
+        await window.batchController.start();
+
+        assert.deepEqual(batchStatuses(), ['Ready', 'Ready', 'Invalid URL']);
+        assert.deepEqual(provider.calls.sort(), [GIF_TWEET.statusId, MIXED_TWEET.statusId]);
+        assert.equal($('batch-summary').textContent, '2 of 3 resolved, 1 failed, 2 selected');
+        assert.equal($('batch-zip-btn').disabled, false);
+    });
+
+    it('links hostile author names to /i/ without adding attributes', async () => {
+        const hostile = structuredClone(GIF_TWEET);
+        hostile.statusId = '1700000000000000098';
+        hostile.author = 'a" onmouseover="alert(1)';
+        tweets[hostile.statusId] = hostile;
+        $('batch-input').value = hostile.statusId;
+
+        await window.batchController.start();
+
+        const link = document.querySelector('#batch-rows a');
+        assert.equal(link.getAttribute('href'), 'https://x.com/i/status/' + hostile.statusId);
+        assert.equal(link.textContent, '@' + hostile.author + ' · #' + hostile.statusId);
+        assert.equal(document.querySelector('#batch-rows [onmouseover]'), null);
+    });
+
+    describe('ZIP download', () => {
+        const SECOND_CLIP = {
+            ...structuredClone(MIXED_TWEET),
+            statusId: '1700000000000000003',
+            media: [structuredClone(MIXED_TWEET.media[1])],
+        };
+
+        beforeEach(async () => {
+            tweets[SECOND_CLIP.statusId] = SECOND_CLIP;
+            page.downloads.length = 0;
+            fetchSignals.length = 0;
+            failingUrls.clear();
+            $('batch-input').value = [MIXED_TWEET.statusId, SECOND_CLIP.statusId].join('\n');
+            await window.batchController.start();
+        });
+
+        afterEach(() => {
+            holdFetches = false;
+            heldUrls.clear();
+            localStorage.clear();
+        });
+
+        it('numbers clashing names and reports partly failed rows once', async () => {
+            localStorage.setItem('filenameTemplate', '{author}.{ext}');
+            failingUrls.add('/media/PhotoOne');
+
+            await window.batchController.downloadZip();
+
+            assert.deepEqual(batchStatuses(), ['Partly added to ZIP — 1 of 2 failed', 'Added to ZIP']);
+            assert.equal(page.downloads.length, 1);
+            const names = await zipEntries(resolveObjectURL(page.downloads[0].href));
+            assert.deepEqual(names.sort(), ['manifest.json', 'mixedmedia-2.mp4', 'mixedmedia.mp4']);
+        });
+
+        it('aborts in-flight downloads on cancel', async () => {
+            holdFetches = true;
+            const pending = window.batchController.downloadZip();
+            await tick();
+
+            assert.ok(fetchSignals.length > 0);
+            window.batchController.cancel();
+            await pending;
+
+            assert.ok(fetchSignals.every((signal) => signal?.aborted));
+            assert.deepEqual(batchStatuses(), ['Ready', 'Ready']);
+            assert.equal(page.downloads.length, 0);
+        });
+
+        it('resets rows that finished before the cancel', async () => {
+            heldUrls.add('/media/PhotoOne');
+            const pending = window.batchController.downloadZip();
+            await tick();
+
+            assert.equal(batchStatuses()[1], 'Added to ZIP');
+            window.batchController.cancel();
+            await pending;
+
+            assert.deepEqual(batchStatuses(), ['Ready', 'Ready']);
+            assert.equal(page.downloads.length, 0);
+        });
+    });
+});
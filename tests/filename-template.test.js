@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { installDom } from './helpers/dom.js';
+
+installDom({ html: '<!DOCTYPE html><p></p>' });
+const FilenameTemplate = await import('../assets/js/filename-template.js');
+
+const CONTEXT = {
+    author: 'someone',
+    statusId: '42',
+    createdAt: '2024-02-29T23:00:00Z',
+    index: 3,
+    width: 640,
+    height: 360,
+    type: 'video',
+    ext: 'mp4',
+};
+
+describe('FilenameTemplate.render', () => {
+    it('renders the default template', () => {
+        assert.equal(FilenameTemplate.render(FilenameTemplate.DEFAULT_TEMPLATE, CONTEXT), 'twitter-video-42-3.mp4');
+    });
+
+    it('fills every token', () => {
+        const template = FilenameTemplate.TOKENS.map((token) => '{' + token + '}').join('-');
+        assert.equal(FilenameTemplate.render(template, CONTEXT), 'someone-42-2024-02-29-3-640-360-video-mp4');
+    });
+
+    it('leaves unknown tokens and marks missing values', () => {
+        assert.equal(FilenameTemplate.render('{author}-{nope}.{ext}', { ext: 'gif' }), 'unknown-{nope}.gif');
+    });
+
+    it('appends the extension when the template has none', () => {
+        assert.equal(FilenameTemplate.render('{author}', CONTEXT), 'someone.mp4');
+    });
+});
+
+describe('FilenameTemplate.sanitize', () => {
+    it('replaces characters filesystems refuse', () => {
+        assert.equal(FilenameTemplate.sanitize('a<b>c:d"e/f\\g|h?i*j.gif'), 'a_b_c_d_e_f_g_h_i_j.gif');
+    });
+
+    it('trims dots and spaces and collapses whitespace', () => {
+        assert.equal(FilenameTemplate.sanitize('  ..my   clip.. .mp4'), 'my clip.mp4');
+    });
+
+    it('prefixes reserved device names', () => {
+        assert.equal(FilenameTemplate.sanitize('CON.mp4'), '_CON.mp4');
+    });
+
+    it('shortens long names but keeps the extension', () => {
+        const name = FilenameTemplate.sanitize('x'.repeat(300) + '.mp4');
+        assert.equal(name.length, FilenameTemplate.MAX_LENGTH);
+        assert.ok(name.endsWith('.mp4'));
+    });
+
+    it('never returns an empty base name', () => {
+        assert.equal(FilenameTemplate.sanitize('...'), 'download');
+        assert.equal(FilenameTemplate.sanitize(''), 'download');
+    });
+});
+
+describe('FilenameTemplate storage', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('loads the default until a template is saved', () => {
+        assert.equal(FilenameTemplate.load(), FilenameTemplate.DEFAULT_TEMPLATE);
+        FilenameTemplate.save('{author}-{index}.{ext}');
+        assert.equal(FilenameTemplate.load(), '{author}-{index}.{ext}');
+    });
+
+    it('forgets templates equal to the default', () => {
+        FilenameTemplate.save('{author}.{ext}');
+        FilenameTemplate.save(FilenameTemplate.DEFAULT_TEMPLATE);
+        assert.equal(localStorage.getItem(FilenameTemplate.STORAGE_KEY), null);
+    });
+});
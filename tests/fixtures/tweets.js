@@ -0,0 +1,120 @@
+// ── Fixtures ──────────────────────────────
+// Normalized resolver results (what providers hand to the page) and raw
+// provider payloads for the normalization tests.
+
+const GIF_TWEET = {
+    statusId: '1700000000000000001',
+    author: 'gifposter',
+    authorName: 'Gif Poster',
+    text: 'When the build is green',
+    createdAt: '2024-05-01T12:00:00.000Z',
+    source: 'Mock',
+    media: [{
+        type: 'animated_gif',
+        url: null,
+        thumbnail: 'https://pbs.twimg.com/tweet_video_thumb/GifThumb.jpg',
+        width: 480,
+        height: 270,
+        duration: null,
+        variants: [{
+            url: 'https://video.twimg.com/tweet_video/GifThumb.mp4',
+            contentType: 'video/mp4',
+            bitrate: 0,
+            width: 480,
+            height: 270,
+        }],
+    }],
+};
+
+// A photo first, then a video, so the preview has to skip to item 2.
+const MIXED_TWEET = {
+    statusId: '1700000000000000002',
+    author: 'mixedmedia',
+    authorName: 'Mixed Media',
+    text: 'Photo and clip',
+    createdAt: '2024-06-15T08:30:00.000Z',
+    source: 'Mock',
+    media: [
+        {
+            type: 'photo',
+            url: 'https://pbs.twimg.com/media/PhotoOne.jpg',
+            thumbnail: 'https://pbs.twimg.com/media/PhotoOne.jpg',
+            width: 4096,
+            height: 2048,
+            duration: null,
+            variants: [],
+        },
+        {
+            type: 'video',
+            url: null,
+            thumbnail: 'https://pbs.twimg.com/ext_tw_video_thumb/2/pu/img/Clip.jpg',
+            width: 1280,
+            height: 720,
+            duration: 10,
+            variants: [
+                { url: 'https://video.twimg.com/ext_tw_video/2/pu/vid/1280x720/Clip.mp4', contentType: 'video/mp4', bitrate: 2176000, width: 1280, height: 720 },
+                { url: 'https://video.twimg.com/ext_tw_video/2/pu/vid/640x360/Clip.mp4', contentType: 'video/mp4', bitrate: 832000, width: 640, height: 360 },
+                { url: 'https://video.twimg.com/ext_tw_video/2/pu/vid/480x270/Clip.mp4', contentType: 'video/mp4', bitrate: 256000, width: 480, height: 270 },
+            ],
+        },
+    ],
+};
+
+// cdn.syndication.twimg.com/tweet-result for a tweet with one video.
+const SYNDICATION_VIDEO = {
+    __typename: 'Tweet',
+    id_str: '1700000000000000003',
+    text: 'Syndicated clip',
+    created_at: '2024-07-01T10:00:00.000Z',
+    user: { screen_name: 'syndicated', name: 'Syndicated User' },
+    mediaDetails: [{
+        type: 'video',
+        media_url_https: 'https://pbs.twimg.com/ext_tw_video_thumb/3/pu/img/Synd.jpg',
+        original_info: { width: 1280, height: 720 },
+        video_info: {
+            duration_millis: 12500,
+            variants: [
+                { content_type: 'application/x-mpegURL', url: 'https://video.twimg.com/ext_tw_video/3/pu/pl/Synd.m3u8' },
+                { bitrate: 256000, content_type: 'video/mp4', url: 'https://video.twimg.com/ext_tw_video/3/pu/vid/480x270/Synd.mp4' },
+                { bitrate: 2176000, content_type: 'video/mp4', url: 'http://video.twimg.com/ext_tw_video/3/pu/vid/1280x720/Synd.mp4' },
+            ],
+        },
+    }],
+};
+
+const SYNDICATION_TOMBSTONE = {
+    __typename: 'TweetTombstone',
+    tombstone: { text: { text: 'This Post is from an account that limits who can view their Posts.' } },
+};
+
+// api.fxtwitter.com/status/{id} for a tweet with a photo and a GIF.
+const FXTWITTER_MIXED = {
+    code: 200,
+    message: 'OK',
+    tweet: {
+        text: 'fx mixed',
+        created_at: 'Mon Jul 01 10:00:00 +0000 2024',
+        author: { screen_name: 'fxuser', name: 'Fx User' },
+        media: {
+            all: [
+                { type: 'photo', url: 'https://pbs.twimg.com/media/FxPhoto.png', width: 800, height: 600 },
+                {
+                    type: 'gif',
+                    url: 'https://video.twimg.com/tweet_video/FxGif.mp4',
+                    thumbnail_url: 'https://pbs.twimg.com/tweet_video_thumb/FxGif.jpg',
+                    width: 320,
+                    height: 240,
+                    variants: [{ content_type: 'video/mp4', url: 'https://video.twimg.com/tweet_video/FxGif.mp4' }],
+                },
+            ],
+        },
+    },
+};
+
+export {
+    GIF_TWEET,
+    MIXED_TWEET,
+    SYNDICATION_VIDEO,
+    SYNDICATION_TOMBSTONE,
+    FXTWITTER_MIXED,
+};
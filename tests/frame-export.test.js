@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as FrameExport from '../assets/js/frame-export.js';
+import * as GifEncoder from '../assets/js/gif-encoder.js';
+
+const clip = { width: 1280, height: 720, duration: 10 };
+
+describe('GifEncoder.estimateSize', () => {
+    it('scales with output pixels and frame count', () => {
+        // 480×270, 100 frames, 0.45 bytes per pixel.
+        assert.equal(GifEncoder.estimateSize({ width: 480, fps: 10 }, clip), 5832000);
+        assert.equal(GifEncoder.estimateSize({ width: 480, fps: 10, start: 0, end: 5 }, clip), 2916000);
+    });
+
+    it('costs more when dithered', () => {
+        assert.equal(GifEncoder.estimateSize({ width: 480, fps: 10, dither: 'FloydSteinberg' }, clip), 7581600);
+    });
+
+    it('returns null when the clip size is unknown', () => {
+        assert.equal(GifEncoder.estimateSize({}, { width: 1280, height: 720 }), null);
+        assert.equal(GifEncoder.estimateSize({}, null), null);
+    });
+});
+
+describe('FrameExport.estimateSize', () => {
+    it('uses the per-format rate', () => {
+        assert.equal(FrameExport.estimateSize('webp', { width: 480, fps: 10 }, clip), 648000);
+        assert.equal(FrameExport.estimateSize('apng', { width: 480, fps: 10 }, clip), 14256000);
+        assert.equal(FrameExport.estimateSize('sprite', { width: 480, fps: 10 }, clip), 14256000);
+    });
+
+    it('returns null for unknown formats or clips', () => {
+        assert.equal(FrameExport.estimateSize('bmp', {}, clip), null);
+        assert.equal(FrameExport.estimateSize('webp', {}, { width: 1280, height: 720, duration: 0 }), null);
+    });
+});
+
+describe('playCount', () => {
+    it('maps gif.js loop values to play counts', () => {
+        assert.equal(FrameExport.playCount(0), 0);
+        assert.equal(FrameExport.playCount(-1), 1);
+        assert.equal(FrameExport.playCount(2), 3);
+    });
+});
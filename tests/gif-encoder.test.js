@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { describe, it } from 'node:test';
+import { planOutput, renderGif } from '../assets/js/gif-encoder.js';
+
+/** Stands in for a gif.js instance: render() spawns fake workers. */
+class FakeGif extends EventEmitter {
+    constructor() {
+        super();
+        this.freeWorkers = [];
+        this.activeWorkers = [];
+        this.aborted = false;
+    }
+
+    render() {
+        this.freeWorkers.push({ onerror: null }, { onerror: null });
+        this.emit('progress', 0);
+    }
+
+    abort() {
+        this.aborted = true;
+        this.emit('abort');
+    }
+}
+
+describe('renderGif', () => {
+    it('resolves with the finished GIF and reports progress', async () => {
+        const gif = new FakeGif();
+        const progress = [];
+        const pending = renderGif(gif, { onProgress: (value) => progress.push(value) });
+
+        gif.emit('progress', 0.5);
+        gif.emit('finished', 'gif-blob');
+
+        assert.equal(await pending, 'gif-blob');
+        assert.deepEqual(progress, [0, 0.5]);
+    });
+
+    it('rejects when a worker errors', async () => {
+        const gif = new FakeGif();
+        const pending = renderGif(gif);
+
+        gif.freeWorkers[1].onerror({ message: 'NetworkError: worker script failed to load' });
+
+        await assert.rejects(pending, /GIF worker failed: NetworkError/);
+        assert.equal(gif.aborted, true);
+    });
+
+    it('rejects when encoding stalls', async () => {
+        const gif = new FakeGif();
+        await assert.rejects(renderGif(gif, { stallMs: 20 }), /stalled/);
+        assert.equal(gif.aborted, true);
+    });
+
+    it('rejects with an AbortError when cancelled or aborted', async () => {
+        const controller = new AbortController();
+        const cancelled = renderGif(new FakeGif(), { signal: controller.signal });
+        controller.abort();
+        await assert.rejects(cancelled, { name: 'AbortError' });
+
+        const gif = new FakeGif();
+        const aborted = renderGif(gif);
+        gif.abort();
+        await assert.rejects(aborted, { name: 'AbortError' });
+    });
+
+    it('rejects when render() throws', async () => {
+        const gif = new FakeGif();
+        gif.render = () => {
+            throw new Error('Width and height must be set prior to rendering');
+        };
+        await assert.rejects(renderGif(gif), /Width and height/);
+    });
+});
+
+describe('planOutput', () => {
+    const fullHd = { width: 1920, height: 1080, duration: 10 };
+
+    it('keeps the requested size when the frames fit in memory', () => {
+        const output = planOutput({ width: 480, fps: 10 }, fullHd);
+        assert.deepEqual([output.width, output.height, output.scaled], [480, 270, false]);
+        assert.equal(output.plan.times.length, 100);
+    });
+
+    it('scales long full-size clips down to the pixel budget', () => {
+        const output = planOutput({ width: 0, fps: 30 }, fullHd);
+        assert.equal(output.scaled, true);
+        assert.equal(output.plan.times.length, 300);
+        assert.ok(output.width < 1920 && output.width % 2 === 0);
+        assert.ok(output.width * output.height * 300 <= 100_000_000 * 1.01);
+        assert.ok(Math.abs(output.width / output.height - 16 / 9) < 0.02);
+    });
+});
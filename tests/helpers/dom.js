@@ -0,0 +1,108 @@
+import { readFileSync } from 'node:fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+// ── DOM shim ──────────────────────────────
+// Loads a page into jsdom and exposes its window as the globals the
+// browser modules expect, so they can be imported and driven from Node.
+// Page scripts are not run; tests import the modules they need instead.
+
+const INDEX_HTML = new URL('../../index.html', import.meta.url);
+
+// Browser globals the modules use. Blob, URL, fetch and friends are left
+// as Node's own so they keep working with each other.
+const GLOBALS = [
+    'window',
+    'document',
+    'navigator',
+    'localStorage',
+    'getComputedStyle',
+    'requestAnimationFrame',
+    'cancelAnimationFrame',
+    'HTMLElement',
+    'HTMLCanvasElement',
+    'FileReader',
+    'Event',
+    'KeyboardEvent',
+    'MouseEvent',
+];
+
+/**
+ * A matchMedia stand-in where only the dark colour scheme query can match;
+ * setSystemDark() flips it and notifies the change listeners.
+ */
+function createMatchMedia(systemDark) {
+    const listeners = new Set();
+    let dark = systemDark;
+
+    function matchMedia(query) {
+        const isDarkQuery = /prefers-color-scheme:\s*dark/.test(query);
+        return {
+            media: query,
+            get matches() {
+                return isDarkQuery && dark;
+            },
+            addEventListener(type, listener) {
+                if (type === 'change' && isDarkQuery) listeners.add(listener);
+            },
+            removeEventListener(type, listener) {
+                listeners.delete(listener);
+            },
+        };
+    }
+
+    function setSystemDark(value) {
+        dark = value;
+        listeners.forEach((listener) => listener({ matches: value, media: '(prefers-color-scheme: dark)' }));
+    }
+
+    return { matchMedia, setSystemDark };
+}
+
+/**
+ * Creates the DOM and installs it globally. Defaults to the real
+ * index.html. Returns { window, document, setSystemDark, downloads }, where
+ * `downloads` collects the { href, download } of every clicked download link.
+ */
+function installDom({ html, url = 'https://localhost/', systemDark = false } = {}) {
+    // Media playback and navigation aren't implemented in jsdom; the page
+    // doesn't need them under test, so those errors are just noise.
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+
+    const dom = new JSDOM(html ?? readFileSync(INDEX_HTML, 'utf8'), {
+        url,
+        pretendToBeVisual: true,
+        virtualConsole,
+    });
+    const { window } = dom;
+
+    const media = createMatchMedia(systemDark);
+    window.matchMedia = media.matchMedia;
+
+    const downloads = [];
+    window.HTMLAnchorElement.prototype.click = function () {
+        if (this.download) downloads.push({ href: this.href, download: this.download });
+    };
+
+    for (const name of GLOBALS) {
+        const value = name === 'window' ? window : window[name];
+        Object.defineProperty(globalThis, name, {
+            // Window methods (getComputedStyle, requestAnimationFrame) need their window.
+            value: typeof value === 'function' && /^[a-z]/.test(name) ? value.bind(window) : value,
+            configurable: true,
+            writable: true,
+        });
+    }
+
+    return { window, document: window.document, setSystemDark: media.setSystemDark, downloads };
+}
+
+/** Resolves after pending timers and microtasks have run. */
+function tick(ms = 0) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export {
+    installDom,
+    tick,
+};
@@ -0,0 +1,71 @@
+import { createServer } from 'node:http';
+import { ResolveErrorCode, TweetResolveError } from '../../assets/js/resolve-errors.js';
+import { GIF_TWEET, MIXED_TWEET } from '../fixtures/tweets.js';
+
+// ── Mock media provider ───────────────────
+// Stands in for the real providers so tests never touch the network.
+// `tweets` maps status IDs to a normalized result, or to a ResolveErrorCode
+// the lookup should fail with; unknown IDs fail as deleted tweets.
+
+const DEFAULT_TWEETS = {
+    [GIF_TWEET.statusId]: GIF_TWEET,
+    [MIXED_TWEET.statusId]: MIXED_TWEET,
+};
+
+/** An in-process provider object, for setProviders() or TWITTER_GIF_CONFIG. */
+function createMockProvider(tweets = DEFAULT_TWEETS, { name = 'mock', label = 'Mock' } = {}) {
+    const calls = [];
+
+    return {
+        name,
+        label,
+        calls,
+        async resolve(statusId) {
+            calls.push(statusId);
+            const entry = tweets[statusId];
+            if (!entry) throw new TweetResolveError(ResolveErrorCode.TWEET_DELETED);
+            if (typeof entry === 'string') throw new TweetResolveError(entry);
+            return structuredClone({ ...entry, source: label });
+        },
+    };
+}
+
+/**
+ * A local HTTP server speaking the self-hosted proxy protocol
+ * (GET /tweet/{id}, see createProxyProvider). Errors come back as
+ * { error: { code } }, except rate limits, which are a bare HTTP 429.
+ * Resolves with { baseUrl, requests, close }.
+ */
+async function startMockProviderServer(tweets = DEFAULT_TWEETS) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        requests.push(req.url);
+        const match = req.url.match(/^\/tweet\/(\d+)$/);
+        const entry = match ? tweets[match[1]] : null;
+
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (entry === ResolveErrorCode.RATE_LIMITED) return send(429, {});
+        if (!entry) return send(404, { error: { code: ResolveErrorCode.TWEET_DELETED, message: 'Not found' } });
+        if (typeof entry === 'string') return send(400, { error: { code: entry } });
+        return send(200, entry);
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        baseUrl: 'http://127.0.0.1:' + port,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+export {
+    DEFAULT_TWEETS,
+    createMockProvider,
+    startMockProviderServer,
+};
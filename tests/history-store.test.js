@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { sanitizeEntry } from '../assets/js/history-store.js';
+import { MIXED_TWEET } from './fixtures/tweets.js';
+
+/** An entry as exportJson writes it. */
+function exported(overrides = {}) {
+    return {
+        statusId: MIXED_TWEET.statusId,
+        author: MIXED_TWEET.author,
+        authorName: MIXED_TWEET.authorName,
+        mediaType: 'video',
+        mediaIndex: 1,
+        variant: { ...MIXED_TWEET.media[1].variants[0] },
+        thumbnail: 'data:image/jpeg;base64,/9j/2w==',
+        fetchedAt: 1718440200000,
+        resolvedAt: 1718440200000,
+        result: structuredClone(MIXED_TWEET),
+        ...overrides,
+    };
+}
+
+describe('sanitizeEntry', () => {
+    it('keeps everything a real export contains', async () => {
+        const entry = sanitizeEntry(exported());
+
+        assert.equal(entry.statusId, MIXED_TWEET.statusId);
+        assert.equal(entry.author, 'mixedmedia');
+        assert.equal(entry.mediaType, 'video');
+        assert.deepEqual(entry.variant, MIXED_TWEET.media[1].variants[0]);
+        assert.deepEqual(entry.result, MIXED_TWEET);
+        assert.equal(entry.thumbnail.type, 'image/jpeg');
+        assert.deepEqual([...new Uint8Array(await entry.thumbnail.arrayBuffer())], [0xff, 0xd8, 0xff, 0xdb]);
+    });
+
+    it('rejects entries with a bad status ID or author', () => {
+        assert.equal(sanitizeEntry(exported({ statusId: '12a' })), null);
+        assert.equal(sanitizeEntry(exported({ author: 'a" onmouseover="alert(1)' })), null);
+        assert.equal(sanitizeEntry(exported({ result: { media: [] } })), null);
+        assert.equal(sanitizeEntry(exported({ result: { media: [{ type: 'script' }] } })), null);
+        assert.equal(sanitizeEntry(null), null);
+    });
+
+    it('drops media URLs that are not https twimg links', () => {
+        const raw = exported();
+        raw.result.media[0].url = 'javascript:alert(1)';
+        raw.result.media[1].thumbnail = 'https://example.com/x.jpg" onerror="alert(1)';
+        raw.result.media[1].variants[1].url = 'http://video.twimg.com/clip.mp4';
+        raw.variant.url = 'https://evil.example/clip.mp4';
+
+        const entry = sanitizeEntry(raw);
+        assert.equal(entry.result.media[0].url, null);
+        assert.equal(entry.result.media[1].thumbnail, null);
+        assert.equal(entry.result.media[1].variants.length, 2);
+        assert.equal(entry.variant, null);
+    });
+
+    it('drops unknown fields and non-image thumbnails', () => {
+        const entry = sanitizeEntry(exported({
+            extra: '<img src=x onerror=alert(1)>',
+            mediaIndex: -1,
+            thumbnail: 'data:text/html,<script>alert(1)</script>',
+        }));
+
+        assert.equal('extra' in entry, false);
+        assert.equal(entry.mediaIndex, 0);
+        assert.equal(entry.mediaType, 'photo');
+        assert.equal(entry.thumbnail, null);
+    });
+
+    it('does not accept timestamps from the future', () => {
+        const before = Date.now();
+        const future = before + 365 * 24 * 60 * 60 * 1000;
+        const entry = sanitizeEntry(exported({ fetchedAt: future, resolvedAt: future }));
+
+        assert.ok(entry.fetchedAt >= before && entry.fetchedAt <= Date.now());
+        assert.equal(entry.resolvedAt, null);
+        assert.equal(sanitizeEntry(exported()).resolvedAt, 1718440200000);
+    });
+});
@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { addGifComment, addMp4Metadata } from '../assets/js/media-metadata.js';
+
+const encoder = new TextEncoder();
+const decode = (bytes) => new TextDecoder().decode(bytes);
+// One character per byte, so string offsets are byte offsets.
+const latin1 = (bytes) => String.fromCharCode(...bytes);
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+// ── GIF ───────────────────────────────────
+
+/** Header, logical screen descriptor, optional 4-colour table, trailer. */
+function gif({ signature = 'GIF89a', colorTable = true } = {}) {
+    return concat([
+        encoder.encode(signature),
+        Uint8Array.of(1, 0, 1, 0, colorTable ? 0x81 : 0x00, 0, 0),
+        colorTable ? new Uint8Array(12).fill(0xcc) : new Uint8Array(0),
+        Uint8Array.of(0x3b),
+    ]);
+}
+
+describe('addGifComment', () => {
+    it('inserts the comment after the global colour table', () => {
+        const out = addGifComment(gif(), 'Source: x');
+
+        assert.deepEqual([...out.subarray(13, 25)], new Array(12).fill(0xcc));
+        assert.deepEqual([...out.subarray(25, 28)], [0x21, 0xfe, 9]);
+        assert.equal(decode(out.subarray(28, 37)), 'Source: x');
+        assert.deepEqual([...out.subarray(37)], [0x00, 0x3b]);
+    });
+
+    it('inserts straight after the screen descriptor without a colour table', () => {
+        const out = addGifComment(gif({ colorTable: false }), 'hi');
+        assert.deepEqual([...out.subarray(13)], [0x21, 0xfe, 2, 0x68, 0x69, 0x00, 0x3b]);
+    });
+
+    it('splits long comments into 255-byte sub-blocks and upgrades GIF87a', () => {
+        const out = addGifComment(gif({ signature: 'GIF87a' }), 'a'.repeat(300));
+
+        assert.equal(decode(out.subarray(0, 6)), 'GIF89a');
+        assert.equal(out[27], 255);
+        assert.equal(out[28 + 255], 45);
+        assert.equal(out[28 + 255 + 1 + 45], 0x00);
+    });
+
+    it('leaves other files alone', () => {
+        const png = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0, 0, 0, 0, 0, 0);
+        assert.equal(addGifComment(png, 'x'), png);
+    });
+});
+
+// ── MP4 ───────────────────────────────────
+
+function box(type, ...payloads) {
+    const body = concat(payloads);
+    const out = new Uint8Array(8 + body.length);
+    new DataView(out.buffer).setUint32(0, out.length);
+    out.set(encoder.encode(type), 4);
+    out.set(body, 8);
+    return out;
+}
+
+function chunkOffsetBox(type, offset) {
+    const table = new DataView(new ArrayBuffer(type === 'stco' ? 12 : 16));
+    table.setUint32(4, 1);
+    if (type === 'stco') table.setUint32(8, offset);
+    else table.setBigUint64(8, BigInt(offset));
+    return box(type, new Uint8Array(table.buffer));
+}
+
+const PAYLOAD = encoder.encode('frame-data');
+
+/**
+ * A minimal MP4 with one chunk whose offset points at the mdat payload,
+ * with moov in front of mdat (fast start) or after it.
+ */
+function mp4({ offsets = 'stco', moovFirst = true, udta = null } = {}) {
+    const ftyp = box('ftyp', encoder.encode('isom'), new Uint8Array(4));
+    const mdat = box('mdat', PAYLOAD);
+    const moovFor = (offset) => box('moov',
+        box('mvhd', new Uint8Array(100)),
+        box('trak', box('mdia', box('minf', box('stbl', chunkOffsetBox(offsets, offset))))),
+        ...(udta ? [udta] : [])
+    );
+
+    const moovSize = moovFor(0).length;
+    return moovFirst
+        ? concat([ftyp, moovFor(ftyp.length + moovSize + 8), mdat])
+        : concat([ftyp, mdat, moovFor(ftyp.length + 8)]);
+}
+
+/** Reads the first chunk offset back out of a file built by mp4(). */
+function firstChunkOffset(bytes, type = 'stco') {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const at = latin1(bytes).indexOf(type) + 12;
+    return type === 'stco' ? view.getUint32(at) : Number(view.getBigUint64(at));
+}
+
+function payloadAt(bytes, offset) {
+    return decode(bytes.subarray(offset, offset + PAYLOAD.length));
+}
+
+describe('addMp4Metadata', () => {
+    const tags = { comment: 'Source: https://x.com/i/status/1', artist: '@someone' };
+
+    it('keeps stco offsets pointing at mdat when moov comes first', () => {
+        const input = mp4();
+        assert.equal(payloadAt(input, firstChunkOffset(input)), 'frame-data');
+
+        const out = addMp4Metadata(input, tags);
+        assert.ok(out.length > input.length);
+        assert.equal(payloadAt(out, firstChunkOffset(out)), 'frame-data');
+        assert.ok(latin1(out).includes('\xa9cmt'));
+        assert.ok(latin1(out).includes('\xa9ART'));
+        assert.ok(latin1(out).includes('Source: https://x.com/i/status/1'));
+    });
+
+    it('shifts 64-bit co64 offsets too', () => {
+        const out = addMp4Metadata(mp4({ offsets: 'co64' }), tags);
+        assert.equal(payloadAt(out, firstChunkOffset(out, 'co64')), 'frame-data');
+    });
+
+    it('leaves offsets alone when mdat comes first', () => {
+        const input = mp4({ moovFirst: false });
+        const out = addMp4Metadata(input, tags);
+
+        assert.equal(firstChunkOffset(out), firstChunkOffset(input));
+        assert.equal(payloadAt(out, firstChunkOffset(out)), 'frame-data');
+    });
+
+    it('grows moov by exactly the inserted udta box', () => {
+        const input = mp4();
+        const out = addMp4Metadata(input, tags);
+        const moovAt = latin1(out).indexOf('moov') - 4;
+        const view = new DataView(out.buffer);
+
+        assert.equal(view.getUint32(moovAt), new DataView(input.buffer).getUint32(moovAt) + out.length - input.length);
+    });
+
+    it('returns files that already have metadata, or do not parse, unchanged', () => {
+        const tagged = mp4({ udta: box('udta', box('meta', new Uint8Array(4))) });
+        assert.equal(addMp4Metadata(tagged, tags), tagged);
+
+        const junk = encoder.encode('not an mp4 at all');
+        assert.equal(addMp4Metadata(junk, tags), junk);
+    });
+});
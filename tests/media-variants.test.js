@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    defaultSelection,
+    describeMedia,
+    estimateVariantSize,
+    getSelection,
+    getVariants,
+    mediaFilename,
+    restoreSelection,
+    variantExtension,
+    variantLabel,
+} from '../assets/js/media-variants.js';
+import { GIF_TWEET, MIXED_TWEET } from './fixtures/tweets.js';
+
+const [PHOTO, VIDEO] = MIXED_TWEET.media;
+
+describe('getVariants', () => {
+    it('returns video variants as resolved, best first', () => {
+        assert.equal(getVariants(VIDEO), VIDEO.variants);
+    });
+
+    it('offers each Twitter CDN size for photos, scaled to fit', () => {
+        const variants = getVariants(PHOTO);
+        assert.deepEqual(variants.map((v) => v.url), [
+            'https://pbs.twimg.com/media/PhotoOne?format=jpg&name=orig',
+            'https://pbs.twimg.com/media/PhotoOne?format=jpg&name=large',
+            'https://pbs.twimg.com/media/PhotoOne?format=jpg&name=medium',
+        ]);
+        assert.deepEqual(variants.map((v) => [v.width, v.height]), [[4096, 2048], [2048, 1024], [1200, 600]]);
+        assert.ok(variants.every((v) => v.contentType === 'image/jpeg'));
+    });
+
+    it('keeps PNG photos as PNG', () => {
+        const [variant] = getVariants({ type: 'photo', url: 'https://pbs.twimg.com/media/Png.png', width: 10, height: 10 });
+        assert.equal(variant.contentType, 'image/png');
+        assert.equal(variantExtension({ type: 'photo' }, variant), 'png');
+    });
+
+    it('falls back to the plain URL for photos off the image CDN', () => {
+        const variants = getVariants({ type: 'photo', url: 'https://example.com/a.jpg', width: 5, height: 4 });
+        assert.deepEqual(variants, [{ url: 'https://example.com/a.jpg', contentType: 'image/jpeg', width: 5, height: 4, label: 'Original' }]);
+    });
+
+    it('handles missing items', () => {
+        assert.deepEqual(getVariants(null), []);
+    });
+});
+
+describe('selection', () => {
+    it('starts on the first item with a video variant', () => {
+        assert.deepEqual(defaultSelection(MIXED_TWEET), { selectedIndex: 1, selectedVariants: [0, 0] });
+        assert.deepEqual(defaultSelection(GIF_TWEET), { selectedIndex: 0, selectedVariants: [0] });
+    });
+
+    it('starts on the first photo when nothing plays', () => {
+        const photos = { ...MIXED_TWEET, media: [PHOTO, PHOTO] };
+        assert.equal(defaultSelection(photos).selectedIndex, 0);
+    });
+
+    it('resolves the selected item and variant', () => {
+        const state = { ...MIXED_TWEET, selectedIndex: 1, selectedVariants: [0, 2] };
+        const selection = getSelection(state);
+        assert.equal(selection.index, 1);
+        assert.equal(selection.item, VIDEO);
+        assert.equal(selection.variant, VIDEO.variants[2]);
+    });
+
+    it('falls back to the best variant when the index is stale', () => {
+        const state = { ...MIXED_TWEET, selectedIndex: 1, selectedVariants: [0, 9] };
+        assert.equal(getSelection(state).variant, VIDEO.variants[0]);
+        assert.equal(getSelection(null), null);
+    });
+
+    it('restores a remembered item and variant URL', () => {
+        assert.deepEqual(restoreSelection(MIXED_TWEET, 1, VIDEO.variants[1].url), { selectedIndex: 1, selectedVariants: [0, 1] });
+        assert.deepEqual(restoreSelection(MIXED_TWEET, 7, 'https://gone.example/'), { selectedIndex: 0, selectedVariants: [0, 0] });
+    });
+});
+
+describe('labels and sizes', () => {
+    it('estimates the download size from bitrate and duration', () => {
+        assert.equal(estimateVariantSize(VIDEO.variants[0], 10), 2720000);
+        assert.equal(estimateVariantSize(GIF_TWEET.media[0].variants[0], 10), null);
+        assert.equal(estimateVariantSize(VIDEO.variants[0], null), null);
+    });
+
+    it('labels variants by resolution, bitrate and size', () => {
+        assert.equal(variantLabel(VIDEO.variants[0], VIDEO), '720p · 2.2 Mbps · ~2.6 MB');
+        assert.equal(variantLabel(getVariants(PHOTO)[1], PHOTO), 'Large · 2048×1024');
+        assert.equal(variantLabel({}, GIF_TWEET.media[0]), 'Original GIF');
+    });
+
+    it('summarizes the media of a tweet', () => {
+        assert.equal(describeMedia(MIXED_TWEET), '1 Photo, 1 Video');
+        assert.equal(describeMedia({ media: [PHOTO, PHOTO] }), '2 Photos');
+        assert.equal(describeMedia(null), '');
+    });
+});
+
+describe('mediaFilename', () => {
+    it('uses the default template without saved settings', () => {
+        assert.equal(mediaFilename(MIXED_TWEET, 1, 'mp4', VIDEO.variants[0]), 'twitter-video-1700000000000000002-2.mp4');
+    });
+
+    it('reports GIF exports as gifs and fills every token', () => {
+        const name = mediaFilename(MIXED_TWEET, 1, 'gif', { width: 480, height: 270 },
+            '{author}_{date}_{index}_{width}x{height}_{type}.{ext}');
+        assert.equal(name, 'mixedmedia_2024-06-15_2_480x270_gif.gif');
+    });
+
+    it('falls back to the item size', () => {
+        assert.equal(mediaFilename(MIXED_TWEET, 0, 'jpg', null, '{width}x{height}'), '4096x2048.jpg');
+    });
+});
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { before, beforeEach, describe, it } from 'node:test';
+import {
+    STORAGE_KEY,
+    readPreference,
+    resolveTheme,
+    savePreference,
+    togglePreference,
+} from '../assets/js/theme-preference.js';
+import { installDom } from './helpers/dom.js';
+
+/** A Storage-like object backed by a Map. */
+function memoryStorage(initial = {}) {
+    const values = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: (key) => values.delete(key),
+    };
+}
+
+describe('theme preference', () => {
+    it('follows the system until a choice is stored', () => {
+        assert.equal(resolveTheme('system', true), 'dark');
+        assert.equal(resolveTheme('system', false), 'light');
+        assert.equal(resolveTheme('light', true), 'light');
+        assert.equal(resolveTheme('dark', false), 'dark');
+    });
+
+    it('reads stored choices and ignores anything else', () => {
+        assert.equal(readPreference(memoryStorage({ theme: 'dark' })), 'dark');
+        assert.equal(readPreference(memoryStorage({ theme: 'light' })), 'light');
+        assert.equal(readPreference(memoryStorage({ theme: 'sepia' })), 'system');
+        assert.equal(readPreference(memoryStorage()), 'system');
+        assert.equal(readPreference(undefined), 'system');
+    });
+
+    it('survives storage that throws', () => {
+        const blocked = { getItem() { throw new Error('denied'); }, setItem() { throw new Error('denied'); } };
+        assert.equal(readPreference(blocked), 'system');
+        assert.doesNotThrow(() => savePreference('dark', blocked));
+    });
+
+    it('stores explicit choices and forgets "system"', () => {
+        const storage = memoryStorage();
+        savePreference('light', storage);
+        assert.equal(storage.getItem(STORAGE_KEY), 'light');
+        savePreference('system', storage);
+        assert.equal(storage.getItem(STORAGE_KEY), null);
+    });
+
+    it('toggles to the opposite of what is showing', () => {
+        assert.equal(togglePreference('dark'), 'light');
+        assert.equal(togglePreference('light'), 'dark');
+    });
+});
+
+describe('#theme-toggle', () => {
+    const page = installDom({ systemDark: true });
+    let Theme;
+    let toggle;
+
+    const isDark = () => document.documentElement.classList.contains('dark');
+
+    before(async () => {
+        Theme = await import('../assets/js/theme.js');
+        Theme.applyTheme();
+        Theme.ThemeManager.init();
+        Theme.MobileNav.init();
+        toggle = document.getElementById('theme-toggle');
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+        page.setSystemDark(true);
+        Theme.ThemeManager.setDark(Theme.applyTheme());
+    });
+
+    it('starts in the system theme', () => {
+        assert.equal(isDark(), true);
+        assert.equal(toggle.getAttribute('aria-checked'), 'true');
+    });
+
+    it('switches theme and remembers the choice on click', () => {
+        toggle.click();
+        assert.equal(isDark(), false);
+        assert.equal(toggle.getAttribute('aria-checked'), 'false');
+        assert.equal(localStorage.getItem('theme'), 'light');
+
+        toggle.click();
+        assert.equal(isDark(), true);
+        assert.equal(localStorage.getItem('theme'), 'dark');
+    });
+
+    it('applies a stored choice over the system setting', () => {
+        localStorage.setItem('theme', 'light');
+        assert.equal(Theme.applyTheme(), false);
+        assert.equal(isDark(), false);
+    });
+
+    it('tracks system changes only while no choice is stored', () => {
+        page.setSystemDark(false);
+        assert.equal(isDark(), false);
+        page.setSystemDark(true);
+        assert.equal(isDark(), true);
+
+        toggle.click();
+        page.setSystemDark(true);
+        assert.equal(isDark(), false);
+    });
+
+    it('opens and closes the mobile navigation', () => {
+        const button = document.getElementById('mobile-nav-btn');
+        const nav = document.getElementById('mobile-nav');
+        assert.ok(nav.classList.contains('hidden'));
+
+        button.click();
+        assert.equal(nav.classList.contains('hidden'), false);
+        assert.equal(button.getAttribute('aria-expanded'), 'true');
+
+        button.click();
+        assert.ok(nav.classList.contains('hidden'));
+        assert.equal(button.getAttribute('aria-expanded'), 'false');
+    });
+});
@@ -0,0 +1,224 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { ResolveErrorCode, TweetResolveError } from '../assets/js/resolve-errors.js';
+import {
+    FXTWITTER_MIXED,
+    GIF_TWEET,
+    MIXED_TWEET,
+    SYNDICATION_TOMBSTONE,
+    SYNDICATION_VIDEO,
+} from './fixtures/tweets.js';
+import { createMockProvider, startMockProviderServer } from './helpers/mock-provider.js';
+
+// No spacing between lookups, and no real providers until a test sets some.
+globalThis.TWITTER_GIF_CONFIG = { providers: [], throttleMs: 0 };
+const Resolver = await import('../assets/js/tweet-resolver.js');
+
+/** A fetchJson stand-in answering from a URL → payload map. */
+function fetchJsonFrom(responses) {
+    const requested = [];
+    const fetchJson = async (url) => {
+        requested.push(url);
+        const key = Object.keys(responses).find((prefix) => url.startsWith(prefix));
+        if (!key) throw new TweetResolveError(ResolveErrorCode.UNAVAILABLE, 'No fixture for ' + url);
+        return structuredClone(responses[key]);
+    };
+    fetchJson.requested = requested;
+    return fetchJson;
+}
+
+describe('resolveTweet', () => {
+    beforeEach(() => Resolver.setProviders([]));
+
+    it('resolves through the configured provider', async () => {
+        const provider = createMockProvider();
+        Resolver.setProviders([provider]);
+
+        const result = await Resolver.resolveTweet('https://x.com/gifposter/status/' + GIF_TWEET.statusId);
+        assert.deepEqual(result, { ...GIF_TWEET, source: 'Mock' });
+        assert.deepEqual(provider.calls, [GIF_TWEET.statusId]);
+    });
+
+    it('takes the first provider that succeeds', async () => {
+        const failing = createMockProvider({}, { name: 'empty' });
+        const working = createMockProvider(undefined, { name: 'backup', label: 'Backup' });
+        Resolver.setProviders([failing, working]);
+
+        const result = await Resolver.resolveTweet(MIXED_TWEET.statusId);
+        assert.equal(result.source, 'Backup');
+        assert.equal(failing.calls.length, 1);
+    });
+
+    it('reports the most specific failure', async () => {
+        Resolver.setProviders([
+            createMockProvider({ 1: ResolveErrorCode.UNAVAILABLE }),
+            createMockProvider({ 1: ResolveErrorCode.RATE_LIMITED }),
+            createMockProvider({ 1: ResolveErrorCode.RESTRICTED }),
+        ]);
+
+        await assert.rejects(Resolver.resolveTweet('1'), { code: ResolveErrorCode.RESTRICTED });
+    });
+
+    it('wraps unexpected provider errors as UNAVAILABLE', async () => {
+        Resolver.setProviders([{ name: 'broken', resolve: () => { throw new TypeError('boom'); } }]);
+
+        await assert.rejects(Resolver.resolveTweet('1'), (error) => {
+            assert.ok(error instanceof TweetResolveError);
+            assert.equal(error.code, ResolveErrorCode.UNAVAILABLE);
+            assert.equal(error.detail, 'boom');
+            return true;
+        });
+    });
+
+    it('rejects bad input before asking any provider', async () => {
+        const provider = createMockProvider();
+        Resolver.setProviders([provider]);
+
+        await assert.rejects(Resolver.resolveTweet('https://example.com/'), { code: ResolveErrorCode.INVALID_URL });
+        assert.equal(provider.calls.length, 0);
+    });
+
+    it('fails when no providers are configured', async () => {
+        await assert.rejects(Resolver.resolveTweet('1'), { code: ResolveErrorCode.UNAVAILABLE });
+    });
+
+    it('accepts provider names and ignores unknown ones', () => {
+        Resolver.setProviders(['syndication', 'nope', createMockProvider()]);
+        assert.deepEqual(Resolver.getProviders().map((p) => p.name), ['syndication', 'mock']);
+    });
+});
+
+describe('syndication provider', () => {
+    it('normalizes video variants', async () => {
+        const provider = Resolver.createSyndicationProvider({
+            fetchJson: fetchJsonFrom({ 'https://cdn.syndication.twimg.com/tweet-result?id=3': SYNDICATION_VIDEO }),
+        });
+
+        const result = await provider.resolve('3');
+        assert.equal(result.author, 'syndicated');
+        assert.equal(result.source, 'Twitter CDN');
+
+        const [item] = result.media;
+        assert.equal(item.type, 'video');
+        assert.equal(item.duration, 12.5);
+        assert.deepEqual([item.width, item.height], [1280, 720]);
+        // HLS dropped, best bitrate first, http upgraded, size read from the URL.
+        assert.deepEqual(item.variants, [
+            { url: 'https://video.twimg.com/ext_tw_video/3/pu/vid/1280x720/Synd.mp4', contentType: 'video/mp4', bitrate: 2176000, width: 1280, height: 720 },
+            { url: 'https://video.twimg.com/ext_tw_video/3/pu/vid/480x270/Synd.mp4', contentType: 'video/mp4', bitrate: 256000, width: 480, height: 270 },
+        ]);
+    });
+
+    it('classifies tombstones', async () => {
+        const provider = Resolver.createSyndicationProvider({
+            fetchJson: fetchJsonFrom({ 'https://cdn.syndication.twimg.com/': SYNDICATION_TOMBSTONE }),
+        });
+        await assert.rejects(provider.resolve('3'), { code: ResolveErrorCode.RESTRICTED });
+    });
+
+    it('treats an empty answer as a deleted tweet', async () => {
+        const provider = Resolver.createSyndicationProvider({
+            fetchJson: fetchJsonFrom({ 'https://cdn.syndication.twimg.com/': {} }),
+        });
+        await assert.rejects(provider.resolve('3'), { code: ResolveErrorCode.TWEET_DELETED });
+    });
+
+    it('fails with NO_MEDIA for text-only tweets', async () => {
+        const provider = Resolver.createSyndicationProvider({
+            fetchJson: fetchJsonFrom({ 'https://cdn.syndication.twimg.com/': { ...SYNDICATION_VIDEO, mediaDetails: [] } }),
+        });
+        await assert.rejects(provider.resolve('3'), { code: ResolveErrorCode.NO_MEDIA });
+    });
+});
+
+describe('fxtwitter provider', () => {
+    it('normalizes photos and GIFs', async () => {
+        const fetchJson = fetchJsonFrom({ 'https://api.fxtwitter.com/status/4': FXTWITTER_MIXED });
+        const result = await Resolver.createFxTwitterProvider({ fetchJson }).resolve('4');
+
+        assert.equal(result.author, 'fxuser');
+        assert.deepEqual(result.media.map((item) => item.type), ['photo', 'animated_gif']);
+        assert.equal(result.media[0].url, 'https://pbs.twimg.com/media/FxPhoto.png');
+        assert.deepEqual(result.media[0].variants, []);
+        assert.equal(result.media[1].variants[0].url, 'https://video.twimg.com/tweet_video/FxGif.mp4');
+    });
+
+    it('maps API error codes', async () => {
+        const fetchJson = fetchJsonFrom({ 'https://api.fxtwitter.com/': { code: 404, message: 'NOT_FOUND' } });
+        await assert.rejects(Resolver.createFxTwitterProvider({ fetchJson }).resolve('4'), { code: ResolveErrorCode.TWEET_DELETED });
+    });
+});
+
+describe('lookups through the CORS proxies', () => {
+    const realFetch = globalThis.fetch;
+    after(() => {
+        globalThis.fetch = realFetch;
+    });
+
+    /** Answers each proxy by host: a status code, or a network error. */
+    function stubProxies(answers) {
+        globalThis.fetch = async (url) => {
+            const status = answers[new URL(url).hostname];
+            if (!status) throw new TypeError('fetch failed');
+            return new Response('{}', { status });
+        };
+    }
+
+    it('does not blame the tweet for an error from a single proxy', async () => {
+        stubProxies({ 'corsproxy.io': 403 });
+        Resolver.setProviders(['syndication']);
+
+        await assert.rejects(Resolver.resolveTweet('https://x.com/a/status/123'), { code: ResolveErrorCode.UNAVAILABLE });
+    });
+
+    it('trusts a status every proxy agrees on', async () => {
+        stubProxies({ 'api.allorigins.win': 404, 'api.codetabs.com': 404, 'corsproxy.io': 404 });
+        Resolver.setProviders(['syndication']);
+
+        await assert.rejects(Resolver.resolveTweet('123'), { code: ResolveErrorCode.TWEET_DELETED });
+    });
+});
+
+describe('proxy provider against a local server', () => {
+    let server;
+
+    before(async () => {
+        server = await startMockProviderServer({
+            [MIXED_TWEET.statusId]: MIXED_TWEET,
+            5: ResolveErrorCode.RESTRICTED,
+            6: ResolveErrorCode.RATE_LIMITED,
+        });
+    });
+    after(() => server.close());
+
+    it('resolves the normalized shape over HTTP', async () => {
+        const provider = Resolver.createProxyProvider({ baseUrl: server.baseUrl + '/' });
+        const result = await provider.resolve(MIXED_TWEET.statusId);
+
+        assert.equal(result.source, 'Proxy');
+        assert.deepEqual(result.media, MIXED_TWEET.media);
+        assert.deepEqual(server.requests, ['/tweet/' + MIXED_TWEET.statusId]);
+    });
+
+    it('passes error codes through', async () => {
+        const provider = Resolver.createProxyProvider({ baseUrl: server.baseUrl });
+        await assert.rejects(provider.resolve('5'), { code: ResolveErrorCode.RESTRICTED });
+        await assert.rejects(provider.resolve('404'), { code: ResolveErrorCode.TWEET_DELETED });
+    });
+
+    it('maps bare HTTP statuses', async () => {
+        const provider = Resolver.createProxyProvider({ baseUrl: server.baseUrl });
+        await assert.rejects(provider.resolve('6'), { code: ResolveErrorCode.RATE_LIMITED });
+    });
+
+    it('drives resolveTweet end to end', async () => {
+        Resolver.setProviders([Resolver.createProxyProvider({ baseUrl: server.baseUrl, label: 'Local' })]);
+        const result = await Resolver.resolveTweet('https://twitter.com/mixedmedia/status/' + MIXED_TWEET.statusId);
+        assert.equal(result.source, 'Local');
+        assert.equal(result.media.length, 2);
+    });
+
+    it('fails cleanly when no proxy URL is set', async () => {
+        await assert.rejects(Resolver.createProxyProvider().resolve('1'), { code: ResolveErrorCode.UNAVAILABLE });
+    });
+});
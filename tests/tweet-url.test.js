@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ResolveErrorCode, TweetResolveError } from '../assets/js/resolve-errors.js';
+import { canonicalTweetUrl, isMediaUrl, isScreenName, parseTweetUrl, validateUrl } from '../assets/js/tweet-url.js';
+
+describe('parseTweetUrl', () => {
+    const ID = '1234567890123456789';
+
+    for (const input of [
+        'https://x.com/someone/status/' + ID,
+        'https://twitter.com/someone/status/' + ID,
+        'https://www.twitter.com/someone/status/' + ID,
+        'https://mobile.twitter.com/someone/status/' + ID,
+        'http://x.com/someone/status/' + ID,
+        'x.com/someone/status/' + ID,
+        'https://x.com/i/status/' + ID,
+        'https://x.com/i/web/status/' + ID,
+        'https://twitter.com/someone/statuses/' + ID,
+        'https://x.com/someone/status/' + ID + '/video/1',
+        'https://x.com/someone/status/' + ID + '/photo/2/',
+        'https://x.com/someone/status/' + ID + '?s=20&t=abc',
+        'https://fxtwitter.com/someone/status/' + ID,
+        'https://vxtwitter.com/someone/status/' + ID,
+        '  https://X.com/someone/status/' + ID + '  ',
+        ID,
+    ]) {
+        it('accepts ' + JSON.stringify(input), () => {
+            assert.deepEqual(parseTweetUrl(input), { statusId: ID });
+        });
+    }
+
+    it('rejects empty input with EMPTY_INPUT', () => {
+        for (const input of ['', '   ', null, undefined]) {
+            assert.throws(() => parseTweetUrl(input), (error) => {
+                assert.ok(error instanceof TweetResolveError);
+                assert.equal(error.code, ResolveErrorCode.EMPTY_INPUT);
+                return true;
+            });
+        }
+    });
+
+    for (const input of [
+        'https://example.com/someone/status/' + ID,
+        'https://x.com/someone',
+        'https://x.com/someone/status/abc',
+        'https://x.com/this_name_is_too_long/status/' + ID,
+        'ftp://x.com/someone/status/' + ID,
+        'javascript:alert(1)',
+        'not a url',
+    ]) {
+        it('rejects ' + JSON.stringify(input) + ' with INVALID_URL', () => {
+            assert.throws(() => parseTweetUrl(input), { code: ResolveErrorCode.INVALID_URL });
+        });
+    }
+});
+
+describe('validateUrl', () => {
+    it('reports the status ID of valid input', () => {
+        assert.deepEqual(validateUrl('https://x.com/a/status/42'), { valid: true, tweetId: '42' });
+    });
+
+    it('reports the user-facing message instead of throwing', () => {
+        const result = validateUrl('https://example.com/');
+        assert.equal(result.valid, false);
+        assert.match(result.error, /valid Twitter\/X post URL/);
+    });
+});
+
+describe('isMediaUrl', () => {
+    it('accepts https links on twimg hosts', () => {
+        assert.equal(isMediaUrl('https://pbs.twimg.com/media/Photo.jpg'), true);
+        assert.equal(isMediaUrl('https://video.twimg.com/tweet_video/Clip.mp4'), true);
+    });
+
+    it('rejects other schemes, other hosts and lookalikes', () => {
+        for (const url of [
+            'http://pbs.twimg.com/media/Photo.jpg',
+            'https://example.com/Photo.jpg',
+            'https://twimg.com.example.com/Photo.jpg',
+            'https://eviltwimg.com/Photo.jpg',
+            'javascript:alert(1)',
+            '" onerror="alert(1)',
+            null,
+        ]) {
+            assert.equal(isMediaUrl(url), false, url);
+        }
+    });
+});
+
+describe('canonicalTweetUrl', () => {
+    it('links to the author when known, else to /i/', () => {
+        assert.equal(canonicalTweetUrl('42', 'someone'), 'https://x.com/someone/status/42');
+        assert.equal(canonicalTweetUrl('42'), 'https://x.com/i/status/42');
+    });
+
+    it('ignores malformed author names', () => {
+        assert.equal(isScreenName('a" onmouseover="x'), false);
+        assert.equal(isScreenName('this_name_is_too_long'), false);
+        assert.equal(canonicalTweetUrl('42', 'a" onmouseover="x'), 'https://x.com/i/status/42');
+        assert.equal(canonicalTweetUrl('42', '../evil'), 'https://x.com/i/status/42');
+    });
+});
@@ -0,0 +1,19 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { escapeHtml } from '../assets/js/ui.js';
+
+describe('escapeHtml', () => {
+    it('escapes markup and both quote styles', () => {
+        assert.equal(escapeHtml('<b>"Tom" & \'Jerry\'</b>'), '&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+    });
+
+    it('keeps injected attributes inside the quoted value', () => {
+        assert.equal(escapeHtml('a" onmouseover="alert(1)'), 'a&quot; onmouseover=&quot;alert(1)');
+    });
+
+    it('treats missing values as empty', () => {
+        assert.equal(escapeHtml(undefined), '');
+        assert.equal(escapeHtml(null), '');
+        assert.equal(escapeHtml(0), '0');
+    });
+});
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { MAX_FRAMES, computeOutputSize, planFrames, resolveCrop } from '../assets/js/video-frames.js';
+
+describe('planFrames', () => {
+    it('samples the whole clip at the frame rate', () => {
+        const { start, end, times, capped } = planFrames({ duration: 10, fps: 10 });
+        assert.deepEqual([start, end, times.length, capped], [0, 10, 100, false]);
+        assert.equal(times[1], 0.1);
+    });
+
+    it('clamps trim points to the clip', () => {
+        const plan = planFrames({ duration: 10, fps: 10, start: 2, end: 4 });
+        assert.deepEqual([plan.start, plan.end, plan.times.length], [2, 4, 20]);
+
+        const past = planFrames({ duration: 10, fps: 10, start: 20, end: 30 });
+        assert.ok(past.start < 10 && past.end === 10);
+        assert.equal(past.times.length, 1);
+    });
+
+    it('covers more source time per frame when sped up', () => {
+        const { times } = planFrames({ duration: 10, fps: 10, speed: 2 });
+        assert.equal(times.length, 50);
+        assert.equal(times[1], 0.2);
+    });
+
+    it('plays backwards when reversed', () => {
+        const forward = planFrames({ duration: 1, fps: 5 }).times;
+        const { times } = planFrames({ duration: 1, fps: 5, reverse: true });
+        assert.deepEqual(times, forward.slice().reverse());
+    });
+
+    it('repeats every frame but the turning points in a boomerang', () => {
+        const forward = planFrames({ duration: 1, fps: 5 }).times;
+        const { times } = planFrames({ duration: 1, fps: 5, boomerang: true });
+        assert.equal(times.length, 8);
+        assert.deepEqual(times, [...forward, ...forward.slice(1, -1).reverse()]);
+    });
+
+    it('caps the frame count, boomerangs included', () => {
+        const long = planFrames({ duration: 100, fps: 30 });
+        assert.equal(long.times.length, MAX_FRAMES);
+        assert.equal(long.capped, true);
+
+        const boomerang = planFrames({ duration: 100, fps: 30, boomerang: true });
+        assert.ok(boomerang.times.length <= MAX_FRAMES);
+        assert.equal(boomerang.capped, true);
+    });
+});
+
+describe('resolveCrop', () => {
+    it('uses the full frame without a valid crop', () => {
+        const full = { x: 0, y: 0, width: 1920, height: 1080 };
+        assert.deepEqual(resolveCrop(null, 1920, 1080), full);
+        assert.deepEqual(resolveCrop({ x: 0, y: 0, width: 0, height: 1 }, 1920, 1080), full);
+        assert.deepEqual(resolveCrop({ x: 0, y: 0, width: 0.0001, height: 1 }, 1920, 1080), full);
+    });
+
+    it('converts fractions to even pixel sides', () => {
+        assert.deepEqual(resolveCrop({ x: 0.25, y: 0.5, width: 0.5, height: 0.25 }, 1281, 721), {
+            x: 320,
+            y: 361,
+            width: 640,
+            height: 180,
+        });
+    });
+
+    it('clamps crops that run off the frame', () => {
+        assert.deepEqual(resolveCrop({ x: 0.9, y: -1, width: 0.5, height: 2 }, 1920, 1080), {
+            x: 1728,
+            y: 0,
+            width: 192,
+            height: 1080,
+        });
+    });
+});
+
+describe('computeOutputSize', () => {
+    it('scales down to the maximum width, keeping the aspect ratio', () => {
+        assert.deepEqual(computeOutputSize(1280, 720, 480), { width: 480, height: 270 });
+    });
+
+    it('keeps smaller sources and rounds sides down to even numbers', () => {
+        assert.deepEqual(computeOutputSize(481, 271, 0), { width: 480, height: 270 });
+        assert.deepEqual(computeOutputSize(320, 180, 480), { width: 320, height: 180 });
+        assert.deepEqual(computeOutputSize(1, 1, 0), { width: 2, height: 2 });
+    });
+});
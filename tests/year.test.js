@@ -0,0 +1,23 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { installDom } from './helpers/dom.js';
+
+installDom();
+const { renderYear } = await import('../assets/js/year.js');
+
+describe('renderYear', () => {
+    it('writes the year into the footer', () => {
+        const target = renderYear(new Date('2031-06-01T12:00:00Z'));
+        assert.equal(target, document.getElementById('year'));
+        assert.equal(target.textContent, '2031');
+    });
+
+    it('defaults to the current year', () => {
+        assert.equal(renderYear().textContent, String(new Date().getFullYear()));
+    });
+
+    it('does nothing on pages without #year', () => {
+        const { document: other } = installDom({ html: '<!DOCTYPE html><footer></footer>' });
+        assert.equal(renderYear(new Date(), other), null);
+    });
+});
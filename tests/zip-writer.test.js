@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { crc32, createZip } from '../assets/js/zip-writer.js';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+/** Entry names, in order, from the central directory of a stored ZIP. */
+async function entryNames(blob) {
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(data.buffer);
+    const names = [];
+    for (let i = 0; i + 46 <= data.length; i++) {
+        if (view.getUint32(i, true) === 0x02014b50) {
+            names.push(new TextDecoder().decode(data.subarray(i + 46, i + 46 + view.getUint16(i + 28, true))));
+        }
+    }
+    return names;
+}
+
+describe('crc32', () => {
+    it('matches the standard check value', () => {
+        assert.equal(crc32(bytes('123456789')), 0xcbf43926);
+        assert.equal(crc32(new Uint8Array(0)), 0);
+    });
+
+    it('continues from a previous checksum', () => {
+        assert.equal(crc32(bytes('56789'), crc32(bytes('1234'))), crc32(bytes('123456789')));
+        assert.equal(crc32(bytes('IEND'), crc32(new Uint8Array(0))), crc32(bytes('IEND')));
+    });
+});
+
+describe('createZip', () => {
+    it('suffixes duplicate names before the extension', async () => {
+        const zip = await createZip([
+            { name: 'clip.mp4', data: 'a' },
+            { name: 'clip.mp4', data: 'b' },
+            { name: 'notes', data: 'c' },
+            { name: 'notes', data: 'd' },
+            { name: 'clip.mp4', data: 'e' },
+        ]);
+
+        assert.equal(zip.type, 'application/zip');
+        assert.deepEqual(await entryNames(zip), ['clip.mp4', 'clip-2.mp4', 'notes', 'notes-2', 'clip-3.mp4']);
+    });
+
+    it('stores each file with its checksum', async () => {
+        const zip = new Uint8Array(await (await createZip([{ name: 'a.txt', data: 'hello' }])).arrayBuffer());
+        const view = new DataView(zip.buffer);
+
+        assert.equal(view.getUint32(0, true), 0x04034b50);
+        assert.equal(view.getUint32(14, true), crc32(bytes('hello')));
+        assert.equal(new TextDecoder().decode(zip.subarray(30 + 5, 30 + 5 + 5)), 'hello');
+    });
+});